@@ -1,137 +1,314 @@
 #!/usr/bin/env node
-// batch-issue.js - Issue multiple VCs with same fixed issuer
+// batch-issue.js - Issue VCs for a student roster (CSV / JSON) with the fixed issuer
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
 import { setupAgent } from './src/agent.js'
-import { getFixedIssuer } from './src/fixedIssuer.js'
-import { issueStudentCredential } from './src/issuer.js'
-import { initializeStorage } from './src/storage.js'
-
-// List of students to receive credentials
-const students = [
-  { 
-    studentId: '2025001', 
-    name: 'Alice Johnson', 
-    title: 'Computer Engineering',
-    description: 'Alice Johnson is a student of the Computer Engineering program'
-  },
-  { 
-    studentId: '2025002', 
-    name: 'Bob Smith', 
-    title: 'Electrical Engineering',
-    description: 'Bob Smith is a student of the Electrical Engineering program'
-  },
-  { 
-    studentId: '2025003', 
-    name: 'Carol White', 
-    title: 'Software Engineering',
-    description: 'Carol White is a student of the Software Engineering program'
-  },
-  { 
-    studentId: '2025004', 
-    name: 'David Brown', 
-    title: 'Mechanical Engineering',
-    description: 'David Brown is a student of the Mechanical Engineering program'
-  },
-  { 
-    studentId: '2025005', 
-    name: 'Emma Davis', 
-    title: 'Civil Engineering',
-    description: 'Emma Davis is a student of the Civil Engineering program'
-  },
-  { 
-    studentId: '2025006', 
-    name: 'Frank Miller', 
-    title: 'Chemical Engineering',
-    description: 'Frank Miller is a student of the Chemical Engineering program'
-  },
-  { 
-    studentId: '2025007', 
-    name: 'Grace Wilson', 
-    title: 'Biomedical Engineering',
-    description: 'Grace Wilson is a student of the Biomedical Engineering program'
-  }, 
-  {studentId:'21301429', 
-    name: 'Md Eamin', 
-    title: 'CSE',
-    description: 'Md Eamin is a student of the CSE program'
-  }
-
-]
+import { IssuerIdentityService } from './src/issuerIdentity.js'
+import { issueStudentCredential, validateStudentData, PROOF_FORMATS } from './src/issuer.js'
+import { initializeStorage, loadVC } from './src/storage.js'
+import { credentialState } from './src/credentialRepository.js'
+import { loadRoster, parseMapping, checkColumns, mapRosterRow, toCsv } from './src/roster.js'
+import { DATA_MODELS } from './src/dataModel.js'
+import { DEFAULT_TEMPLATE } from './src/credentialTemplates.js'
+import { STORAGE_DIR } from './src/storageDir.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const DEFAULT_ROSTER = path.join(__dirname, 'roster.example.csv')
+const BATCHES_DIR = path.join(STORAGE_DIR, 'batches')
+const MANIFEST_VERSION = 1
+
+// A student whose latest student card is in one of these states already has one
+const SKIP_STATES = ['active', 'suspended']
+
+const args = process.argv.slice(2)
+
+// Value of a --flag <value> option
+function getOption(name) {
+  const index = args.indexOf(name)
+  return index >= 0 ? args[index + 1] : undefined
+}
+
+// Every value of a repeatable option
+function getOptions(name) {
+  return args.flatMap((arg, i) => arg === name && args[i + 1] !== undefined ? [args[i + 1]] : [])
+}
+
+function showHelp() {
+  console.log('Usage: node batch-issue.js [--input <roster.csv|roster.json>] [options]')
+  console.log('       node batch-issue.js --resume <manifest.json> [--dry-run]\n')
+  console.log('Options:')
+  console.log('  --input <file>          Roster to issue (default: roster.example.csv)')
+  console.log('  --map <field=column>    Column mapping, repeatable or comma-separated')
+  console.log('                          Fields: studentId, name, title, description, expiryDate')
+  console.log('  --dry-run               Validate and report only: nothing is issued, no manifest is written')
+  console.log('  --manifest <file>       Results manifest (default: .storage/batches/<batchId>.json)')
+  console.log('  --rejected <file>       Rejected-rows report (default: next to the manifest, .rejected.csv)')
+  console.log('  --out-dir <dir>         Directory for the issued JWT files (default: .storage/batches/<batchId>/)')
+  console.log('  --operator <name>       Operator recorded in the audit log')
+  console.log('  --format <format>       Proof format: jwt, sd-jwt or lds (default: jwt)')
+  console.log('  --data-model <1.1|2.0>  W3C VC Data Model; 2.0 is secured as vc+jwt (default: 1.1)')
+  console.log('  --resume <manifest>     Re-run a batch: rows issued by it are kept, failed rows are retried\n')
+  console.log('Examples:')
+  console.log('  node batch-issue.js --input roster.csv --dry-run')
+  console.log('  node batch-issue.js --input roster.csv --map "studentId=Student No,name=Full Name,title=Programme"')
+  console.log('  node batch-issue.js --resume .storage/batches/batch-1767468164238.json')
+}
+
+// Write to a temp file first, so an interrupted batch still leaves a readable manifest
+function saveManifest(manifestPath, manifest) {
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true })
+  manifest.updatedAt = new Date().toISOString()
+  manifest.summary = ['issued', 'skipped', 'rejected', 'failed', 'would-issue'].reduce((summary, status) => {
+    summary[status] = manifest.results.filter(r => r.status === status).length
+    return summary
+  }, { total: manifest.results.length })
+  const tmpPath = `${manifestPath}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest, null, 2))
+  fs.renameSync(tmpPath, manifestPath)
+}
+
+/**
+ * Batch setup from the command line, or from the manifest of the batch being resumed
+ */
+function loadBatch() {
+  const resumePath = getOption('--resume')
+  if (resumePath) {
+    const previous = JSON.parse(fs.readFileSync(resumePath, 'utf-8'))
+    if (previous.version !== MANIFEST_VERSION) {
+      throw new Error(`Unsupported manifest version: ${previous.version}`)
+    }
+    return {
+      batchId: previous.batchId,
+      input: previous.input,
+      mapping: previous.mapping,
+      manifestPath: resumePath,
+      rejectedPath: getOption('--rejected') || previous.rejectedReport || resumePath.replace(/\.json$/, '') + '.rejected.csv',
+      outDir: previous.outDir,
+      proofFormat: previous.proofFormat || 'jwt',
+      dataModel: previous.dataModel || '1.1',
+      previous
+    }
+  }
+
+  const batchId = `batch-${Date.now()}`
+  const manifestPath = getOption('--manifest') || path.join(BATCHES_DIR, `${batchId}.json`)
+  return {
+    batchId,
+    input: path.resolve(getOption('--input') || DEFAULT_ROSTER),
+    mapping: parseMapping(getOptions('--map')),
+    manifestPath,
+    rejectedPath: getOption('--rejected') || manifestPath.replace(/\.json$/, '') + '.rejected.csv',
+    outDir: path.resolve(getOption('--out-dir') || path.join(BATCHES_DIR, batchId)),
+    proofFormat: getOption('--format') || 'jwt',
+    dataModel: getOption('--data-model') || '1.1',
+    previous: null
+  }
+}
 
 async function batchIssue() {
-  console.log('=== University Batch VC Issuance ===\n')
-  
-  // Initialize system
+  const dryRun = args.includes('--dry-run')
+  const operator = getOption('--operator')
+  const batch = loadBatch()
+  if (!PROOF_FORMATS.includes(batch.proofFormat)) {
+    throw new Error(`Unknown format: ${batch.proofFormat} (expected ${PROOF_FORMATS.join(', ')})`)
+  }
+  if (!DATA_MODELS.includes(batch.dataModel)) {
+    throw new Error(`Unknown data model: ${batch.dataModel} (expected ${DATA_MODELS.join(', ')})`)
+  }
+  if (batch.dataModel === '2.0' && batch.proofFormat !== 'jwt') {
+    throw new Error(`VCDM 2.0 credentials are issued in the jwt format (vc+jwt), not ${batch.proofFormat}`)
+  }
+
+  console.log(`=== University Batch VC Issuance${dryRun ? ' (dry run)' : ''} ===\n`)
+  console.log(`Roster: ${batch.input}`)
+  if (batch.previous) {
+    console.log(`Resuming: ${batch.manifestPath}`)
+  }
+
+  const roster = loadRoster(batch.input)
+  const columnErrors = checkColumns(roster.columns, batch.mapping)
+  if (columnErrors.length > 0) {
+    columnErrors.forEach(error => console.log(`✗ ${error}`))
+    console.log(`\nColumns in roster: ${roster.columns.join(', ')}`)
+    console.log('Use --map <field>=<column> to map them')
+    process.exit(1)
+  }
+  console.log(`Rows: ${roster.rows.length}\n`)
+
   initializeStorage()
-  const agent = setupAgent()
-  
-  // Get/create fixed issuer (same for all credentials in this session)
-  const issuer = await getFixedIssuer(agent)
-  
-  console.log('\n=== Fixed University Issuer ===')
-  console.log(`DID: ${issuer.did}`)
-  console.log(`All ${students.length} credentials will be signed by this issuer\n`)
-  
+
+  // Signing is only needed for a real run
+  let agent = null
+  let issuer = null
+  if (!dryRun) {
+    agent = setupAgent({ storage: 'file' })
+    issuer = await new IssuerIdentityService(agent).getIssuer()
+
+    console.log('\n=== Fixed University Issuer ===')
+    console.log(`DID: ${issuer.did}`)
+    console.log('All credentials in this batch will be signed by this issuer\n')
+  }
+
+  const manifest = {
+    version: MANIFEST_VERSION,
+    batchId: batch.batchId,
+    input: batch.input,
+    format: roster.format,
+    mapping: batch.mapping,
+    proofFormat: batch.proofFormat,
+    dataModel: batch.dataModel,
+    outDir: batch.outDir,
+    rejectedReport: null,
+    issuer: issuer?.did || batch.previous?.issuer || null,
+    startedAt: batch.previous?.startedAt || new Date().toISOString(),
+    resumedAt: batch.previous ? [...(batch.previous.resumedAt || []), new Date().toISOString()] : [],
+    completedAt: null,
+    results: []
+  }
+
+  // Rows this batch already issued, when resuming
+  const issuedBefore = new Map((batch.previous?.results || [])
+    .filter(r => r.status === 'issued')
+    .map(r => [r.studentId, r]))
+
   console.log('=== Issuing Credentials ===\n')
-  
-  const results = []
-  
-  for (const student of students) {
-    const studentData = {
-      ...student,
-      dateOfIssue: new Date().toISOString().split('T')[0],
-      expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year validity
-      directedBy: 'Example University',
-      location: 'University Campus'
+
+  const seen = new Map()
+  const rejectedRows = []
+
+  for (const { row, values } of roster.rows) {
+    const { student, errors } = mapRosterRow(values, batch.mapping)
+    if (errors.length === 0) {
+      // Field errors from the credential schema, so a dry run reports what issuance would reject
+      validateStudentData(student).errors.forEach(({ field, message }) => errors.push(`${field} ${message}`))
+    }
+    if (student.studentId && seen.has(student.studentId)) {
+      errors.push(`duplicate studentId (also on row ${seen.get(student.studentId)})`)
+    } else if (student.studentId) {
+      seen.set(student.studentId, row)
+    }
+
+    let result
+    if (errors.length > 0) {
+      result = { row, studentId: student.studentId || null, status: 'rejected', errors }
+      rejectedRows.push({ row, errors: errors.join('; '), ...values })
+      console.log(`✗ row ${row}: rejected - ${errors.join('; ')}`)
+    } else if (issuedBefore.has(student.studentId)) {
+      result = { ...issuedBefore.get(student.studentId), row }
+      console.log(`↺ ${student.studentId}: ${student.name} - issued earlier in this batch (${result.credentialId})`)
+    } else {
+      // Idempotency: a student who already holds a usable student card is not issued another
+      const latest = await loadVC(student.studentId, { template: DEFAULT_TEMPLATE })
+      const state = latest && credentialState(latest)
+
+      if (latest && SKIP_STATES.includes(state)) {
+        result = { row, studentId: student.studentId, name: student.name, status: 'skipped', credentialId: latest.id, reason: `latest credential is ${state}` }
+        console.log(`- ${student.studentId}: ${student.name} - skipped, latest credential is ${state}`)
+      } else if (dryRun) {
+        result = { row, studentId: student.studentId, name: student.name, status: 'would-issue' }
+        console.log(`○ ${student.studentId}: ${student.name} - ${student.title} (would issue)`)
+      } else {
+        try {
+          const issued = await issueStudentCredential(agent, issuer, student, { operator, proofFormat: batch.proofFormat, dataModel: batch.dataModel })
+          fs.mkdirSync(batch.outDir, { recursive: true })
+          // A Data Integrity credential has no compact form: the signed JSON-LD document is written instead
+          const jwtFile = path.join(batch.outDir, `${student.studentId}.${batch.proofFormat === 'lds' ? 'jsonld' : batch.proofFormat}`)
+          fs.writeFileSync(jwtFile, issued.jwt || JSON.stringify(issued.vc, null, 2))
+
+          result = {
+            row,
+            studentId: student.studentId,
+            name: student.name,
+            status: 'issued',
+            credentialId: issued.credentialId,
+            jwtFile,
+            issuer: issued.vc.issuer.id,
+            issuedAt: issued.vc.issuanceDate
+          }
+          console.log(`✓ ${student.studentId}: ${student.name} - ${student.title}`)
+        } catch (error) {
+          result = { row, studentId: student.studentId, name: student.name, status: 'failed', error: error.message }
+          console.log(`✗ ${student.studentId}: ${student.name} - ERROR: ${error.message}`)
+        }
+      }
+    }
+
+    manifest.results.push(result)
+    if (!dryRun) {
+      saveManifest(batch.manifestPath, manifest)
+    }
+  }
+
+  const count = status => manifest.results.filter(r => r.status === status).length
+
+  if (!dryRun) {
+    if (rejectedRows.length > 0) {
+      fs.writeFileSync(batch.rejectedPath, toCsv(rejectedRows, ['row', 'errors', ...roster.columns]))
+      manifest.rejectedReport = batch.rejectedPath
+    } else {
+      // Left over from an earlier run of this batch
+      fs.rmSync(batch.rejectedPath, { force: true })
     }
-    
-    try {
-      const result = await issueStudentCredential(agent, issuer, studentData)
-      results.push({
-        studentId: student.studentId,
-        name: student.name,
-        success: true,
-        issuer: result.vc.issuer.id
-      })
-      console.log(`✓ ${student.studentId}: ${student.name} - ${student.title}`)
-    } catch (error) {
-      results.push({
-        studentId: student.studentId,
-        name: student.name,
-        success: false,
-        error: error.message
-      })
-      console.log(`✗ ${student.studentId}: ${student.name} - ERROR: ${error.message}`)
+    if (count('failed') === 0) {
+      manifest.completedAt = new Date().toISOString()
     }
+    saveManifest(batch.manifestPath, manifest)
   }
-  
+
   // Summary
   console.log('\n=== Issuance Summary ===')
-  console.log(`Total credentials issued: ${results.filter(r => r.success).length}/${students.length}`)
-  console.log(`Failed: ${results.filter(r => !r.success).length}`)
-  
+  if (dryRun) {
+    console.log(`Would issue: ${count('would-issue')}/${roster.rows.length}`)
+  } else {
+    console.log(`Total credentials issued: ${count('issued')}/${roster.rows.length}`)
+    console.log(`Failed: ${count('failed')}`)
+  }
+  console.log(`Skipped (already hold a credential): ${count('skipped')}`)
+  console.log(`Rejected: ${count('rejected')}`)
+
   // Verify all have same issuer
-  const issuers = [...new Set(results.filter(r => r.success).map(r => r.issuer))]
-  console.log(`\nUnique issuer DIDs: ${issuers.length}`)
+  const issuers = [...new Set(manifest.results.filter(r => r.status === 'issued').map(r => r.issuer))]
   if (issuers.length === 1) {
-    console.log('✓ SUCCESS: All credentials signed by same issuer!')
+    console.log('\n✓ All credentials in this batch signed by the same issuer')
     console.log(`  Issuer DID: ${issuers[0]}`)
-  } else {
-    console.log('⚠ WARNING: Multiple issuer DIDs found')
+  } else if (issuers.length > 1) {
+    console.log('\n⚠ WARNING: Multiple issuer DIDs found (key rotated between runs)')
     issuers.forEach((did, i) => console.log(`  ${i + 1}. ${did}`))
   }
-  
+
+  if (dryRun) {
+    console.log('\nDry run: nothing was issued. Run again without --dry-run to issue.')
+    return
+  }
+
+  console.log(`\nManifest: ${batch.manifestPath}`)
+  if (manifest.rejectedReport) {
+    console.log(`Rejected rows: ${manifest.rejectedReport}`)
+  }
+  if (count('failed') > 0 || count('rejected') > 0) {
+    console.log('\nFix the roster, then resume the batch:')
+    console.log(`  node batch-issue.js --resume ${batch.manifestPath}`)
+  }
+
+  const exampleId = manifest.results.find(r => r.credentialId)?.studentId || '2025001'
   console.log('\n=== Next Steps ===')
   console.log('View all credentials:')
   console.log('  node issue.js list')
   console.log('\nVerify a credential:')
-  console.log('  node issue.js verify 2025001')
-  console.log('\nView stored credential:')
-  console.log('  cat .storage/credentials/2025001.json')
+  console.log(`  node issue.js verify ${exampleId}`)
   console.log('\nExtract JWT token:')
-  console.log('  cat .storage/credentials/2025001.json | grep \'"jwt"\' | cut -d\'"\' -f4')
+  console.log(`  node extract-vc.js ${exampleId} jwt`)
   console.log()
 }
 
+if (args.includes('--help') || args.includes('-h')) {
+  showHelp()
+  process.exit(0)
+}
+
 // Run batch issuance
 batchIssue().catch(error => {
   console.error('Error in batch issuance:', error.message)
@@ -1,11 +1,26 @@
 #!/usr/bin/env node
 // cli.js - Command-line tool for VC operations
+import fs from 'fs'
 import { setupAgent } from './src/agent.js'
-import { createCredentialPayload, exportCredentialJWT, importCredentialFromJWT } from './src/helpers.js'
+import { createCredentialPayload, exportCredentialJWT, createChallenge, createStudentPresentation, validatePresentation, verifyAnyCredential, didMethodOf, checkTrustRegistry, checkUniversityIssuerKey } from './src/helpers.js'
+import { isDataIntegrityCredential } from './src/dataIntegrity.js'
+import { checkCredentialSchema } from './src/schemaRegistry.js'
+import { createAuthorizationRequest, getAuthorizationRequest } from './src/oid4vp.js'
+import { IssuerIdentityService, deriveIssuerKey, loadIssuerKeyFile } from './src/issuerIdentity.js'
+import { universityIssuerDids } from './src/issuerKeys.js'
+import { TRUST_LIST_FILE, createTrustList, readTrustList, writeTrustList, signTrustListEntry, setTrustListEntry, removeTrustListEntry, verifyTrustList } from './src/trustRegistry.js'
+import { vcApiBaseUrl } from './src/vcApi.js'
+import qrcode from 'qrcode-terminal'
 
 const command = process.argv[2]
 const jwtInput = process.argv[3]
 
+// Value of a --flag <value> option
+function getOption(name) {
+  const index = process.argv.indexOf(name)
+  return index >= 0 ? process.argv[index + 1] : undefined
+}
+
 async function generateVC() {
   console.log('=== Generating Verifiable Credential ===\n')
   
@@ -45,23 +60,218 @@ async function generateVC() {
   console.log(`\nToken Length: ${jwt.length} characters`)
   console.log('\nTo verify this credential, run:')
   console.log(`node cli.js verify "${jwt}"`)
+  
+  // With a verifier's challenge, the subject (holder) also presents the credential
+  const challenge = getOption('--challenge')
+  const domain = getOption('--domain')
+  if (challenge && domain) {
+    const vp = await createStudentPresentation(agent, subject, [vc], { challenge, domain })
+    
+    console.log('\n=== Presentation Generated (holder: subject DID) ===')
+    console.log('\nPresentation JWT:')
+    console.log('----------------------------------------')
+    console.log(vp.proof.jwt)
+    console.log('----------------------------------------')
+    console.log('\nTo verify this presentation, run:')
+    console.log(`node cli.js verify-presentation "${vp.proof.jwt}" --challenge ${challenge} --domain ${domain}`)
+  }
+}
+
+function newChallenge() {
+  const domain = jwtInput || 'https://verifier.example'
+  const challenge = createChallenge()
+  
+  console.log('=== Presentation Request ===\n')
+  console.log(`Challenge: ${challenge}`)
+  console.log(`Domain: ${domain}`)
+  console.log('\nThe holder signs a presentation bound to these values:')
+  console.log(`node cli.js generate --challenge ${challenge} --domain ${domain}`)
+  console.log('\nAccept each challenge only once; a presentation carrying a used challenge is a replay.')
 }
 
-async function verifyVC(jwt) {
-  if (!jwt) {
+async function verifyPresentationJWT(jwt) {
+  const challenge = getOption('--challenge')
+  const domain = getOption('--domain')
+  // Only an SD-JWT VC that is not bound to a holder key can be presented without a challenge
+  const requireKeyBinding = !process.argv.includes('--no-key-binding')
+  
+  if (!jwt || jwt.startsWith('--') || ((!challenge || !domain) && requireKeyBinding)) {
+    console.error('Error: Please provide a presentation JWT and the challenge and domain you issued')
+    console.log('Usage: node cli.js verify-presentation "VP_JWT" --challenge <nonce> --domain <domain> [--trusted-issuer <did>]')
+    console.log('       node cli.js verify-presentation "SD_JWT" --no-key-binding   (SD-JWT VC not bound to a holder key)')
+    process.exit(1)
+  }
+  
+  console.log('=== Verifying Verifiable Presentation ===\n')
+  
+  const agent = setupAgent()
+  const trustedIssuer = getOption('--trusted-issuer')
+  const result = await validatePresentation(agent, jwt, {
+    challenge,
+    domain,
+    requireKeyBinding,
+    trustedIssuers: trustedIssuer ? [trustedIssuer] : [],
+    trustRegistry: process.argv.includes('--no-trust-list') ? false : undefined,
+    validateSchema: process.argv.includes('--schema')
+  })
+  
+  if (result.format === 'sd-jwt') {
+    printSdJwtResult(result)
+    return
+  }
+  
+  console.log(`Holder: ${result.holder || 'unknown'}`)
+  console.log(`Holder signature: ${result.signatureValid ? '✓ VALID' : '✗ INVALID'}`)
+  console.log(`Challenge: ${result.challengeValid ? '✓ MATCHES' : '✗ MISMATCH'}`)
+  console.log(`Domain: ${result.domainValid ? '✓ MATCHES' : '✗ MISMATCH'}`)
+  
+  result.credentials.forEach(credential => {
+    const ok = credential.errors.length === 0
+    console.log(`\nCredential ${credential.index}: ${ok ? '✓ VALID' : '✗ INVALID'}`)
+    console.log(`  Subject: ${credential.subject}`)
+  })
+  
+  if (result.errors.length === 0) {
+    console.log('\n✓ PRESENTATION VERIFIED: holder controls the credentials and the presentation is fresh')
+  } else {
+    console.log('\n✗ PRESENTATION REJECTED')
+    result.errors.forEach(error => console.log(`  - ${error}`))
+    process.exit(1)
+  }
+}
+
+function printSdJwtResult(result) {
+  console.log('Format: SD-JWT VC')
+  console.log(`Issuer: ${result.issuer || 'unknown'}`)
+  console.log(`Issuer signature: ${result.signatureValid ? '✓ VALID' : '✗ INVALID'}`)
+  if (result.keyBindingValid === null) {
+    console.log('Key binding: - not used')
+  } else {
+    console.log(`Key binding: ${result.keyBindingValid ? `✓ VALID (holder ${result.holder})` : '✗ MISSING'}`)
+  }
+  if (result.keyBindingValid) {
+    console.log(`Challenge: ${result.challengeValid ? '✓ MATCHES' : '✗ MISMATCH'}`)
+    console.log(`Domain: ${result.domainValid ? '✓ MATCHES' : '✗ MISMATCH'}`)
+  }
+  
+  if (result.credentialSubject) {
+    console.log(`\nDisclosed claims (${result.disclosed.length} disclosed, ${result.undisclosed} withheld):`)
+    Object.entries(result.credentialSubject).forEach(([name, value]) => {
+      console.log(`  ${name}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    })
+  }
+  
+  if (result.errors.length === 0) {
+    console.log('\n✓ PRESENTATION VERIFIED: only the disclosed claims above were revealed')
+  } else {
+    console.log('\n✗ PRESENTATION REJECTED')
+    result.errors.forEach(error => console.log(`  - ${error}`))
+    process.exit(1)
+  }
+}
+
+async function requestPresentation(template) {
+  const trustedIssuer = getOption('--trusted-issuer')
+  const trustedIssuers = trustedIssuer ? [trustedIssuer] : universityIssuerDids()
+  if (trustedIssuers.length === 0) {
+    console.error('Error: No university issuer yet; name the issuer to trust with --trusted-issuer <did>')
+    process.exit(1)
+  }
+  
+  // The wallet posts its answer to the VC-API service (node issue.js serve, at VC_API_BASE_URL)
+  const baseUrl = vcApiBaseUrl()
+  const fields = (getOption('--field') || '').split(',').map(name => name.trim()).filter(Boolean)
+  const created = await createAuthorizationRequest(baseUrl, {
+    template: template && !template.startsWith('--') ? template : undefined,
+    fields,
+    trustedIssuers,
+    limitDisclosure: process.argv.includes('--limit-disclosure')
+  })
+  const descriptor = created.request.presentation_definition.input_descriptors[0]
+  
+  console.log('=== OID4VP Presentation Request ===\n')
+  console.log(`Requested: ${descriptor.purpose}`)
+  console.log(`Trusted issuers: ${trustedIssuers.join(', ')}`)
+  console.log(`Claims: ${fields.length > 0 ? fields.join(', ') : 'none beyond type and issuer'}`)
+  console.log(`Response URI: ${created.request.response_uri}`)
+  console.log(`Expires: ${created.expiresAt}`)
+  console.log('\nScan with the student\'s wallet:')
+  qrcode.generate(created.requestUri, { small: true })
+  console.log(created.requestUri)
+  console.log('\nThe wallet answers with: node holder.js respond "<request-uri>"')
+  console.log(`Then read the result: node cli.js request-result ${created.state}`)
+}
+
+function showRequestResult(state) {
+  if (!state) {
+    console.error('Error: Please provide the state of a presentation request')
+    console.log('Usage: node cli.js request-result <state>')
+    process.exit(1)
+  }
+  
+  const request = getAuthorizationRequest(state)
+  if (!request) {
+    console.error(`Error: Presentation request not found or expired: ${state}`)
+    process.exit(1)
+  }
+  
+  console.log('=== OID4VP Presentation Result ===\n')
+  console.log(`Request: ${request.definition.name} (${request.definition.id})`)
+  console.log(`Status: ${request.status}`)
+  if (!request.result) {
+    console.log('\nNo response from the wallet yet')
+    return
+  }
+  
+  const { result } = request
+  console.log(`Holder: ${result.holder || 'unknown'}`)
+  for (const item of result.descriptors || []) {
+    console.log(`\n${item.id} (${item.format}): ${item.errors.length === 0 ? '✓ SATISFIED' : '✗ NOT SATISFIED'}`)
+    if (item.credential) {
+      console.log(`  Issuer: ${item.credential.issuer}`)
+      Object.entries(item.credential.credentialSubject).forEach(([name, value]) => {
+        console.log(`  ${name}: ${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      })
+    }
+  }
+  
+  if (result.verified) {
+    console.log('\n✓ PRESENTATION ACCEPTED: the submission satisfies the presentation definition')
+  } else {
+    console.log('\n✗ PRESENTATION REJECTED')
+    result.errors.forEach(error => console.log(`  - ${error}`))
+    process.exit(1)
+  }
+}
+
+async function verifyVC(input) {
+  if (!input) {
     console.error('Error: Please provide a JWT token to verify')
-    console.log('Usage: node cli.js verify "YOUR_JWT_TOKEN_HERE"')
+    console.log('Usage: node cli.js verify "YOUR_JWT_TOKEN_HERE" [--schema]')
+    console.log('       node cli.js verify <credential.jsonld>   (JSON-LD credential with a Data Integrity proof)')
+    process.exit(1)
+  }
+  
+  // A JWT, or a JSON-LD credential given inline or as a file
+  const text = fs.existsSync(input) ? fs.readFileSync(input, 'utf-8').trim() : input
+  const ldCredential = text.startsWith('{') ? JSON.parse(text) : null
+  if (ldCredential && !isDataIntegrityCredential(ldCredential)) {
+    console.error('Error: JSON credential has no Ed25519Signature2020 proof')
     process.exit(1)
   }
   
   console.log('=== Verifying Verifiable Credential ===\n')
-  console.log(`JWT Length: ${jwt.length} characters\n`)
+  if (ldCredential) {
+    console.log(`Data Integrity proof: ${ldCredential.proof.type}\n`)
+  } else {
+    console.log(`JWT Length: ${text.length} characters\n`)
+  }
   
   const agent = setupAgent()
   
   try {
-    const credential = importCredentialFromJWT(jwt)
-    const verification = await agent.verifyCredential({ credential })
+    // Either data model; the result reads the same for both
+    const verification = await verifyAnyCredential(agent, ldCredential || text)
     
     if (verification.verified) {
       console.log('✓ VERIFICATION SUCCESSFUL\n')
@@ -70,18 +280,53 @@ async function verifyVC(jwt) {
       
       const vc = verification.verifiableCredential
       console.log(`Issuer: ${vc.issuer.id}`)
+      console.log(`DID Method: did:${didMethodOf(vc.issuer.id)}`)
+      console.log(`Verification Method: ${verification.verificationMethod || 'unknown'}`)
       console.log(`Subject: ${vc.credentialSubject.id}`)
-      console.log(`Issued: ${vc.issuanceDate}`)
+      console.log(`Data Model: VCDM ${vc.dataModel}`)
+      console.log(`Issued: ${vc.validFrom}`)
       
-      if (vc.expirationDate) {
-        const expired = new Date(vc.expirationDate) < new Date()
-        console.log(`Expiration: ${vc.expirationDate} ${expired ? '[EXPIRED]' : '[VALID]'}`)
+      if (vc.validUntil) {
+        const expired = new Date(vc.validUntil) < new Date()
+        console.log(`Expiration: ${vc.validUntil} ${expired ? '[EXPIRED]' : '[VALID]'}`)
       }
       
       console.log('\nCredential Subject Data:')
       console.log(JSON.stringify(vc.credentialSubject, null, 2))
       
-      console.log('\n✓ Credential is cryptographically valid')
+      // A retired university key (possibly leaked) only counts for credentials issued before its retirement
+      const issuerKeyError = checkUniversityIssuerKey(vc.issuer.id, ldCredential ? { format: 'lds', credential: ldCredential } : { format: 'jwt', jwt: text })
+      if (issuerKeyError) {
+        console.log('\nIssuer Key: ✗ REJECTED')
+        console.log(`  - ${issuerKeyError}`)
+        console.log('\n✗ Credential is cryptographically valid, but its issuer key was not active when it was issued')
+        process.exit(1)
+      }
+      
+      // The issuer must be accredited on the trust list (VC_TRUST_LIST, signed by VC_TRUST_AUTHORITY)
+      const checkTrust = !process.argv.includes('--no-trust-list')
+      if (checkTrust) {
+        const trust = await checkTrustRegistry(agent, null, { issuer: vc.issuer.id, types: [].concat(vc.type || []), issuedAt: vc.validFrom })
+        console.log(`\nIssuer Trust: ${trust.trusted ? `✓ TRUSTED (${trust.entry.name || trust.entry.issuer}, accredited until ${trust.entry.validUntil})` : '✗ UNTRUSTED'}`)
+        if (!trust.trusted) {
+          console.log(`  - ${trust.reason}`)
+          console.log('\n✗ Credential is cryptographically valid, but its issuer is not trusted')
+          process.exit(1)
+        }
+      }
+      
+      // Optional: the claims must also match the schema the credential names
+      if (process.argv.includes('--schema')) {
+        const schemaCheck = checkCredentialSchema(vc)
+        console.log(`\nSchema: ${schemaCheck.valid ? '✓ VALID' : '✗ INVALID'} (${schemaCheck.schemaId || 'none'})`)
+        schemaCheck.errors.forEach(({ field, message }) => console.log(`  - ${field} ${message}`))
+        if (!schemaCheck.valid) {
+          console.log('\n✗ Credential is cryptographically valid, but fails schema validation')
+          process.exit(1)
+        }
+      }
+      
+      console.log(`\n✓ Credential is cryptographically valid${checkTrust ? ' and its issuer is accredited' : ''}`)
     } else {
       console.log('✗ VERIFICATION FAILED\n')
       console.log('Error:', verification.error?.message || 'Unknown error')
@@ -89,7 +334,97 @@ async function verifyVC(jwt) {
   } catch (error) {
     console.log('✗ VERIFICATION ERROR\n')
     console.log('Error:', error.message)
-    console.log('\nPlease ensure the JWT token is valid and properly formatted')
+    console.log(ldCredential ? '\nPlease ensure the credential JSON is intact' : '\nPlease ensure the JWT token is valid and properly formatted')
+  }
+}
+
+// Accreditation authority identity from its key file, in a throwaway agent
+async function authorityFromKeyFile() {
+  const keyFile = getOption('--authority-key')
+  if (!keyFile) {
+    throw new Error('Entries are signed by the accreditation authority: --authority-key <file> (JWK or PEM)')
+  }
+  const keyType = getOption('--key-type') || 'Ed25519'
+  const agent = setupAgent()
+  const authority = await new IssuerIdentityService(agent).importKey(deriveIssuerKey(loadIssuerKeyFile(keyFile, keyType), keyType), 'AccreditationAuthority')
+  return { agent, authority }
+}
+
+async function manageTrustList(action, issuerDid) {
+  const file = getOption('--list') || process.env.VC_TRUST_LIST || TRUST_LIST_FILE
+  
+  switch (action) {
+    case 'add': {
+      const types = (getOption('--types') || '').split(',').map(type => type.trim()).filter(Boolean)
+      const validUntil = getOption('--valid-until')
+      if (!issuerDid || issuerDid.startsWith('--') || types.length === 0 || !validUntil) {
+        console.error('Error: Please provide the issuer DID, its credential types and the end of its accreditation')
+        console.log('Usage: node cli.js trust add <issuer-did> --types <type,type> --valid-until <date> --authority-key <file>')
+        console.log('         [--name <issuer name>] [--valid-from <date>] [--key-type Ed25519|Secp256k1|Secp256r1] [--list <file>]')
+        process.exit(1)
+      }
+      
+      const { agent, authority } = await authorityFromKeyFile()
+      const list = fs.existsSync(file) ? readTrustList(file) : createTrustList(authority.did)
+      const entry = await signTrustListEntry(agent, authority.did, {
+        issuer: issuerDid,
+        name: getOption('--name'),
+        credentialTypes: types,
+        validFrom: getOption('--valid-from') || new Date().toISOString(),
+        validUntil
+      })
+      writeTrustList(setTrustListEntry(list, entry), file)
+      
+      console.log(`✓ ${issuerDid} accredited for ${types.join(', ')}`)
+      console.log(`  Valid: ${entry.validFrom} to ${entry.validUntil}`)
+      console.log(`  Trust list: ${file} (${list.entries.length} issuer${list.entries.length === 1 ? '' : 's'})`)
+      console.log(`\nVerifiers accept this list with: VC_TRUST_AUTHORITY=${authority.did} VC_TRUST_LIST=${file}`)
+      break
+    }
+    
+    case 'remove': {
+      const list = readTrustList(file)
+      if (!removeTrustListEntry(list, issuerDid)) {
+        console.error(`Error: ${issuerDid} is not on the trust list ${file}`)
+        process.exit(1)
+      }
+      writeTrustList(list, file)
+      console.log(`✓ ${issuerDid} removed from ${file}`)
+      break
+    }
+    
+    case 'show':
+    case undefined: {
+      const list = readTrustList(file)
+      const authorities = (process.env.VC_TRUST_AUTHORITY || '').split(',').map(did => did.trim()).filter(Boolean)
+      console.log(`=== ${list.name} ===\n`)
+      console.log(`File: ${file}`)
+      console.log(`Authority: ${list.authority}`)
+      if (authorities.length === 0) {
+        console.log('⚠ VC_TRUST_AUTHORITY is not set: signatures are checked against the list\'s own authority, which verifiers will not accept')
+      }
+      
+      const registry = await verifyTrustList(setupAgent(), list, { authorities: authorities.length > 0 ? authorities : [list.authority] })
+      registry.entries.forEach(entry => {
+        const current = Date.parse(entry.validFrom) <= Date.now() && Date.now() <= Date.parse(entry.validUntil)
+        console.log(`\n✓ ${entry.name || entry.issuer}${current ? '' : ' (not currently accredited)'}`)
+        console.log(`  Issuer: ${entry.issuer}`)
+        console.log(`  Types: ${entry.credentialTypes.join(', ')}`)
+        console.log(`  Valid: ${entry.validFrom} to ${entry.validUntil}`)
+      })
+      registry.rejected.forEach(entry => {
+        console.log(`\n✗ ${entry.issuer}`)
+        console.log(`  Signature rejected: ${entry.reason}`)
+      })
+      if (registry.rejected.length > 0) {
+        process.exit(1)
+      }
+      break
+    }
+    
+    default:
+      console.error(`Unknown trust command: ${action} (expected add, remove or show)`)
+      process.exit(1)
   }
 }
 
@@ -98,15 +433,39 @@ function showHelp() {
   console.log('=========================\n')
   console.log('Commands:')
   console.log('  generate    Generate a new verifiable credential')
-  console.log('  verify      Verify an existing credential from JWT\n')
+  console.log('  verify      Verify an existing credential (JWT, or JSON-LD with a Data Integrity proof)')
+  console.log('  challenge   Create a presentation request (challenge + domain)')
+  console.log('  verify-presentation  Verify a presentation (JWT VP or SD-JWT VC) against your challenge and domain')
+  console.log('  request     Create an OID4VP presentation request (QR code) answered by direct_post')
+  console.log('  request-result  Show the evaluated response to a presentation request')
+  console.log('  trust       Manage a trust list of accredited issuers (accreditation authority)\n')
   console.log('Usage:')
-  console.log('  node cli.js generate')
-  console.log('  node cli.js verify "JWT_TOKEN_HERE"\n')
+  console.log('  node cli.js generate [--challenge <nonce> --domain <domain>]')
+  console.log('  node cli.js verify "JWT_TOKEN_HERE" [--schema] [--no-trust-list]')
+  console.log('  node cli.js verify student_2025001_vc.jsonld')
+  console.log('  node cli.js challenge [domain]')
+  console.log('  node cli.js verify-presentation "VP_JWT" --challenge <nonce> --domain <domain> [--trusted-issuer <did>]')
+  console.log('  node cli.js request [template] [--field <claim,claim>] [--trusted-issuer <did>] [--limit-disclosure]')
+  console.log('  node cli.js request-result <state>')
+  console.log('  node cli.js trust add <issuer-did> --types <type,type> --valid-until <date> --authority-key <file> [--name <name>]')
+  console.log('  node cli.js trust remove <issuer-did>')
+  console.log('  node cli.js trust show\n')
+  console.log('--schema also re-validates the credential subject against the credential\'s credentialSchema.')
+  console.log('verify and verify-presentation reject issuers not accredited on the trust list: VC_TRUST_LIST')
+  console.log('(default .storage/trust/trust-list.json), signed by the authority in VC_TRUST_AUTHORITY.')
+  console.log('--no-trust-list skips that check.\n')
   console.log('Examples:')
   console.log('  # Generate a new VC')
   console.log('  node cli.js generate\n')
   console.log('  # Verify a VC')
   console.log('  node cli.js verify "eyJhbGciOiJFZERTQSIsInR5c..."\n')
+  console.log('  # Authenticate a holder')
+  console.log('  node cli.js challenge https://verifier.example')
+  console.log('  node cli.js generate --challenge <nonce> --domain https://verifier.example')
+  console.log('  node cli.js verify-presentation "eyJhbGciOiJFZERTQSIsInR5c..." --challenge <nonce> --domain https://verifier.example\n')
+  console.log('  # Request a student card over OID4VP (answered to node issue.js serve)')
+  console.log('  node cli.js request student-card --field name,title')
+  console.log('  node cli.js request-result <state>\n')
 }
 
 // Main execution
@@ -133,6 +492,36 @@ switch (command.toLowerCase()) {
     })
     break
     
+  case 'challenge':
+    newChallenge()
+    break
+    
+  case 'verify-presentation':
+  case 'verify-vp':
+    verifyPresentationJWT(jwtInput).catch(error => {
+      console.error('Error verifying presentation:', error.message)
+      process.exit(1)
+    })
+    break
+    
+  case 'request':
+    requestPresentation(jwtInput).catch(error => {
+      console.error('Error creating presentation request:', error.message)
+      process.exit(1)
+    })
+    break
+    
+  case 'request-result':
+    showRequestResult(jwtInput)
+    break
+    
+  case 'trust':
+    manageTrustList(jwtInput, process.argv[4]).catch(error => {
+      console.error('Error managing trust list:', error.message)
+      process.exit(1)
+    })
+    break
+    
   case 'help':
   case '--help':
   case '-h':
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Credential anchor registry
+/// @notice Records the SHA-256 hash of each issued credential and its lifecycle status.
+/// Only hashes are stored: no credential id, claim or student identifier reaches the chain.
+contract CredentialAnchorRegistry {
+    enum Status { None, Active, Suspended, Revoked }
+
+    struct Anchor {
+        address issuer;      // account that anchored the credential; only it may change the status
+        Status status;
+        uint64 anchoredAt;
+        uint64 updatedAt;
+    }
+
+    mapping(bytes32 => Anchor) private anchors;
+
+    event CredentialAnchored(bytes32 indexed credentialHash, address indexed issuer);
+    event StatusChanged(bytes32 indexed credentialHash, address indexed issuer, Status status);
+
+    /// @notice Anchor a newly issued credential as Active
+    function anchor(bytes32 credentialHash) external {
+        require(anchors[credentialHash].issuer == address(0), "Already anchored");
+        anchors[credentialHash] = Anchor(msg.sender, Status.Active, uint64(block.timestamp), uint64(block.timestamp));
+        emit CredentialAnchored(credentialHash, msg.sender);
+    }
+
+    /// @notice Record a status change; a revoked credential stays revoked
+    function setStatus(bytes32 credentialHash, Status status) external {
+        Anchor storage entry = anchors[credentialHash];
+        require(entry.issuer != address(0), "Not anchored");
+        require(entry.issuer == msg.sender, "Only the issuer can change the status");
+        require(status != Status.None, "Invalid status");
+        require(entry.status != Status.Revoked, "Credential is revoked");
+        entry.status = status;
+        entry.updatedAt = uint64(block.timestamp);
+        emit StatusChanged(credentialHash, msg.sender, status);
+    }
+
+    /// @notice The anchor of a credential hash (issuer is the zero address if it was never anchored)
+    function getAnchor(bytes32 credentialHash) external view returns (address issuer, Status status, uint64 anchoredAt, uint64 updatedAt) {
+        Anchor storage entry = anchors[credentialHash];
+        return (entry.issuer, entry.status, entry.anchoredAt, entry.updatedAt);
+    }
+}
@@ -0,0 +1,50 @@
+// contracts/compile.js - Compile CredentialAnchorRegistry.sol into the ABI and bytecode the anchoring module deploys
+// Run with: npm run compile:contracts (needs the solc dev dependency)
+// The artifact is committed, since deployments must not need solc; rebuild it whenever the .sol changes
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import solc from 'solc'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const CONTRACT = 'CredentialAnchorRegistry'
+// Paris (no PUSH0) runs on ganache and on any current dev node or chain
+const EVM_VERSION = 'paris'
+
+const sourceName = `${CONTRACT}.sol`
+const source = fs.readFileSync(path.join(__dirname, sourceName), 'utf-8')
+const input = {
+  language: 'Solidity',
+  sources: { [sourceName]: { content: source } },
+  settings: {
+    evmVersion: EVM_VERSION,
+    optimizer: { enabled: true, runs: 200 },
+    outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+  }
+}
+
+const output = JSON.parse(solc.compile(JSON.stringify(input)))
+const errors = (output.errors || []).filter(error => error.severity === 'error')
+if (errors.length > 0) {
+  errors.forEach(error => console.error(error.formattedMessage))
+  process.exit(1)
+}
+
+const compiled = output.contracts[sourceName][CONTRACT]
+const artifact = {
+  contractName: CONTRACT,
+  sourceName,
+  // Lets the test suite notice an artifact older than its source
+  sourceHash: crypto.createHash('sha256').update(source).digest('hex'),
+  compiler: `solc ${solc.version()}`,
+  evmVersion: EVM_VERSION,
+  abi: compiled.abi,
+  bytecode: `0x${compiled.evm.bytecode.object}`
+}
+const artifactPath = path.join(__dirname, `${CONTRACT}.json`)
+fs.writeFileSync(artifactPath, JSON.stringify(artifact, null, 2) + '\n')
+console.log(`✓ ${CONTRACT} compiled with ${artifact.compiler} (${EVM_VERSION})`)
+console.log(`  Artifact: ${artifactPath}`)
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+// deploy-anchor.js - Deploy the credential anchor registry contract and record where it lives
+import { withChain, deployAnchorRegistry, loadAnchorDeployment, saveAnchorDeployment, ANCHOR_REGISTRY_ARTIFACT } from './src/anchorRegistry.js'
+
+const args = process.argv.slice(2)
+
+function showHelp() {
+  console.log('Usage: node deploy-anchor.js [--force]\n')
+  console.log('Deploys CredentialAnchorRegistry (contracts/) and records it in .storage/anchor-deployment.json;')
+  console.log('from then on every issued credential and status change is anchored.\n')
+  console.log('Options:')
+  console.log('  --force                 Deploy a new registry even if one is already deployed on the chain\n')
+  console.log('Environment:')
+  console.log('  ANCHOR_RPC_URL          JSON-RPC URL of an EVM dev node (default: in-process chain in .storage/chain)')
+  console.log('  ANCHOR_PRIVATE_KEY      Account that deploys and anchors (default: the node\'s first account)')
+  console.log('  ANCHOR_CONTRACT_ADDRESS Use a registry deployed elsewhere instead of the recorded one\n')
+  console.log('Examples:')
+  console.log('  node deploy-anchor.js')
+  console.log('  ANCHOR_RPC_URL=http://127.0.0.1:8545 node deploy-anchor.js')
+}
+
+async function deploy() {
+  const force = args.includes('--force')
+
+  console.log('=== Deploying Credential Anchor Registry ===\n')
+
+  const deployment = await withChain(async chain => {
+    // Keep the registry in use unless asked otherwise: its anchors would be lost to the issuer
+    const existing = loadAnchorDeployment()
+    if (existing && !force && existing.chainId === chain.chainId && await chain.provider.getCode(existing.address) !== '0x') {
+      console.log(`✓ Registry already deployed at ${existing.address} (chain ${existing.chainId}, ${existing.network})`)
+      console.log('  Use --force to deploy a new one')
+      return null
+    }
+    return deployAnchorRegistry(chain)
+  })
+  if (!deployment) {
+    return
+  }
+
+  const file = saveAnchorDeployment(deployment)
+  console.log(`✓ ${ANCHOR_REGISTRY_ARTIFACT.contractName} deployed`)
+  console.log(`  Address: ${deployment.address}`)
+  console.log(`  Chain: ${deployment.chainId} (${deployment.network})`)
+  console.log(`  Account: ${deployment.account}`)
+  console.log(`  Transaction: ${deployment.txHash} (block ${deployment.blockNumber})`)
+  console.log(`  Recorded in: ${file}`)
+  console.log('\nCredentials issued from now on are anchored; check one with: node issue.js verify <id> --onchain')
+}
+
+if (args.includes('--help') || args.includes('-h')) {
+  showHelp()
+  process.exit(0)
+}
+
+deploy().catch(error => {
+  console.error('Error deploying anchor registry:', error.message)
+  process.exit(1)
+})
@@ -1,15 +1,18 @@
 #!/usr/bin/env node
 // extract-vc.js - Extract a student's VC in different formats
 import fs from 'fs'
+import { loadVC, recordTemplate } from './src/storage.js'
+import { credentialProgram } from './src/credentialRepository.js'
+import { getTemplate } from './src/credentialTemplates.js'
 
-const studentId = process.argv[2]
+const key = process.argv[2]
 const format = process.argv[3] || 'jwt' // jwt, full, or both
 
-if (!studentId) {
-  console.log('Usage: node extract-vc.js <studentId> [format]')
+if (!key) {
+  console.log('Usage: node extract-vc.js <studentId|credentialId|holderDid> [format]')
   console.log('')
   console.log('Formats:')
-  console.log('  jwt   - Extract only JWT token (default)')
+  console.log('  jwt   - Extract only JWT token (default; the signed .jsonld for lds credentials)')
   console.log('  full  - Extract complete VC JSON')
   console.log('  both  - Extract both JWT and full VC')
   console.log('')
@@ -21,24 +24,41 @@ if (!studentId) {
   process.exit(1)
 }
 
-const credentialPath = `.storage/credentials/${studentId}.json`
+// A student ID, student urn or holder DID selects their latest credential
+const vcData = await loadVC(key)
 
-if (!fs.existsSync(credentialPath)) {
-  console.error(`✗ Credential not found for student: ${studentId}`)
-  console.error(`  Looking for: ${credentialPath}`)
+if (!vcData) {
+  console.error(`✗ Credential not found for: ${key}`)
   process.exit(1)
 }
 
-const vcData = JSON.parse(fs.readFileSync(credentialPath, 'utf-8'))
+const studentId = vcData.studentId
 
 console.log(`=== Student Credential: ${studentId} ===`)
+console.log(`Credential ID: ${vcData.id}`)
+console.log(`Type: ${getTemplate(recordTemplate(vcData)).display.name}`)
 console.log(`Name: ${vcData.credential.credentialSubject.name}`)
-console.log(`Program: ${vcData.credential.credentialSubject.title}`)
+if (credentialProgram(vcData.credential)) {
+  console.log(`Program: ${credentialProgram(vcData.credential)}`)
+}
 console.log(`Status: ${vcData.status}`)
+console.log(`Format: ${vcData.format || 'jwt'} (VCDM ${vcData.dataModel || '1.1'})`)
 console.log()
 
-if (format === 'jwt' || format === 'both') {
-  console.log('=== JWT Token ===')
+if ((format === 'jwt' || format === 'both') && vcData.format === 'lds') {
+  // A Data Integrity credential has no JWT: the JSON-LD document with its embedded proof is the credential
+  console.log('=== JSON-LD Credential (Data Integrity proof) ===')
+  console.log(JSON.stringify(vcData.credential, null, 2))
+  console.log()
+  
+  const ldFile = `student_${studentId}_vc.jsonld`
+  fs.writeFileSync(ldFile, JSON.stringify(vcData.credential, null, 2))
+  console.log(`✓ JSON-LD credential saved to: ${ldFile}`)
+  console.log(`  Verify offline with: node cli.js verify ${ldFile}`)
+  console.log()
+} else if (format === 'jwt' || format === 'both') {
+  // An SD-JWT VC is written with every disclosure; the holder picks which to present
+  console.log(vcData.format === 'sd-jwt' ? '=== SD-JWT (all disclosures) ===' : '=== JWT Token ===')
   console.log(vcData.jwt)
   console.log()
   
@@ -63,7 +83,7 @@ if (format === 'full' || format === 'both') {
 
 console.log('=== Usage Instructions ===')
 console.log(`Student ${studentId} can now:`)
-console.log('1. Store the JWT in their wallet/app')
+console.log(`1. Store the ${vcData.format === 'lds' ? 'JSON-LD credential' : 'JWT'} in their wallet/app`)
 console.log('2. Present it to blockchain services for authentication')
 console.log('3. Verify it anytime with:')
 console.log(`   node issue.js verify ${studentId}`)
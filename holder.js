@@ -0,0 +1,348 @@
+#!/usr/bin/env node
+// holder.js - Student wallet: holder DIDs, proofs of control and presentations
+import fs from 'fs'
+import path from 'path'
+import { setupAgent, DID_METHODS } from './src/agent.js'
+import { importCredentialFromJWT, createHolderProof, createStudentPresentation, createSdJwtPresentation } from './src/helpers.js'
+import { isSdJwt, parseSdJwt } from './src/sdJwt.js'
+import { receiveCredentialOffer } from './src/oid4vci.js'
+import { respondToAuthorizationRequest, parseAuthorizationRequestUri } from './src/oid4vp.js'
+import { STORAGE_DIR } from './src/storageDir.js'
+
+// The wallet is the student's, so it has its own keystore and passphrase
+const WALLET_DIR = path.join(STORAGE_DIR, 'wallet/keystore')
+const WALLET_CREDENTIALS_DIR = path.join(STORAGE_DIR, 'wallet/credentials')
+
+const command = process.argv[2]
+const args = process.argv.slice(3)
+
+// Value of a --flag <value> option
+function getOption(name) {
+  const index = args.indexOf(name)
+  return index >= 0 ? args[index + 1] : undefined
+}
+
+function setupWallet() {
+  if (!process.env.VC_WALLET_PASSPHRASE) {
+    throw new Error('Set VC_WALLET_PASSPHRASE to open the wallet keystore')
+  }
+  return setupAgent({ storage: 'file', storageDir: WALLET_DIR, passphrase: process.env.VC_WALLET_PASSPHRASE })
+}
+
+/**
+ * The DID to sign with: --did, or the wallet's only DID
+ */
+async function selectHolder(agent) {
+  const did = getOption('--did')
+  if (did) {
+    return agent.didManagerGet({ did })
+  }
+
+  const identifiers = await agent.didManagerFind()
+  if (identifiers.length === 0) {
+    throw new Error('Wallet has no DID yet; run: node holder.js create')
+  }
+  if (identifiers.length > 1) {
+    throw new Error('Wallet has several DIDs; choose one with --did (see: node holder.js list)')
+  }
+  return identifiers[0]
+}
+
+async function createDID() {
+  const alias = args[0] && !args[0].startsWith('--') ? args[0] : `student-${Date.now()}`
+  const method = getOption('--method') || 'key'
+  if (!DID_METHODS[method]) {
+    throw new Error(`Unknown DID method: ${method} (expected one of ${Object.keys(DID_METHODS).join(', ')})`)
+  }
+  const agent = setupWallet()
+  const identifier = await agent.didManagerCreate({ alias, ...DID_METHODS[method] })
+
+  console.log('=== Holder DID Created ===\n')
+  console.log('Alias:', identifier.alias)
+  console.log('Method:', `did:${method}`)
+  console.log('DID:', identifier.did)
+  console.log('\nGive this DID to the university to get a credential bound to it:')
+  console.log(`  node issue.js holder-challenge <studentId> ${identifier.did}`)
+}
+
+async function listDIDs() {
+  const agent = setupWallet()
+  const identifiers = await agent.didManagerFind()
+
+  console.log('=== Wallet DIDs ===\n')
+  if (identifiers.length === 0) {
+    console.log('No DIDs yet. Create one with: node holder.js create')
+    return
+  }
+  identifiers.forEach((identifier, index) => {
+    console.log(`${index + 1}. ${identifier.alias}`)
+    console.log(`   DID: ${identifier.did}`)
+  })
+}
+
+async function proveControl() {
+  const [challenge, domain] = args
+  if (!challenge || !domain || challenge.startsWith('--') || domain.startsWith('--')) {
+    console.log('Usage: node holder.js prove <challenge> <domain> [--did <did>]')
+    console.log('Challenge and domain come from: node issue.js holder-challenge <studentId> <did>')
+    process.exit(1)
+  }
+
+  const agent = setupWallet()
+  const holder = await selectHolder(agent)
+  const proof = await createHolderProof(agent, holder, { challenge, domain })
+
+  console.log('=== Proof of Control ===\n')
+  console.log('Holder:', holder.did)
+  console.log('Domain:', domain)
+  console.log('\nProof JWT (single use, valid 5 minutes):')
+  console.log(proof.proof.jwt)
+}
+
+// A credential given inline or as a file
+function readCredential(input) {
+  return fs.existsSync(input) ? fs.readFileSync(input, 'utf-8').trim() : input
+}
+
+async function listClaims() {
+  const input = args[0]
+  if (!input || input.startsWith('--')) {
+    console.log('Usage: node holder.js claims <sd-jwt|file>')
+    process.exit(1)
+  }
+
+  const { payload, disclosures } = parseSdJwt(readCredential(input))
+  console.log('=== SD-JWT Claims ===\n')
+  console.log('Always visible:')
+  console.log(`  issuer: ${payload.iss}`)
+  console.log(`  subject: ${payload.sub}`)
+  console.log(`  type: ${payload.vct}`)
+  console.log(`  bound to holder key: ${payload.cnf?.kid || 'no'}`)
+  console.log('\nDisclosable (pick with --disclose):')
+  disclosures.forEach(d => console.log(`  ${d.name}: ${JSON.stringify(d.value)}`))
+}
+
+/**
+ * SD-JWT VC: only the --disclose claims are revealed; a credential bound to the
+ * wallet's key also gets a KB-JWT over the verifier's challenge and domain
+ */
+async function presentSdJwtCredential(sdJwt, challenge, domain) {
+  const disclose = (getOption('--disclose') || '').split(',').map(name => name.trim()).filter(Boolean)
+  const bound = Boolean(parseSdJwt(sdJwt).payload.cnf)
+  if (bound && (!challenge || !domain)) {
+    console.log('This credential is bound to your DID: pass the verifier\'s --challenge and --domain')
+    process.exit(1)
+  }
+
+  const agent = setupWallet()
+  const presentation = await createSdJwtPresentation(agent, sdJwt, {
+    disclose,
+    ...(bound ? { challenge, domain } : {})
+  })
+
+  console.log('=== SD-JWT Presentation ===\n')
+  console.log('Disclosed:', disclose.length > 0 ? disclose.join(', ') : 'nothing beyond issuer, subject and type')
+  console.log('Key binding:', bound ? `✓ KB-JWT for ${domain}` : 'none (credential not bound to a holder key)')
+  console.log('\nPresentation:')
+  console.log(presentation)
+  console.log('\nThe verifier checks it with:')
+  console.log(bound
+    ? `  node cli.js verify-presentation <presentation> --challenge ${challenge} --domain ${domain}`
+    : '  node cli.js verify-presentation <presentation> --no-key-binding')
+}
+
+async function presentCredential() {
+  const input = args[0]
+  const challenge = getOption('--challenge')
+  const domain = getOption('--domain')
+  if (input && !input.startsWith('--') && isSdJwt(readCredential(input))) {
+    return presentSdJwtCredential(readCredential(input), challenge, domain)
+  }
+  if (!input || input.startsWith('--') || !challenge || !domain) {
+    console.log('Usage: node holder.js present <vc-jwt|file> --challenge <nonce> --domain <verifier> [--did <did>]')
+    console.log('       node holder.js present <sd-jwt|file> --disclose <claim,claim> [--challenge <nonce> --domain <verifier>]')
+    process.exit(1)
+  }
+
+  const jwt = readCredential(input)
+  const agent = setupWallet()
+  const holder = await selectHolder(agent)
+  const vp = await createStudentPresentation(agent, holder, [importCredentialFromJWT(jwt)], { challenge, domain })
+
+  console.log('=== Verifiable Presentation ===\n')
+  console.log('Holder:', holder.did)
+  console.log('Domain:', domain)
+  console.log('\nPresentation JWT:')
+  console.log(vp.proof.jwt)
+  console.log('\nThe verifier checks it with:')
+  console.log(`  node cli.js verify-presentation <jwt> --challenge ${challenge} --domain ${domain}`)
+}
+
+/**
+ * Test wallet for OID4VCI: redeem a pre-authorized offer from the issuer service and keep the
+ * credential, bound to the wallet's DID
+ */
+async function receiveCredential() {
+  const input = args[0]
+  if (!input || input.startsWith('--')) {
+    console.log('Usage: node holder.js receive <offer-uri|file> [--tx-code <code>] [--did <did>]')
+    console.log('The offer comes from: node issue.js offer <studentId> <name> ... (with node issue.js serve running)')
+    process.exit(1)
+  }
+
+  const agent = setupWallet()
+  const holder = await selectHolder(agent)
+  const received = await receiveCredentialOffer(agent, holder.did, readCredential(input), { txCode: getOption('--tx-code') })
+
+  const display = received.configuration.credential_metadata?.display?.[0]
+  const ldp = typeof received.credential === 'object'
+  fs.mkdirSync(WALLET_CREDENTIALS_DIR, { recursive: true })
+  const file = path.join(WALLET_CREDENTIALS_DIR, `${received.credentialConfigurationId}-${Date.now()}.${ldp ? 'jsonld' : 'jwt'}`)
+  fs.writeFileSync(file, ldp ? JSON.stringify(received.credential, null, 2) : received.credential)
+
+  console.log('=== Credential Received (OID4VCI) ===\n')
+  console.log('Issuer:', received.issuerMetadata.display?.[0]?.name || received.issuerMetadata.credential_issuer)
+  console.log('Credential:', display?.name || received.credentialConfigurationId)
+  console.log('Format:', received.configuration.format)
+  console.log('Bound to:', holder.did)
+  console.log('Saved to:', path.relative(process.cwd(), file))
+  if (!ldp) {
+    console.log('\nPresent it with:')
+    console.log(`  node holder.js present ${path.relative(process.cwd(), file)} --challenge <nonce> --domain <verifier>`)
+  }
+  console.log('\nOr answer a verifier\'s OID4VP request with it:')
+  console.log('  node holder.js respond "openid4vp://?..."')
+}
+
+/**
+ * Test wallet for OID4VP: answer a verifier's request with the credentials received into the
+ * wallet (or the files given), presenting the first that satisfies each input descriptor
+ */
+async function respondToRequest() {
+  const input = args[0]
+  if (!input || input.startsWith('--')) {
+    console.log('Usage: node holder.js respond <request-uri|file> [credential files...] [--did <did>]')
+    console.log('The request comes from: node cli.js request <template> (answered to node issue.js serve)')
+    process.exit(1)
+  }
+
+  const files = args.slice(1).filter((arg, i, list) => !arg.startsWith('--') && !list[i - 1]?.startsWith('--'))
+  const walletFiles = fs.existsSync(WALLET_CREDENTIALS_DIR)
+    ? fs.readdirSync(WALLET_CREDENTIALS_DIR).sort().map(name => path.join(WALLET_CREDENTIALS_DIR, name))
+    : []
+  const credentials = (files.length > 0 ? files : walletFiles).map(file => {
+    const text = readCredential(file)
+    return text.startsWith('{') ? JSON.parse(text) : text
+  })
+  if (credentials.length === 0) {
+    console.log('No credentials in the wallet: receive one with node holder.js receive <offer-uri>, or name the files')
+    process.exit(1)
+  }
+
+  const requestUri = readCredential(input)
+  const request = parseAuthorizationRequestUri(requestUri)
+  const agent = setupWallet()
+  const holder = await selectHolder(agent)
+  const { presented } = await respondToAuthorizationRequest(agent, holder.did, requestUri, credentials)
+
+  console.log('=== Presentation Sent (OID4VP) ===\n')
+  console.log('Verifier:', request.client_metadata?.client_name || request.client_id)
+  console.log('Request:', request.presentation_definition.purpose || request.presentation_definition.id)
+  console.log('Holder:', holder.did)
+  presented.forEach(({ id, format }) => console.log(`  ✓ ${id} (${format})`))
+  console.log('\nThe verifier accepted the presentation')
+}
+
+function showHelp() {
+  console.log('Student Wallet')
+  console.log('==============\n')
+  console.log('Commands:')
+  console.log('  create [alias] [--method <m>]        Create a holder DID (key, jwk or peer; default key)')
+  console.log('  list                                 List the wallet\'s DIDs')
+  console.log('  prove <challenge> <domain>           Sign an issuer\'s holder challenge')
+  console.log('  present <vc-jwt|file>                Present a credential to a verifier')
+  console.log('      --challenge <nonce> --domain <verifier>')
+  console.log('      --disclose <claim,claim>         SD-JWT VC: the claims to reveal (others stay hidden)')
+  console.log('  claims <sd-jwt|file>                 Show the claims an SD-JWT VC can disclose')
+  console.log('  receive <offer-uri|file>             Redeem an OID4VCI credential offer (--tx-code <code> if it has one)')
+  console.log('  respond <request-uri|file> [files]   Answer an OID4VP presentation request with wallet credentials')
+  console.log('\nWith several DIDs, choose one with --did <did>.')
+  console.log('The wallet keystore (.storage/wallet) is encrypted with VC_WALLET_PASSPHRASE.\n')
+  console.log('Examples:')
+  console.log('  node holder.js create alice')
+  console.log('  node holder.js create alice --method jwk')
+  console.log('  node holder.js prove 3f9c... did:key:z6Mk...')
+  console.log('  node holder.js receive "openid-credential-offer://?credential_offer=..." --tx-code 493021')
+  console.log('  node holder.js respond "openid4vp://?response_type=vp_token&..."')
+  console.log('  node holder.js present student_2025001_vc.jwt --challenge 3f9c... --domain library.example.edu')
+  console.log('  node holder.js present student_2025001_vc.jwt --disclose title --challenge 3f9c... --domain library.example.edu\n')
+}
+
+// Main execution
+if (!command) {
+  showHelp()
+  process.exit(0)
+}
+
+switch (command.toLowerCase()) {
+  case 'create':
+    createDID().catch(error => {
+      console.error('Error creating DID:', error.message)
+      process.exit(1)
+    })
+    break
+
+  case 'list':
+  case 'ls':
+    listDIDs().catch(error => {
+      console.error('Error listing DIDs:', error.message)
+      process.exit(1)
+    })
+    break
+
+  case 'prove':
+    proveControl().catch(error => {
+      console.error('Error creating proof:', error.message)
+      process.exit(1)
+    })
+    break
+
+  case 'present':
+    presentCredential().catch(error => {
+      console.error('Error creating presentation:', error.message)
+      process.exit(1)
+    })
+    break
+
+  case 'receive':
+    receiveCredential().catch(error => {
+      console.error('Error receiving credential:', error.message)
+      process.exit(1)
+    })
+    break
+
+  case 'respond':
+    respondToRequest().catch(error => {
+      console.error('Error responding to request:', error.message)
+      process.exit(1)
+    })
+    break
+
+  case 'claims':
+    listClaims().catch(error => {
+      console.error('Error reading SD-JWT:', error.message)
+      process.exit(1)
+    })
+    break
+
+  case 'help':
+  case '--help':
+  case '-h':
+    showHelp()
+    break
+
+  default:
+    console.error(`Unknown command: ${command}`)
+    console.log('Run "node holder.js help" for usage information')
+    process.exit(1)
+}
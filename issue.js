@@ -1,104 +1,271 @@
 #!/usr/bin/env node
 // issue.js - University VC Issuance CLI
+import fs from 'fs'
 import { setupAgent } from './src/agent.js'
-import { getFixedIssuer } from './src/fixedIssuer.js'
-import { issueStudentCredential, verifyStudentCredential } from './src/issuer.js'
-import { initializeStorage, listAllVCs, updateVCStatus } from './src/storage.js'
+import { IssuerIdentityService } from './src/issuerIdentity.js'
+import { issueStudentCredential, verifyStudentCredential, changeCredentialStatus, STATUS_REASONS, CREDENTIAL_STATES, PROOF_FORMATS } from './src/issuer.js'
+import { initializeStorage, queryVCs, loadVC, isCredentialId, studentKeyFilter } from './src/storage.js'
+import { credentialState, credentialProgram } from './src/credentialRepository.js'
+import { startStatusListServer, STATUS_LIST_BASE_URL } from './src/statusList.js'
+import { startVcApiServer, parseApiKeys, vcApiBaseUrl, VC_API_PORT } from './src/vcApi.js'
+import { createCredentialOffer } from './src/oid4vci.js'
+import { publishDidWebDocument, didWebUrl } from './src/didWeb.js'
+import qrcode from 'qrcode-terminal'
+import { appendAuditEvent, verifyAuditLog, exportAuditLog, defaultOperator, AUDIT_LOG_FILE } from './src/auditLog.js'
+import { createHolderChallenge } from './src/holderBinding.js'
+import { DATA_MODELS, credentialValidUntil } from './src/dataModel.js'
+import { DEFAULT_TEMPLATE, listTemplates, getTemplate, templateForType, setClaimFromText } from './src/credentialTemplates.js'
+import { checkCredentialAnchor } from './src/anchorRegistry.js'
 
 const command = process.argv[2]
 
 async function issueVC() {
-  const args = process.argv.slice(3)
+  const allArgs = process.argv.slice(3)
+  const revokePrevious = allArgs.includes('--revoke-previous')
+  const holderDid = getOption(allArgs, '--holder')
+  const holderProof = getOption(allArgs, '--proof')
+  const proofFormat = getOption(allArgs, '--format') || 'jwt'
+  const dataModel = getOption(allArgs, '--data-model') || '1.1'
+  const templateName = getOption(allArgs, '--type') || DEFAULT_TEMPLATE
+  const claimsFile = getOption(allArgs, '--claims')
+  const args = positionalArgs(allArgs, ['--holder', '--proof', '--format', '--data-model', '--type', '--claim', '--claims'])
   
   if (args.length < 2) {
-    console.log('Usage: node issue.js issue <studentId> <name> [title] [description]')
+    console.log('Usage: node issue.js issue <studentId> <name> [claims...] [--type <template>] [--claim <name>=<value>] [--claims <file.json>] [--holder <did> --proof <jwt>] [--format jwt|sd-jwt|lds] [--data-model 1.1|2.0] [--revoke-previous]')
     console.log('Example: node issue.js issue 2023001 "John Doe" "Computer Science" "Student of Computer Science"')
+    console.log('Other credential types: node issue.js templates')
+    console.log('Bind to a student DID: node issue.js holder-challenge 2023001 <did>, sign it with node holder.js prove, then pass --holder and --proof')
+    process.exit(1)
+  }
+  if (holderDid && !holderProof) {
+    console.log('--holder needs --proof <jwt>: the student\'s signed answer to a holder-challenge')
+    process.exit(1)
+  }
+  if (!PROOF_FORMATS.includes(proofFormat)) {
+    console.log(`Unknown format: ${proofFormat} (expected ${PROOF_FORMATS.join(', ')})`)
+    process.exit(1)
+  }
+  if (!DATA_MODELS.includes(dataModel)) {
+    console.log(`Unknown data model: ${dataModel} (expected ${DATA_MODELS.join(', ')})`)
     process.exit(1)
   }
   
-  const [studentId, name, title = 'Computer Science', description = 'University Student'] = args
+  const template = getTemplate(templateName)
+  const [studentId, name, ...values] = args
+  const claims = templateClaims(template, values, allArgs, claimsFile)
   
   console.log('=== University VC Issuance Service ===\n')
   
   // Initialize
   initializeStorage()
-  const agent = setupAgent()
-  const issuer = await getFixedIssuer(agent)
+  const agent = setupAgent({ storage: 'file' })
+  const issuer = await new IssuerIdentityService(agent).getIssuer()
   
-  // Student data
-  const studentData = {
-    studentId,
-    name,
-    title,
-    description: `${name} is a student of the ${title} program`,
-    dateOfIssue: new Date().toISOString().split('T')[0],
-    expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString(), // 1 year
-    directedBy: 'Example University',
-    location: 'University Campus'
-  }
+  // Student data: the template's claims, with defaults filled in by the issuer
+  const studentData = { ...claims, studentId, name, holderDid }
   
   // Issue credential
-  const result = await issueStudentCredential(agent, issuer, studentData)
+  const result = await issueStudentCredential(agent, issuer, studentData, { revokePrevious, holderProof, proofFormat, dataModel, template: template.name })
   
   console.log('\n=== Credential Details ===')
+  console.log('Credential ID:', result.credentialId)
+  console.log('Type:', `${template.display.name} (${template.type})`)
+  if (result.supersedes) {
+    console.log('Replaces:', result.supersedes, result.superseded ? '(revoked)' : '(still active)')
+  }
   console.log('Issuer:', result.vc.issuer.id)
-  console.log('Student:', result.vc.credentialSubject.name)
-  console.log('Program:', result.vc.credentialSubject.title)
-  console.log('Valid Until:', result.vc.expirationDate)
-  console.log('\n=== JWT Token ===')
-  console.log(result.jwt)
+  console.log('Holder:', result.holderDid || `none (subject ${result.vc.credentialSubject.id})`)
+  printClaims(template, result.vc.credentialSubject, '')
+  console.log('Valid Until:', credentialValidUntil(result.vc) || 'never')
+  console.log('Format:', result.format)
+  console.log('Data Model:', `VCDM ${result.dataModel}`)
+  if (result.format === 'sd-jwt') {
+    console.log('\n=== SD-JWT (all disclosures) ===')
+    console.log(result.jwt)
+    console.log(`\nThe student chooses what to reveal: node holder.js present <sd-jwt|file> --disclose ${template.arguments[0]?.split('.')[0] || 'name'}`)
+  } else if (result.format === 'lds') {
+    console.log('\n=== Data Integrity Proof ===')
+    console.log(JSON.stringify(result.vc.proof, null, 2))
+    console.log(`\nThe signed JSON-LD credential: node extract-vc.js ${result.credentialId} full`)
+  } else {
+    console.log('\n=== JWT Token ===')
+    console.log(result.jwt)
+  }
   console.log('\n✓ Credential saved. Student can use this for authentication.')
 }
 
+async function offerVC() {
+  const allArgs = process.argv.slice(3)
+  const proofFormat = getOption(allArgs, '--format') || 'jwt'
+  const template = getTemplate(getOption(allArgs, '--type') || DEFAULT_TEMPLATE)
+  const args = positionalArgs(allArgs, ['--format', '--type', '--claim', '--claims'])
+  
+  if (args.length < 2) {
+    console.log('Usage: node issue.js offer <studentId> <name> [claims...] [--type <template>] [--claim <name>=<value>] [--claims <file.json>] [--format jwt|sd-jwt|lds] [--no-tx-code]')
+    console.log('Example: node issue.js offer 2023001 "John Doe" "Computer Science"')
+    process.exit(1)
+  }
+  
+  const [studentId, name, ...values] = args
+  const claims = templateClaims(template, values, allArgs, getOption(allArgs, '--claims'))
+  
+  initializeStorage()
+  const baseUrl = vcApiBaseUrl()
+  const created = await createCredentialOffer(baseUrl, { ...claims, studentId, name }, {
+    template: template.name,
+    proofFormat,
+    txCode: !allArgs.includes('--no-tx-code'),
+    operator: defaultOperator()
+  })
+  
+  console.log('=== OID4VCI Credential Offer ===\n')
+  console.log('Student ID:', studentId)
+  console.log('Credential:', `${template.display.name} (${created.credentialConfigurationId})`)
+  console.log('Issuer:', baseUrl)
+  console.log('Expires:', created.expiresAt)
+  console.log('\nScan with the student\'s wallet:\n')
+  qrcode.generate(created.offerUri, { small: true })
+  console.log(created.offerUri)
+  if (created.txCode) {
+    console.log(`\nTransaction code: ${created.txCode}`)
+    console.log('Give it to the student separately (not with the QR code); the wallet asks for it.')
+  }
+  console.log('\nThe issuer service must be running for the wallet to redeem it: node issue.js serve')
+  console.log(`Test wallet: node holder.js receive "<offer URI>"${created.txCode ? ' --tx-code <code>' : ''}`)
+}
+
+// Confirm the stored credential's hash is anchored by this issuer's account, in the state just verified
+async function printOnchainAnchor(key, result) {
+  const vcData = await loadVC(result.credentialId || key)
+  if (!vcData) {
+    return false
+  }
+  // Expiry is not recorded on chain: an expired credential is still active there
+  const expected = result.state && result.state !== 'expired' ? result.state : vcData.status
+  
+  console.log('\nOn-chain Anchor:')
+  let anchor
+  try {
+    anchor = await checkCredentialAnchor(vcData, expected)
+  } catch (error) {
+    console.log(`  ✗ ${error.message}`)
+    return false
+  }
+  console.log(`  Registry: ${anchor.contract} (chain ${anchor.chainId}, ${anchor.network})`)
+  console.log(`  Hash: ${anchor.hash}`)
+  if (!anchor.anchored) {
+    console.log('  Anchored: ✗ NO (hash not in the registry)')
+    return false
+  }
+  console.log(`  Anchored: ✓ ${anchor.anchoredAt}`)
+  console.log(`  Anchored by: ${anchor.issuerMatches ? `✓ ${anchor.issuer}` : `✗ ${anchor.issuer} (not this issuer's account ${anchor.account})`}`)
+  console.log(`  Status: ${anchor.statusMatches ? `✓ ${anchor.status.toUpperCase()}` : `✗ ${anchor.status.toUpperCase()} (expected ${expected.toUpperCase()})`}`)
+  return anchor.issuerMatches && anchor.statusMatches
+}
+
 async function verifyVC() {
-  const studentId = process.argv[3]
+  const key = process.argv[3]
+  const onchain = process.argv.includes('--onchain')
   
-  if (!studentId) {
-    console.log('Usage: node issue.js verify <studentId>')
+  if (!key || key.startsWith('--')) {
+    console.log('Usage: node issue.js verify <studentId|credentialId|holderDid> [--onchain]')
     console.log('Example: node issue.js verify 2023001')
+    console.log('  --onchain  Also confirm the credential hash and status in the anchor registry')
     process.exit(1)
   }
   
   console.log('=== Verifying Student Credential ===\n')
   
-  const agent = setupAgent()
-  const issuer = await getFixedIssuer(agent)
+  const agent = setupAgent({ storage: 'file' })
+  const issuer = await new IssuerIdentityService(agent).getIssuer()
   
-  const result = await verifyStudentCredential(agent, studentId)
+  const result = await verifyStudentCredential(agent, key)
+  await appendAuditEvent(agent, 'credential.verified', {
+    credentialId: result.credentialId,
+    details: { key, verified: result.verified, state: result.state, error: result.error }
+  })
   
   if (!result.verified) {
     console.log('✗ VERIFICATION FAILED')
     console.log('Error:', result.error)
+    if (result.state) {
+      console.log('State:', result.state.toUpperCase())
+    }
+    if (onchain) {
+      await printOnchainAnchor(key, result)
+    }
     return
   }
   
   console.log('✓ CREDENTIAL VERIFIED')
   console.log('\nStudent Information:')
-  console.log('  Name:', result.credentialSubject.name)
-  console.log('  Program:', result.credentialSubject.title)
-  console.log('  Student ID:', result.credentialSubject.id)
+  console.log('  Type:', credentialTypeLabel(result.type))
+  printClaims(templateForType(result.type), { studentId: result.studentId, ...result.credentialSubject }, '  ')
+  console.log('  Subject:', result.credentialSubject.id)
+  console.log('  Holder DID:', result.holderDid || 'none (not bound to a holder key)')
   console.log('\nCredential Status:')
-  console.log('  Issued:', result.issuanceDate)
-  console.log('  Expires:', result.expirationDate)
+  console.log('  Credential ID:', result.credentialId)
+  console.log('  Format:', result.format)
+  console.log('  Data Model:', `VCDM ${result.dataModel}`)
+  console.log('  Issued:', result.validFrom)
+  console.log('  Expires:', result.validUntil || 'never')
   console.log('  Expired:', result.expired ? '✗ YES' : '✓ NO')
-  console.log('  Status:', result.statusActive ? '✓ ACTIVE' : '✗ REVOKED')
+  console.log('  State:', result.state === 'active' ? '✓ ACTIVE' : `✗ ${result.state.toUpperCase()}`)
+  if (result.lastTransition) {
+    const { to, reason, operator, at } = result.lastTransition
+    console.log(`  Last change: ${to} (${reason}) by ${operator} at ${at}`)
+  }
   console.log('\nIssued By:', result.issuer.id)
+  if (result.issuerKey.status === 'retired') {
+    console.log('  Issuer key retired:', result.issuerKey.retiredAt, '(credential issued before retirement)')
+  }
+  const anchored = onchain ? await printOnchainAnchor(key, result) : true
   
-  if (result.expired || !result.statusActive) {
+  if (result.state !== 'active') {
     console.log('\n⚠ WARNING: Credential is not valid for use')
+  } else if (!anchored) {
+    console.log('\n⚠ WARNING: Credential verifies, but the on-chain anchor does not confirm it')
   } else {
     console.log('\n✓ Credential is valid and can be used for authentication')
   }
 }
 
 async function listVCs() {
-  console.log('=== All Issued Credentials ===\n')
+  const args = process.argv.slice(3)
+  const key = args[0] && !args[0].startsWith('--') ? args[0] : undefined
+  const filter = {
+    status: getOption(args, '--status'),
+    program: getOption(args, '--program'),
+    expiringWithin: getOption(args, '--expiring-within')
+  }
+  
+  if (filter.status && !CREDENTIAL_STATES.includes(filter.status)) {
+    console.log(`Unknown status: ${filter.status} (expected ${CREDENTIAL_STATES.join(', ')})`)
+    process.exit(1)
+  }
+  // --type names a template, as for issue; the query matches the credential type it issues
+  const templateName = getOption(args, '--type')
+  if (templateName) {
+    const template = listTemplates().find(({ name }) => name === templateName)
+    if (!template) {
+      console.log(`Unknown credential template: ${templateName} (expected ${listTemplates().map(({ name }) => name).join(', ')})`)
+      process.exit(1)
+    }
+    filter.type = template.type
+  }
+  
+  console.log(key ? `=== Credentials for ${key} ===\n` : '=== All Issued Credentials ===\n')
   
   initializeStorage()
-  const credentials = listAllVCs()
+  let credentials
+  if (key && isCredentialId(key)) {
+    credentials = [await loadVC(key)].filter(Boolean)
+  } else {
+    credentials = await queryVCs({ ...filter, ...(key && studentKeyFilter(key)) })
+  }
   
   if (credentials.length === 0) {
-    console.log('No credentials issued yet.')
+    console.log(Object.values(filter).some(Boolean) ? 'No credentials match the filters.' : 'No credentials issued yet.')
     return
   }
   
@@ -107,32 +274,294 @@ async function listVCs() {
   credentials.forEach((vcData, index) => {
     const vc = vcData.credential
     console.log(`${index + 1}. Student ID: ${vcData.studentId}`)
+    console.log(`   Credential ID: ${vcData.id}`)
+    if (vcData.holderDid) {
+      console.log(`   Holder: ${vcData.holderDid}`)
+    }
+    console.log(`   Type: ${credentialTypeLabel(vc.type)}`)
     console.log(`   Name: ${vc.credentialSubject.name}`)
-    console.log(`   Program: ${vc.credentialSubject.title}`)
-    console.log(`   Status: ${vcData.status}`)
+    if (credentialProgram(vc)) {
+      console.log(`   Program: ${credentialProgram(vc)}`)
+    }
+    console.log(`   Status: ${credentialState(vcData)}`)
+    console.log(`   Format: ${vcData.format || 'jwt'} (VCDM ${vcData.dataModel || '1.1'})`)
     console.log(`   Issued: ${vcData.issuedAt}`)
+    console.log(`   Expires: ${credentialValidUntil(vc) || 'never'}`)
+    if (vcData.supersededBy) {
+      console.log(`   Superseded by: ${vcData.supersededBy}`)
+    }
+    console.log()
+  })
+}
+
+// Value of a --flag <value> option
+function getOption(args, name) {
+  const index = args.indexOf(name)
+  return index >= 0 ? args[index + 1] : undefined
+}
+
+/**
+ * Claims of a template from the command line: --claims file first, then the positional
+ * arguments after <studentId> <name> (template.arguments), then --claim name=value
+ */
+function templateClaims(template, values, allArgs, claimsFile) {
+  if (values.length > template.arguments.length) {
+    console.log(`Too many arguments for ${template.name}: after <studentId> <name> it takes ${template.arguments.map(arg => `<${arg}>`).join(' ') || 'none'}`)
+    process.exit(1)
+  }
+  
+  const claims = claimsFile ? JSON.parse(fs.readFileSync(claimsFile, 'utf-8')) : {}
+  values.forEach((value, i) => setClaimFromText(template, claims, template.arguments[i], value))
+  getOptions(allArgs, '--claim').forEach(assignment => {
+    const separator = assignment.indexOf('=')
+    if (separator <= 0) {
+      throw new Error(`--claim takes <name>=<value>, got: ${assignment}`)
+    }
+    setClaimFromText(template, claims, assignment.slice(0, separator), assignment.slice(separator + 1))
+  })
+  return claims
+}
+
+// Values of a repeatable --flag <value> option, in order
+function getOptions(args, name) {
+  return args.flatMap((arg, i) => arg === name && i + 1 < args.length ? [args[i + 1]] : [])
+}
+
+// Arguments that are not flags or the values of the given --flag <value> options
+function positionalArgs(args, valueOptions = []) {
+  return args.filter((arg, i) => !arg.startsWith('--') && !valueOptions.includes(args[i - 1]))
+}
+
+// Display name of a credential's type, from its template if it has one
+function credentialTypeLabel(type) {
+  const template = templateForType(type)
+  return template ? `${template.display.name} (${template.type})` : [].concat(type).at(-1)
+}
+
+// Subject claims one per line, labelled as the template declares (id is printed separately)
+function printClaims(template, subject, indent) {
+  const names = template ? Object.keys(template.claims) : Object.keys(subject).filter(name => name !== 'id')
+  for (const name of names) {
+    const value = subject[name]
+    if (value === undefined) {
+      continue
+    }
+    const label = template?.claims[name]?.label || name
+    if (Array.isArray(value)) {
+      console.log(`${indent}${label}:`)
+      value.forEach(item => console.log(`${indent}  - ${typeof item === 'object' ? Object.values(item).join(', ') : item}`))
+    } else {
+      console.log(`${indent}${label}:`, typeof value === 'object' ? Object.values(value).join(', ') : value)
+    }
+  }
+}
+
+function showTemplates() {
+  console.log('=== Credential Templates ===\n')
+  
+  listTemplates().forEach(template => {
+    console.log(`${template.name}${template.name === DEFAULT_TEMPLATE ? ' (default)' : ''}`)
+    console.log(`  ${template.display.name}: ${template.display.description}`)
+    console.log(`  Type: ${template.type}`)
+    console.log(`  Valid for: ${template.validityDays ? `${template.validityDays} days` : 'does not expire'}`)
+    console.log(`  Usage: node issue.js issue <studentId> <name> ${template.arguments.map(arg => `<${arg}>`).join(' ')}${template.name === DEFAULT_TEMPLATE ? '' : ` --type ${template.name}`}`)
+    console.log('  Claims:')
+    for (const [name, definition] of Object.entries(template.claims)) {
+      const notes = [definition.type && definition.type !== 'string' ? definition.type : null, definition.required ? 'required' : null, definition.default ? `default ${definition.default}` : null]
+      console.log(`    ${name} - ${definition.label}${notes.some(Boolean) ? ` (${notes.filter(Boolean).join(', ')})` : ''}`)
+    }
     console.log()
   })
 }
 
-async function revokeVC() {
-  const studentId = process.argv[3]
+async function holderChallenge() {
+  const [studentId, holderDid] = process.argv.slice(3)
   
-  if (!studentId) {
-    console.log('Usage: node issue.js revoke <studentId>')
+  if (!studentId || !holderDid) {
+    console.log('Usage: node issue.js holder-challenge <studentId> <holderDid>')
+    console.log('Example: node issue.js holder-challenge 2023001 did:key:z6Mk...')
     process.exit(1)
   }
   
-  console.log('=== Revoking Student Credential ===\n')
+  console.log('=== Holder DID Challenge ===\n')
   
   initializeStorage()
-  const result = updateVCStatus(studentId, 'revoked')
+  const agent = setupAgent({ storage: 'file' })
+  const issuer = await new IssuerIdentityService(agent).getIssuer()
+  const entry = await createHolderChallenge(issuer, studentId, holderDid)
   
-  if (result) {
-    console.log(`✓ Credential revoked for student: ${studentId}`)
+  console.log('Student ID:', entry.studentId)
+  console.log('Holder DID:', entry.holderDid)
+  console.log('Challenge:', entry.challenge)
+  console.log('Domain:', entry.domain)
+  console.log('Expires:', entry.expiresAt)
+  console.log('\n=== Next Steps ===')
+  console.log('The student signs the challenge with their DID:')
+  console.log(`  node holder.js prove ${entry.challenge} ${entry.domain} --did ${entry.holderDid}`)
+  console.log('\nThen issue with the signed proof (single use):')
+  console.log(`  node issue.js issue ${entry.studentId} "<name>" "<program>" --holder ${entry.holderDid} --proof <jwt>`)
+}
+
+async function changeStatus(action) {
+  const args = process.argv.slice(3)
+  const key = args[0]
+  const reason = getOption(args, '--reason')
+  const operator = getOption(args, '--operator')
+  
+  if (!key || key.startsWith('--') || !reason) {
+    console.log(`Usage: node issue.js ${action} <studentId|credentialId> --reason <code> [--operator <name>]`)
+    console.log(`Reason codes: ${STATUS_REASONS[action].join(', ')}`)
+    process.exit(1)
+  }
+  
+  const titles = { suspend: 'Suspending', reinstate: 'Reinstating', revoke: 'Revoking' }
+  console.log(`=== ${titles[action]} Student Credential ===\n`)
+  
+  initializeStorage()
+  const agent = setupAgent({ storage: 'file' })
+  const result = await changeCredentialStatus(agent, key, action, { reason, operator })
+  
+  if (result.legacy) {
+    console.log('⚠ Credential predates status lists: only the local record is updated')
+  } else {
+    console.log('✓ Status list updated and re-signed')
+  }
+  console.log(`✓ Credential ${result.from} → ${result.to} for student: ${result.studentId}`)
+  console.log(`  Credential ID: ${result.credentialId}`)
+  console.log(`  Reason: ${result.reason}`)
+  console.log(`  Operator: ${result.operator}`)
+  console.log(`  At: ${result.at}`)
+  if (result.anchorError) {
+    console.log(`  ⚠ On-chain status not updated: ${result.anchorError}`)
+  } else if (result.anchor) {
+    console.log(`  On-chain status: ${result.anchor.status} (tx ${result.anchor.statusTxHash})`)
+  }
+  
+  if (result.to === 'active') {
+    console.log('This credential is accepted for authentication again.')
+  } else {
     console.log('This credential will no longer be accepted for authentication.')
+  }
+}
+
+async function serveStatusLists() {
+  const port = Number(process.argv[3]) || 8787
+  await startStatusListServer(port)
+  
+  console.log('=== Status List Server ===\n')
+  console.log(`Serving published status lists at http://localhost:${port}/status/<listId>`)
+  console.log(`and did:web documents from did-document at http://localhost:${port}/.well-known/did.json`)
+  console.log(`Credentials point to: ${STATUS_LIST_BASE_URL}`)
+  console.log('Press Ctrl+C to stop')
+}
+
+async function serveApi() {
+  const port = Number(process.argv[3]) || VC_API_PORT
+  const apiKeys = parseApiKeys()
+  
+  initializeStorage()
+  const agent = setupAgent({ storage: 'file' })
+  const issuer = await new IssuerIdentityService(agent).getIssuer()
+  const baseUrl = vcApiBaseUrl(port)
+  await startVcApiServer(port, { agent, issuer, apiKeys, baseUrl })
+  
+  console.log('\n=== VC-API Service ===\n')
+  console.log(`Listening on http://localhost:${port}`)
+  console.log('  POST /credentials/issue      Issue a credential (API key)')
+  console.log('  POST /credentials/verify     Verify a credential')
+  console.log('  POST /credentials/status     Suspend, reinstate or revoke (API key)')
+  console.log('  GET  /credentials[/<id>]     Issued credentials (API key)')
+  console.log('  POST /credentials/offer      OID4VCI credential offer (API key)')
+  console.log('  POST /presentations/requests OID4VP presentation request (API key)')
+  console.log('  GET  /openapi.json           OpenAPI description')
+  console.log(`OID4VCI issuer: ${baseUrl} (metadata at /.well-known/openid-credential-issuer)`)
+  console.log(`OID4VP responses: ${baseUrl}/presentations/response`)
+  if (apiKeys.length === 0) {
+    console.log('\n⚠ No API keys configured: issuer endpoints answer 401 until VC_API_KEYS is set (name:key,...)')
+  } else {
+    console.log(`\nAPI keys: ${apiKeys.map(({ name }) => name).join(', ')}`)
+  }
+  console.log('Press Ctrl+C to stop')
+}
+
+async function rotateKey() {
+  const args = process.argv.slice(3)
+  const keyFileIndex = args.indexOf('--key-file')
+  const keyFile = keyFileIndex >= 0 ? args[keyFileIndex + 1] : undefined
+  
+  console.log('=== Rotating University Issuer Key ===\n')
+  
+  initializeStorage()
+  const agent = setupAgent({ storage: 'file' })
+  const { issuer, retired } = await new IssuerIdentityService(agent, { keyFile }).rotateKey()
+  
+  console.log('\n✓ Issuer key rotated')
+  console.log('  Retired DID:', retired.did)
+  console.log('  Retired at:', retired.retiredAt)
+  console.log('  New DID:', issuer.did)
+  console.log('\nCredentials issued before the retirement date remain valid.')
+  console.log('New credentials will be signed with the new key.')
+}
+
+async function didDocument() {
+  const output = getOption(process.argv.slice(3), '--output')
+  
+  console.log('=== Issuer DID Document (did:web) ===\n')
+  
+  initializeStorage()
+  const agent = setupAgent({ storage: 'file' })
+  const document = await new IssuerIdentityService(agent).didWebDocument()
+  const filepath = publishDidWebDocument(document)
+  if (output) {
+    fs.writeFileSync(output, JSON.stringify(document, null, 2) + '\n')
+  }
+  
+  console.log(`\n✓ DID document written to ${filepath}`)
+  if (output) {
+    console.log(`  Copy written to ${output}`)
+  }
+  console.log('  Verification methods:', document.verificationMethod.map(m => m.id).join(', '))
+  console.log(`  Serve it at: ${didWebUrl(document.id)}`)
+  console.log('  Locally: node issue.js status-server, then DID_WEB_BASE_URL=http://localhost:8787')
+}
+
+async function audit() {
+  const args = process.argv.slice(3)
+  const subcommand = args[0]
+  
+  if (subcommand === 'verify') {
+    console.log('=== Verifying Audit Log ===\n')
+    
+    // Only public keys are needed, so no keystore passphrase
+    const agent = setupAgent()
+    const result = await verifyAuditLog(agent)
+    
+    console.log(`Log: ${AUDIT_LOG_FILE}`)
+    console.log(`Entries: ${result.entries}\n`)
+    if (result.valid) {
+      console.log('✓ Audit log intact: hash chain, signatures and head all check out')
+      return
+    }
+    result.errors.forEach(({ seq, line, error }) => {
+      const where = [seq !== null && `entry ${seq}`, line !== null && `line ${line}`].filter(Boolean).join(', ')
+      console.log(`✗ ${where ? `${where}: ` : ''}${error}`)
+    })
+    console.log('\n✗ Audit log has been tampered with')
+    process.exit(1)
+  } else if (subcommand === 'export') {
+    const output = getOption(args, '--output')
+    const lines = exportAuditLog()
+    
+    if (output) {
+      fs.writeFileSync(output, lines)
+      console.log(`✓ Exported ${lines.split('\n').length - 1} audit entries to ${output}`)
+    } else {
+      process.stdout.write(lines)
+    }
   } else {
-    console.log(`✗ Credential not found for student: ${studentId}`)
+    console.log('Usage: node issue.js audit verify')
+    console.log('       node issue.js audit export [--output <file>]')
+    process.exit(1)
   }
 }
 
@@ -140,15 +569,61 @@ function showHelp() {
   console.log('University VC Issuance Service')
   console.log('==============================\n')
   console.log('Commands:')
-  console.log('  issue <id> <name> [program] [desc]  Issue new credential')
-  console.log('  verify <id>                          Verify credential')
-  console.log('  list                                 List all credentials')
-  console.log('  revoke <id>                          Revoke credential\n')
+  console.log('  issue <id> <name> <program> [desc]  Issue new credential (--revoke-previous to revoke the one it replaces)')
+  console.log('      --type <template>                Credential type (default student-card); see templates')
+  console.log('      --claim <name>=<value>           Set a claim of the template (repeatable; degree.name for nested)')
+  console.log('      --claims <file.json>             Claims from a JSON file (e.g. the grades of a transcript)')
+  console.log('      --holder <did> --proof <jwt>     Bind it to the student\'s DID (proof from holder-challenge)')
+  console.log('      --format <jwt|sd-jwt|lds>        sd-jwt: SD-JWT VC, each claim disclosed only if the student chooses')
+  console.log('                                       lds: JSON-LD with an embedded Data Integrity proof (Ed25519Signature2020)')
+  console.log('      --data-model <1.1|2.0>           2.0: VCDM 2.0 (validFrom/validUntil) secured as a vc+jwt')
+  console.log('  templates                            List credential templates, their arguments and claims')
+  console.log('  offer <id> <name> [claims...]        OID4VCI offer (URI and QR code) a wallet redeems with the service')
+  console.log('      --type, --claim, --claims, --format as for issue; --no-tx-code to skip the transaction code')
+  console.log('  holder-challenge <id> <did>          Challenge for a student to prove control of their DID')
+  console.log('  verify <id> [--onchain]              Verify credential (--onchain: also its hash and status in the anchor registry)')
+  console.log('                                       Credentials are anchored once a registry is deployed: node deploy-anchor.js')
+  console.log('  list [id] [filters]                  List all credentials, or those of one student')
+  console.log('      --status <state>                 active, suspended, revoked or expired')
+  console.log('      --program <title>                Program (credentialSubject.title or program)')
+  console.log('      --type <template>                Credentials issued from a template (e.g. transcript)')
+  console.log('      --expiring-within <days>         Valid now, expiring within the given days')
+  console.log('  suspend <id> --reason <code>         Suspend credential (reversible)')
+  console.log('  reinstate <id> --reason <code>       Reinstate a suspended credential')
+  console.log('  revoke <id> --reason <code>          Revoke credential (permanent)')
+  console.log('  status-server [port]                 Serve published status lists over HTTP')
+  console.log('  serve [port]                         HTTP issuer/verifier service (VC-API, port 8080; keys in VC_API_KEYS)')
+  console.log('  rotate-key [--key-file <path>]       Retire the issuer key and switch to a new one')
+  console.log('  did-document [--output <file>]       Write the /.well-known/did.json of a did:web issuer')
+  console.log('  audit verify                         Check the audit log for deleted or edited entries')
+  console.log('  audit export [--output <file>]       Write the audit log as JSON lines\n')
+  console.log('<id> is a student ID, student urn (urn:university:student:...) or holder DID (their latest credential),')
+  console.log('or a credential ID (urn:uuid:...)\n')
   console.log('Examples:')
   console.log('  node issue.js issue 2023001 "John Doe" "Computer Science"')
+  console.log('  node issue.js holder-challenge 2023001 did:key:z6Mk...')
+  console.log('  node issue.js issue 2023001 "John Doe" "Computer Science" --holder did:key:z6Mk... --proof <jwt>')
+  console.log('  node issue.js issue 2023001 "John Doe" "Computer Science" --format sd-jwt')
+  console.log('  node issue.js issue 2023001 "John Doe" "Computer Science" --format lds')
+  console.log('  node issue.js issue 2023001 "John Doe" "Computer Science" --data-model 2.0')
+  console.log('  node issue.js issue 2023001 "John Doe" "BSc Computer Science" BachelorDegree --type degree-certificate --claim classification="First Class"')
+  console.log('  node issue.js issue 2023001 "John Doe" CS101 "Introduction to Programming" --type course-completion --claim credits=6 --claim grade=A')
+  console.log('  node issue.js issue 2023001 "John Doe" "Computer Science" --type transcript --claims grades.json')
+  console.log('  node issue.js issue 2023001 "John Doe" "Computer Science" full-time "2026 Fall" --type enrollment-status')
   console.log('  node issue.js verify 2023001')
+  console.log('  node issue.js verify 2023001 --onchain')
   console.log('  node issue.js list')
-  console.log('  node issue.js revoke 2023001\n')
+  console.log('  node issue.js list --status active --program "Computer Science" --expiring-within 30')
+  console.log('  node issue.js list --type transcript --status active')
+  console.log('  node issue.js suspend 2023001 --reason fee-arrears')
+  console.log('  node issue.js reinstate 2023001 --reason fees-paid')
+  console.log('  node issue.js revoke 2023001 --reason withdrawn --operator registrar')
+  console.log('  VC_API_KEYS=portal:<secret> node issue.js serve 8080')
+  console.log('  node issue.js offer 2023001 "John Doe" "Computer Science" --format sd-jwt')
+  console.log('  node issue.js rotate-key')
+  console.log('  UNIVERSITY_ISSUER_DID_METHOD=web UNIVERSITY_ISSUER_DOMAIN=university.edu node issue.js did-document')
+  console.log('  UNIVERSITY_ISSUER_KEY_TYPE=Secp256r1 node issue.js issue 2023001 "John Doe" "Computer Science"   # first run: ES256 issuer')
+  console.log('  node issue.js audit export --output audit.jsonl\n')
 }
 
 // Main execution
@@ -166,6 +641,24 @@ switch (command.toLowerCase()) {
     })
     break
     
+  case 'templates':
+    showTemplates()
+    break
+    
+  case 'offer':
+    offerVC().catch(error => {
+      console.error('Error creating credential offer:', error.message)
+      process.exit(1)
+    })
+    break
+    
+  case 'holder-challenge':
+    holderChallenge().catch(error => {
+      console.error('Error creating holder challenge:', error.message)
+      process.exit(1)
+    })
+    break
+    
   case 'verify':
   case 'check':
     verifyVC().catch(error => {
@@ -184,8 +677,44 @@ switch (command.toLowerCase()) {
     
   case 'revoke':
   case 'suspend':
-    revokeVC().catch(error => {
-      console.error('Error revoking credential:', error.message)
+  case 'reinstate':
+    changeStatus(command.toLowerCase()).catch(error => {
+      console.error(`Error changing credential status: ${error.message}`)
+      process.exit(1)
+    })
+    break
+    
+  case 'status-server':
+    serveStatusLists().catch(error => {
+      console.error('Error starting status list server:', error.message)
+      process.exit(1)
+    })
+    break
+    
+  case 'serve':
+    serveApi().catch(error => {
+      console.error('Error starting VC-API service:', error.message)
+      process.exit(1)
+    })
+    break
+    
+  case 'rotate-key':
+    rotateKey().catch(error => {
+      console.error('Error rotating issuer key:', error.message)
+      process.exit(1)
+    })
+    break
+    
+  case 'did-document':
+    didDocument().catch(error => {
+      console.error('Error writing DID document:', error.message)
+      process.exit(1)
+    })
+    break
+    
+  case 'audit':
+    audit().catch(error => {
+      console.error('Error reading audit log:', error.message)
       process.exit(1)
     })
     break
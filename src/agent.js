@@ -4,36 +4,99 @@ import { DIDManager, MemoryDIDStore } from '@veramo/did-manager'
 import { KeyManager, MemoryKeyStore, MemoryPrivateKeyStore } from '@veramo/key-manager'
 import { KeyManagementSystem } from '@veramo/kms-local'
 import { CredentialPlugin } from '@veramo/credential-w3c'
+import { CredentialStatusPlugin } from '@veramo/credential-status'
 import { DIDResolverPlugin } from '@veramo/did-resolver'
 import { KeyDIDProvider } from '@veramo/did-provider-key'
+import { WebDIDProvider } from '@veramo/did-provider-web'
+import { JwkDIDProvider, getDidJwkResolver } from '@veramo/did-provider-jwk'
+import { PeerDIDProvider, getResolver as getPeerResolver } from '@veramo/did-provider-peer'
 import { getResolver as getKeyResolver } from 'key-did-resolver'
 import { Resolver } from 'did-resolver'
+import { FileKeyStore, FilePrivateKeyStore, FileDIDStore, KEYSTORE_DIR } from './fileStores.js'
+import { getDidWebResolver } from './didWeb.js'
+import { createBitstringStatusListMethod, legacyStatusMethod, LEGACY_STATUS_TYPE } from './statusList.js'
+
+/**
+ * Build the key, private key and DID stores for a storage backend
+ *   'memory' - nothing survives the process (demos and tests)
+ *   'file'   - JSON files under .storage/keystore, private keys encrypted with the passphrase
+ */
+function createStores({ storage = 'memory', passphrase = process.env.VC_STORAGE_PASSPHRASE, storageDir = KEYSTORE_DIR }) {
+  switch (storage) {
+    case 'memory':
+      return {
+        keyStore: new MemoryKeyStore(),
+        privateKeyStore: new MemoryPrivateKeyStore(),
+        didStore: new MemoryDIDStore()
+      }
+    case 'file':
+      return {
+        keyStore: new FileKeyStore(storageDir),
+        privateKeyStore: new FilePrivateKeyStore(passphrase, storageDir),
+        didStore: new FileDIDStore(storageDir)
+      }
+    default:
+      throw new Error(`Unknown storage backend: ${storage}`)
+  }
+}
+
+// DID methods the agent can create, with the provider options used for each
+// (did:jwk and did:peer are what many student wallets default to; all use Ed25519 keys)
+export const DID_METHODS = {
+  key: { provider: 'did:key', options: { keyType: 'Ed25519' } },
+  jwk: { provider: 'did:jwk', options: { keyType: 'Ed25519' } },
+  peer: { provider: 'did:peer', options: { num_algo: 2 } },
+}
+
+/**
+ * Options: storage, passphrase, storageDir (see createStores) and
+ *   didWebBaseUrl - resolve every did:web against this origin (default DID_WEB_BASE_URL)
+ */
+export const setupAgent = (options = {}) => {
+  const { keyStore, privateKeyStore, didStore } = createStores(options)
+  const resolver = new Resolver({
+    ...getKeyResolver(),
+    ...getDidJwkResolver(),
+    ...getPeerResolver(),
+    ...getDidWebResolver({ baseUrl: options.didWebBaseUrl ?? process.env.DID_WEB_BASE_URL }),
+  })
 
-export const setupAgent = () => {
   return createAgent({
     plugins: [
       new KeyManager({
-        store: new MemoryKeyStore(),
+        store: keyStore,
         kms: {
-          local: new KeyManagementSystem(new MemoryPrivateKeyStore()),
+          local: new KeyManagementSystem(privateKeyStore),
         },
       }),
       new DIDManager({
-        store: new MemoryDIDStore(),
+        store: didStore,
         defaultProvider: 'did:key',
         providers: {
           'did:key': new KeyDIDProvider({
             defaultKms: 'local',
           }),
+          'did:web': new WebDIDProvider({
+            defaultKms: 'local',
+          }),
+          'did:jwk': new JwkDIDProvider({
+            defaultKms: 'local',
+          }),
+          'did:peer': new PeerDIDProvider({
+            defaultKms: 'local',
+          }),
         },
       }),
       new DIDResolverPlugin({
         // "Resolver" class
-        resolver: new Resolver({
-          ...getKeyResolver(),
-        }),
+        resolver,
       }),
       new CredentialPlugin(),
+      // Status check hook used by verifyCredential for credentials with a credentialStatus
+      new CredentialStatusPlugin({
+        BitstringStatusListEntry: createBitstringStatusListMethod({ resolver }),
+        [LEGACY_STATUS_TYPE]: legacyStatusMethod,
+      }),
     ],
   })
-}
\ No newline at end of file
+}
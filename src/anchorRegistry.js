@@ -0,0 +1,293 @@
+// src/anchorRegistry.js - Credential hashes and status changes anchored in an EVM registry contract
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { BrowserProvider, JsonRpcProvider, Contract, ContractFactory, Wallet, ZeroAddress } from 'ethers'
+import { withFileLock } from './credentialRepository.js'
+import { credentialHash } from './auditLog.js'
+import { STORAGE_DIR } from './storageDir.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// ABI and bytecode built from contracts/CredentialAnchorRegistry.sol (npm run compile:contracts)
+export const ANCHOR_REGISTRY_ARTIFACT = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '../contracts/CredentialAnchorRegistry.json'), 'utf-8')
+)
+
+// In-process chain kept under .storage, so every CLI run continues the same chain
+export const CHAIN_DIR = path.join(STORAGE_DIR, 'chain')
+const CHAIN_LOCK = path.join(STORAGE_DIR, 'chain.lock')
+export const ANCHOR_DEPLOYMENT_FILE = path.join(STORAGE_DIR, 'anchor-deployment.json')
+const IN_PROCESS_CHAIN_ID = 1337
+
+// The contract's Status enum, in order
+export const ANCHOR_STATUSES = ['none', 'active', 'suspended', 'revoked']
+
+// Chain id of a JSON-RPC node; fails fast instead of letting the provider retry forever
+async function rpcChainId(rpcUrl) {
+  let response
+  try {
+    response = await fetch(rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] })
+    })
+  } catch (error) {
+    throw new Error(`No EVM node at ${rpcUrl}: ${error.cause?.message || error.message}`)
+  }
+  const { result, error } = await response.json()
+  if (!result) {
+    throw new Error(`EVM node at ${rpcUrl} did not return its chain id: ${error?.message || response.status}`)
+  }
+  return Number(result)
+}
+
+/**
+ * Connect to the chain: the dev node at rpcUrl (ANCHOR_RPC_URL, e.g. anvil or a hardhat node), else an
+ * in-process ganache chain stored in dbPath (null keeps it in memory)
+ * Transactions are sent from privateKey (ANCHOR_PRIVATE_KEY), else the node's first unlocked account
+ * Returns { provider, signer, account, chainId, network, close }
+ */
+export async function connectChain({ rpcUrl = process.env.ANCHOR_RPC_URL, dbPath = CHAIN_DIR, privateKey = process.env.ANCHOR_PRIVATE_KEY } = {}) {
+  let provider
+  let inProcess = null
+  if (rpcUrl) {
+    provider = new JsonRpcProvider(rpcUrl, await rpcChainId(rpcUrl), { staticNetwork: true })
+  } else {
+    // Loaded on demand: ganache is large, and most commands never touch the chain
+    const { default: ganache } = await import('ganache')
+    if (dbPath) {
+      fs.mkdirSync(dbPath, { recursive: true })
+    }
+    inProcess = ganache.provider({
+      wallet: { deterministic: true },
+      chain: { chainId: IN_PROCESS_CHAIN_ID },
+      logging: { quiet: true },
+      ...(dbPath ? { database: { dbPath } } : {})
+    })
+    provider = new BrowserProvider(inProcess)
+  }
+
+  const close = async () => {
+    provider.destroy()
+    if (inProcess) {
+      await inProcess.disconnect()
+    }
+  }
+  try {
+    const signer = privateKey ? new Wallet(privateKey, provider) : await provider.getSigner(0)
+    const { chainId } = await provider.getNetwork()
+    return {
+      provider,
+      signer,
+      account: await signer.getAddress(),
+      chainId: Number(chainId),
+      network: rpcUrl || (dbPath ? 'in-process' : 'in-memory'),
+      close
+    }
+  } catch (error) {
+    await close()
+    throw error
+  }
+}
+
+/**
+ * Run fn(chain) connected to the configured chain, closing the connection afterwards
+ * The in-process chain's database admits one process at a time, so callers take turns
+ */
+export async function withChain(fn) {
+  const run = async () => {
+    const chain = await connectChain()
+    try {
+      return await fn(chain)
+    } finally {
+      await chain.close()
+    }
+  }
+  return process.env.ANCHOR_RPC_URL ? run() : withFileLock(CHAIN_LOCK, run, { timeoutMs: 60000 })
+}
+
+/**
+ * Deploy a new CredentialAnchorRegistry from the chain's account
+ * Returns the deployment { network, chainId, address, account, txHash, blockNumber, deployedAt }
+ */
+export async function deployAnchorRegistry(chain) {
+  const factory = new ContractFactory(ANCHOR_REGISTRY_ARTIFACT.abi, ANCHOR_REGISTRY_ARTIFACT.bytecode, chain.signer)
+  const contract = await factory.deploy()
+  const receipt = await contract.deploymentTransaction().wait()
+  return {
+    network: chain.network,
+    chainId: chain.chainId,
+    address: await contract.getAddress(),
+    account: chain.account,
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    deployedAt: new Date().toISOString()
+  }
+}
+
+export function loadAnchorDeployment() {
+  return fs.existsSync(ANCHOR_DEPLOYMENT_FILE) ? JSON.parse(fs.readFileSync(ANCHOR_DEPLOYMENT_FILE, 'utf-8')) : null
+}
+
+export function saveAnchorDeployment(deployment) {
+  fs.mkdirSync(path.dirname(ANCHOR_DEPLOYMENT_FILE), { recursive: true })
+  fs.writeFileSync(ANCHOR_DEPLOYMENT_FILE, JSON.stringify(deployment, null, 2) + '\n')
+  return ANCHOR_DEPLOYMENT_FILE
+}
+
+/**
+ * The registry at address, checked to have code on this chain
+ */
+export async function registryContract(chain, address) {
+  if (await chain.provider.getCode(address) === '0x') {
+    throw new Error(`No anchor registry at ${address} on chain ${chain.chainId} (${chain.network}); deploy one with: node deploy-anchor.js`)
+  }
+  return new Contract(address, ANCHOR_REGISTRY_ARTIFACT.abi, chain.signer)
+}
+
+/**
+ * Hash anchored for a credential ({ format, jwt, credential } as in a stored record): its
+ * credentialHash() as 0x-prefixed hex, so any presentation of an SD-JWT maps to the same anchor
+ */
+export function credentialAnchorHash(record) {
+  return '0x' + credentialHash(record)
+}
+
+/**
+ * Anchor of a hash: { anchored, issuer, status, anchoredAt, updatedAt }
+ */
+export async function readAnchor(contract, hash) {
+  const [issuer, status, anchoredAt, updatedAt] = await contract.getAnchor(hash)
+  const anchored = issuer !== ZeroAddress
+  const date = seconds => anchored ? new Date(Number(seconds) * 1000).toISOString() : null
+  return {
+    anchored,
+    issuer: anchored ? issuer : null,
+    status: ANCHOR_STATUSES[Number(status)],
+    anchoredAt: date(anchoredAt),
+    updatedAt: date(updatedAt)
+  }
+}
+
+// Send a registry transaction and wait until it is mined
+// Gas is estimated against the latest block, and writing the timestamp of a later one can cost more
+// (ganache runs out of gas on a status change otherwise), hence the headroom
+async function sendAnchorTransaction(contract, method, ...args) {
+  try {
+    const estimate = await contract[method].estimateGas(...args)
+    const receipt = await (await contract[method](...args, { gasLimit: estimate * 3n / 2n })).wait()
+    return { txHash: receipt.hash, blockNumber: receipt.blockNumber }
+  } catch (error) {
+    throw new Error(`Registry ${method} transaction failed: ${error.shortMessage || error.message}`)
+  }
+}
+
+// The contract's require messages do not survive every node's error reporting, so the writes
+// below check its conditions first and fail with a readable error
+
+/**
+ * Anchor a credential hash as active; returns { txHash, blockNumber }
+ */
+export async function anchorCredential(contract, hash) {
+  if ((await readAnchor(contract, hash)).anchored) {
+    throw new Error(`Credential hash ${hash} is already anchored`)
+  }
+  return sendAnchorTransaction(contract, 'anchor', hash)
+}
+
+/**
+ * Record a status change (active, suspended or revoked) of an anchored hash; returns { txHash, blockNumber }
+ */
+export async function anchorStatusChange(contract, hash, status) {
+  const code = ANCHOR_STATUSES.indexOf(status)
+  if (code < 1) {
+    throw new Error(`No on-chain status for ${status} (expected ${ANCHOR_STATUSES.slice(1).join(', ')})`)
+  }
+  const current = await readAnchor(contract, hash)
+  if (!current.anchored) {
+    throw new Error(`Credential hash ${hash} is not anchored`)
+  }
+  const account = await contract.runner.getAddress()
+  if (current.issuer !== account) {
+    throw new Error(`Credential hash ${hash} was anchored by ${current.issuer}; ${account} cannot change its status`)
+  }
+  if (current.status === 'revoked') {
+    throw new Error(`Credential hash ${hash} is revoked on chain`)
+  }
+  return sendAnchorTransaction(contract, 'setStatus', hash, code)
+}
+
+// Address of the deployed registry: ANCHOR_CONTRACT_ADDRESS, else the one deploy-anchor.js recorded
+function registryAddress() {
+  return process.env.ANCHOR_CONTRACT_ADDRESS || loadAnchorDeployment()?.address || null
+}
+
+/**
+ * Whether issued credentials are anchored: only once a registry has been deployed (or configured)
+ */
+export function anchoringEnabled() {
+  return Boolean(registryAddress())
+}
+
+/**
+ * Run fn({ chain, contract, address }) against the deployed registry
+ */
+export async function withAnchorRegistry(fn) {
+  const address = registryAddress()
+  if (!address) {
+    throw new Error('No anchor registry deployed (run: node deploy-anchor.js)')
+  }
+  return withChain(async chain => fn({ chain, contract: await registryContract(chain, address), address }))
+}
+
+/**
+ * Anchor an issued credential record in the deployed registry
+ * Returns what the record keeps as anchor: { hash, network, chainId, contract, account, txHash, blockNumber, status }
+ */
+export async function anchorIssuedCredential(record) {
+  const hash = credentialAnchorHash(record)
+  return withAnchorRegistry(async ({ chain, contract, address }) => ({
+    hash,
+    network: chain.network,
+    chainId: chain.chainId,
+    contract: address,
+    account: chain.account,
+    ...(await anchorCredential(contract, hash)),
+    status: 'active'
+  }))
+}
+
+/**
+ * Record a status change of an anchored credential record; returns its updated anchor
+ */
+export async function anchorCredentialStatus(record, status) {
+  const hash = credentialAnchorHash(record)
+  return withAnchorRegistry(async ({ contract }) => {
+    const { txHash } = await anchorStatusChange(contract, hash, status)
+    return { ...record.anchor, status, statusTxHash: txHash, statusUpdatedAt: new Date().toISOString() }
+  })
+}
+
+/**
+ * Check a stored credential against the chain: the hash of its JWT (or JSON-LD form) must be anchored
+ * by this issuer's account, with the status the status list gives (expected)
+ * Returns { hash, contract, chainId, network, account, anchored, issuer, issuerMatches, status, statusMatches, anchoredAt, updatedAt }
+ */
+export async function checkCredentialAnchor(record, expected) {
+  const hash = credentialAnchorHash(record)
+  return withAnchorRegistry(async ({ chain, contract, address }) => {
+    const anchor = await readAnchor(contract, hash)
+    return {
+      hash,
+      contract: address,
+      chainId: chain.chainId,
+      network: chain.network,
+      account: chain.account,
+      ...anchor,
+      issuerMatches: anchor.issuer === chain.account,
+      statusMatches: anchor.status === expected
+    }
+  })
+}
@@ -0,0 +1,236 @@
+// src/auditLog.js - Append-only, hash-chained and signed audit log
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import { extractPublicKeyHex } from '@veramo/utils'
+import { loadIssuerKey, findIssuerKey } from './issuerKeys.js'
+import { withFileLock } from './credentialRepository.js'
+import { publicKeyJwk } from './didWeb.js'
+import { STORAGE_DIR } from './storageDir.js'
+
+const AUDIT_DIR = path.join(STORAGE_DIR, 'audit')
+export const AUDIT_LOG_FILE = path.join(AUDIT_DIR, 'audit.log')
+const HEAD_FILE = path.join(AUDIT_DIR, 'head.json')
+const LOCK_FILE = path.join(AUDIT_DIR, 'audit.lock')
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(64)
+
+export const AUDIT_EVENTS = [
+  'credential.issued',
+  'credential.verified',
+  'credential.suspended',
+  'credential.reinstated',
+  'credential.revoked',
+  'issuer.created',
+  'issuer.migrated',
+  'issuer.key-rotated'
+]
+
+// Who performed an action: --operator, then VC_OPERATOR, then the OS user
+export function defaultOperator(operator) {
+  return operator || process.env.VC_OPERATOR || os.userInfo().username
+}
+
+// JSON with sorted keys, so the hash does not depend on property order
+export function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * SHA-256 (hex) of an issued credential ({ format, jwt, credential } as in a stored record): of the JWT,
+ * of the issuer-signed JWT alone for an SD-JWT (so any presentation of it has the same hash),
+ * or of the canonical JSON of a JSON-LD credential
+ */
+export function credentialHash({ format, jwt, credential }) {
+  const hashed = format === 'lds' ? canonicalize(credential) : format === 'sd-jwt' ? jwt.split('~')[0] : jwt
+  if (!hashed) {
+    throw new Error('Credential has nothing to hash (no JWT or credential)')
+  }
+  return crypto.createHash('sha256').update(hashed).digest('hex')
+}
+
+function hashEntry(entry) {
+  const { hash, signature, ...body } = entry
+  return crypto.createHash('sha256').update(canonicalize(body)).digest('hex')
+}
+
+function readLines() {
+  if (!fs.existsSync(AUDIT_LOG_FILE)) return []
+  return fs.readFileSync(AUDIT_LOG_FILE, 'utf-8').split('\n').filter(line => line.trim() !== '')
+}
+
+function readHead() {
+  return fs.existsSync(HEAD_FILE) ? JSON.parse(fs.readFileSync(HEAD_FILE, 'utf-8')) : null
+}
+
+async function sign(agent, did, message) {
+  const identifier = await agent.didManagerGet({ did })
+  return agent.keyManagerSign({ keyRef: identifier.controllerKeyId, data: message, encoding: 'utf-8' })
+}
+
+async function verifySignature(agent, did, message, signature) {
+  const { didDocument } = await agent.resolveDid({ didUrl: did })
+  const method = didDocument?.verificationMethod?.[0]
+  if (!method) return false
+
+  const { publicKeyHex, keyType } = extractPublicKeyHex(method)
+  // did-jwt names Secp256r1 keys after their curve
+  const publicKey = crypto.createPublicKey({ key: publicKeyJwk(keyType === 'P-256' ? 'Secp256r1' : keyType, publicKeyHex), format: 'jwk' })
+  // EdDSA signs the message itself; ES256 / ES256K sign its SHA-256 digest, as r || s
+  if (keyType === 'Ed25519') {
+    return crypto.verify(null, Buffer.from(message), publicKey, Buffer.from(signature, 'base64url'))
+  }
+  return crypto.verify('sha256', Buffer.from(message), { key: publicKey, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url'))
+}
+
+/**
+ * Append a signed entry to .storage/audit/audit.log
+ *   event   - one of AUDIT_EVENTS
+ *   entry   - { actor, studentId, credentialId, details }
+ * The entry is signed by the active issuer key
+ */
+export async function appendAuditEvent(agent, event, { actor, studentId, credentialId, details = {} } = {}) {
+  if (!AUDIT_EVENTS.includes(event)) {
+    throw new Error(`Unknown audit event: ${event}`)
+  }
+  const signerDid = loadIssuerKey()?.did
+  if (!signerDid) {
+    throw new Error('No issuer key to sign the audit entry')
+  }
+
+  return withFileLock(LOCK_FILE, async () => {
+    const head = readHead()
+    const last = readLines().at(-1)
+    const previous = last ? JSON.parse(last) : null
+
+    const entry = {
+      seq: previous ? previous.seq + 1 : 1,
+      at: new Date().toISOString(),
+      event,
+      actor: defaultOperator(actor),
+      studentId,
+      credentialId,
+      details,
+      signer: signerDid,
+      prevHash: previous ? previous.hash : GENESIS_HASH
+    }
+    if (head && previous && head.seq !== previous.seq) {
+      throw new Error(`Audit log does not match its head (entry ${head.seq} expected, ${previous.seq} found); run "node issue.js audit verify"`)
+    }
+
+    entry.hash = hashEntry(entry)
+    entry.signature = await sign(agent, signerDid, entry.hash)
+    fs.appendFileSync(AUDIT_LOG_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 })
+
+    // Signed pointer to the latest entry, so removing entries from the end is detected
+    const newHead = { seq: entry.seq, hash: entry.hash, signer: signerDid }
+    newHead.signature = await sign(agent, signerDid, `${newHead.seq}:${newHead.hash}`)
+    const tmpPath = `${HEAD_FILE}.tmp`
+    fs.writeFileSync(tmpPath, JSON.stringify(newHead, null, 2))
+    fs.renameSync(tmpPath, HEAD_FILE)
+
+    return entry
+  })
+}
+
+// The signer must be a university key that was not yet retired when it signed
+async function checkSigner(agent, did, at, message, signature) {
+  const key = findIssuerKey(did)
+  if (!key) {
+    return `signed by ${did}, which is not a university issuer key`
+  }
+  if (key.status === 'retired' && at > key.retiredAt) {
+    return `signed by ${did} after its retirement on ${key.retiredAt}`
+  }
+  if (!(await verifySignature(agent, did, message, signature))) {
+    return 'signature does not match'
+  }
+  return null
+}
+
+/**
+ * The credential.issued entry of the credential with this hash, issued by did, or null; entries that
+ * were edited (content no longer matching their hash) do not count
+ */
+export function findIssuanceEntry(did, hash) {
+  for (const line of readLines()) {
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (e) {
+      continue
+    }
+    if (entry.event === 'credential.issued' && entry.details?.issuer === did && entry.details?.credentialHash === hash && hashEntry(entry) === entry.hash) {
+      return entry
+    }
+  }
+  return null
+}
+
+/**
+ * Check the whole log: every entry parses, follows the previous one (seq and prevHash),
+ * hashes to its recorded hash and carries a valid issuer signature; the head must point at the last entry
+ * Returns { valid, entries, errors: [{ seq, line, error }] }
+ */
+export async function verifyAuditLog(agent) {
+  const lines = readLines()
+  const errors = []
+  let previous = null
+
+  for (const [i, line] of lines.entries()) {
+    const lineNumber = i + 1
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (e) {
+      errors.push({ seq: null, line: lineNumber, error: 'not valid JSON (entry edited)' })
+      continue
+    }
+
+    const expectedSeq = previous ? previous.seq + 1 : 1
+    if (entry.seq !== expectedSeq) {
+      errors.push({ seq: entry.seq, line: lineNumber, error: `expected entry ${expectedSeq} (entries deleted or reordered)` })
+    }
+    if (entry.prevHash !== (previous ? previous.hash : GENESIS_HASH)) {
+      errors.push({ seq: entry.seq, line: lineNumber, error: 'prevHash does not match the previous entry (chain broken)' })
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      errors.push({ seq: entry.seq, line: lineNumber, error: 'content does not match its hash (entry edited)' })
+    }
+    const signerError = await checkSigner(agent, entry.signer, entry.at, entry.hash, entry.signature)
+    if (signerError) {
+      errors.push({ seq: entry.seq, line: lineNumber, error: signerError })
+    }
+    previous = entry
+  }
+
+  const head = readHead()
+  if (!head && lines.length > 0) {
+    errors.push({ seq: null, line: null, error: 'head.json is missing' })
+  } else if (head) {
+    if (!previous || head.seq !== previous.seq || head.hash !== previous.hash) {
+      errors.push({ seq: head.seq, line: null, error: `head points at entry ${head.seq}, log ends at ${previous?.seq ?? 'nothing'} (entries deleted from the end)` })
+    }
+    const signerError = await checkSigner(agent, head.signer, previous?.at ?? '', `${head.seq}:${head.hash}`, head.signature)
+    if (signerError) {
+      errors.push({ seq: head.seq, line: null, error: `head ${signerError}` })
+    }
+  }
+
+  return { valid: errors.length === 0, entries: lines.length, errors }
+}
+
+/**
+ * Log entries as JSON lines, exactly as stored
+ */
+export function exportAuditLog() {
+  return readLines().map(line => line + '\n').join('')
+}
@@ -0,0 +1,194 @@
+// src/credentialRepository.js - Credential repository interface shared by the storage backends
+import fs from 'fs'
+import path from 'path'
+import { credentialValidUntil } from './dataModel.js'
+import { validationError } from './errors.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Interface for credential record storage (see JsonFileCredentialRepository, SqliteCredentialRepository)
+ *
+ * A record is { id, studentId, credential, jwt, issuedAt, status, statusHistory?, supersedes?, supersededBy?, ... }
+ * All methods are async so backends can do I/O however they need to
+ */
+export class CredentialRepository {
+  // Store a new record, returns where it was stored
+  async save(record) {
+    throw new Error('not_implemented: CredentialRepository.save')
+  }
+
+  // Record by credential id, or null
+  async get(credentialId) {
+    throw new Error('not_implemented: CredentialRepository.get')
+  }
+
+  // All records of a student, oldest first
+  async listForStudent(studentId) {
+    throw new Error('not_implemented: CredentialRepository.listForStudent')
+  }
+
+  // Records matching a filter (see normalizeFilter), oldest first
+  async query(filter = {}) {
+    throw new Error('not_implemented: CredentialRepository.query')
+  }
+
+  // Set the status and append the transition to statusHistory in one atomic update
+  async updateStatus(credentialId, status, transition = null) {
+    throw new Error('not_implemented: CredentialRepository.updateStatus')
+  }
+
+  // Merge fields other than status into a record (e.g. supersededBy)
+  async update(credentialId, fields) {
+    throw new Error('not_implemented: CredentialRepository.update')
+  }
+
+  // Latest record of a student, or null
+  async latestForStudent(studentId) {
+    return (await this.listForStudent(studentId)).at(-1) || null
+  }
+}
+
+/**
+ * Lifecycle state of a record: its stored status, or 'expired' for an active credential past its expirationDate (validUntil)
+ */
+export function credentialState(record, now = new Date()) {
+  const expirationDate = credentialValidUntil(record.credential)
+  if (record.status === 'active' && expirationDate && new Date(expirationDate) < now) {
+    return 'expired'
+  }
+  return record.status
+}
+
+/**
+ * Program a credential is about: credentialSubject.title on student cards, program on other templates
+ */
+export function credentialProgram(credential) {
+  return credential?.credentialSubject?.title ?? credential?.credentialSubject?.program
+}
+
+/**
+ * Query filter accepted by CredentialRepository.query
+ *   studentId        - records of one student
+ *   holderDid        - records bound to one holder DID
+ *   status           - lifecycle state: active, suspended, revoked or expired
+ *   program          - credentialProgram of the credential, case-insensitive
+ *   type             - one of the credential's types (e.g. TranscriptCredential)
+ *   issuedAfter      - issuedAt on or after this date
+ *   issuedBefore     - issuedAt before this date
+ *   expiringWithin   - days; still valid now and expiring within the window
+ *   limit, offset    - paging
+ * Dates are normalized to ISO strings so backends can compare them as text; invalid ones are validation errors
+ */
+export function normalizeFilter(filter = {}, now = new Date()) {
+  const toISO = (value, name) => {
+    if (value === undefined || value === null) return undefined
+    const date = new Date(value)
+    if (isNaN(date)) {
+      throw validationError(`Invalid date for ${name}: ${value}`)
+    }
+    return date.toISOString()
+  }
+
+  const normalized = {
+    studentId: filter.studentId,
+    holderDid: filter.holderDid,
+    status: filter.status,
+    program: filter.program?.toLowerCase(),
+    type: filter.type,
+    issuedAfter: toISO(filter.issuedAfter, 'issuedAfter'),
+    issuedBefore: toISO(filter.issuedBefore, 'issuedBefore'),
+    now: now.toISOString(),
+    limit: filter.limit !== undefined ? Number(filter.limit) : undefined,
+    offset: Number(filter.offset || 0)
+  }
+
+  if (filter.expiringWithin !== undefined) {
+    const days = Number(filter.expiringWithin)
+    if (!(days >= 0)) {
+      throw validationError(`expiringWithin must be a number of days: ${filter.expiringWithin}`)
+    }
+    normalized.expiresBefore = new Date(now.getTime() + days * DAY_MS).toISOString()
+  }
+
+  return normalized
+}
+
+/**
+ * In-memory version of the query, for backends without their own query engine
+ */
+export function matchesFilter(record, filter) {
+  const validUntil = credentialValidUntil(record.credential)
+  const expirationDate = validUntil && new Date(validUntil).toISOString()
+
+  if (filter.studentId && record.studentId !== filter.studentId) return false
+  if (filter.holderDid && record.holderDid !== filter.holderDid) return false
+  if (filter.status && credentialState(record, new Date(filter.now)) !== filter.status) return false
+  if (filter.program && credentialProgram(record.credential)?.toLowerCase() !== filter.program) return false
+  if (filter.type && ![].concat(record.credential?.type || []).includes(filter.type)) return false
+  if (filter.issuedAfter && record.issuedAt < filter.issuedAfter) return false
+  if (filter.issuedBefore && record.issuedAt >= filter.issuedBefore) return false
+  if (filter.expiresBefore && !(expirationDate && expirationDate >= filter.now && expirationDate < filter.expiresBefore)) return false
+  return true
+}
+
+export function applyPaging(records, filter) {
+  const end = filter.limit !== undefined ? filter.offset + filter.limit : undefined
+  return records.slice(filter.offset, end)
+}
+
+// Whether the process that wrote a lock still runs (EPERM: it does, under another user)
+function lockHolderAlive(pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    return error.code === 'EPERM'
+  }
+}
+
+/**
+ * Run fn while holding an exclusive lock file, so read-modify-write cycles from
+ * concurrent processes (e.g. a batch run and a revoke) do not overwrite each other
+ * The lock holds its holder's pid and is removed as stale only once that process has exited, however
+ * long fn takes (a status change followed by anchoring can run for minutes); a lock without a pid
+ * (its holder crashed while writing it) is stale once older than staleMs
+ */
+export async function withFileLock(lockPath, fn, { retryMs = 25, timeoutMs = 10000, staleMs = 30000 } = {}) {
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true })
+  const started = Date.now()
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' })
+      break
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error
+
+      try {
+        const holder = Number(fs.readFileSync(lockPath, 'utf-8'))
+        const stale = holder > 0
+          ? !lockHolderAlive(holder)
+          : Date.now() - fs.statSync(lockPath).mtimeMs > staleMs
+        if (stale) {
+          fs.unlinkSync(lockPath)
+          continue
+        }
+      } catch (e) {
+        // Released between the two calls
+        continue
+      }
+
+      if (Date.now() - started > timeoutMs) {
+        throw new Error(`Timed out waiting for storage lock: ${lockPath}`)
+      }
+      await new Promise(resolve => setTimeout(resolve, retryMs))
+    }
+  }
+
+  try {
+    return await fn()
+  } finally {
+    fs.rmSync(lockPath, { force: true })
+  }
+}
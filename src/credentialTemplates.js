@@ -0,0 +1,151 @@
+// src/credentialTemplates.js - Declarative credential type templates (src/templates/*.json)
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { PINNED_CONTEXTS } from './documentLoader.js'
+import { CREDENTIAL_SCHEMAS } from './schemaRegistry.js'
+import { validationError } from './errors.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const TEMPLATES_DIR = path.join(__dirname, 'templates')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Template used when none is named: the student card every credential used to be
+export const DEFAULT_TEMPLATE = 'student-card'
+
+/**
+ * A template (src/templates/<name>.json) defines one credential type:
+ *   name          - what issue --type takes
+ *   type          - credential type, with a subject schema registered in schemaRegistry.js
+ *   context       - JSON-LD context defining the claims (pinned in documentLoader.js)
+ *   validityDays  - default validity period; null for credentials that do not expire
+ *   display       - name, description and colours for wallets and listings
+ *   arguments     - claims taken, in order, from the positional arguments after studentId and name
+ *   claims        - claim name -> { label, required, type, default }; a credential has no other claims
+ *                   type is 'string' (default), 'number', 'object' or 'array', for values given as text
+ *                   default may use {claim}, {issuer.name}, {issuer.location}, {issuanceDay} and {expirationDate}
+ */
+let templates = null
+
+function loadTemplates() {
+  if (templates) {
+    return templates
+  }
+
+  const loaded = new Map()
+  for (const file of fs.readdirSync(TEMPLATES_DIR).filter(f => f.endsWith('.json')).sort()) {
+    const template = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf-8'))
+    if (!CREDENTIAL_SCHEMAS[template.type]) {
+      throw new Error(`Template ${template.name}: no schema registered for ${template.type}`)
+    }
+    if (!PINNED_CONTEXTS[template.context]) {
+      throw new Error(`Template ${template.name}: context ${template.context} is not bundled`)
+    }
+    loaded.set(template.name, template)
+  }
+  templates = loaded
+  return templates
+}
+
+export function listTemplates() {
+  return [...loadTemplates().values()]
+}
+
+/**
+ * Template by name; throws for an unknown name
+ */
+export function getTemplate(name = DEFAULT_TEMPLATE) {
+  const template = loadTemplates().get(name)
+  if (!template) {
+    throw validationError(`Unknown credential template: ${name} (expected ${[...loadTemplates().keys()].join(', ')})`)
+  }
+  return template
+}
+
+/**
+ * Template issuing credentials of this type, or null (e.g. credentials from another issuer)
+ */
+export function templateForType(type) {
+  const types = [].concat(type || [])
+  return listTemplates().find(template => types.includes(template.type)) || null
+}
+
+/**
+ * Default expirationDate of a credential issued now, or undefined if the template's credentials do not expire
+ */
+export function templateExpiration(template, issuanceDate) {
+  return template.validityDays ? new Date(new Date(issuanceDate).getTime() + template.validityDays * DAY_MS).toISOString() : undefined
+}
+
+/**
+ * Set a claim given as text (e.g. from --claim credits=6) on claims, typed as the template declares
+ * A dotted path (degree.name) sets a field of an object claim
+ */
+export function setClaimFromText(template, claims, claimPath, text) {
+  const [name, ...rest] = claimPath.split('.')
+  const type = rest.length === 0 ? template.claims[name]?.type : 'string'
+  let value = text
+  if (type === 'number') {
+    value = text.trim() === '' ? NaN : Number(text)
+    if (isNaN(value)) {
+      throw validationError(`${claimPath} must be a number: ${text}`)
+    }
+  } else if (type === 'object' || type === 'array') {
+    try {
+      value = JSON.parse(text)
+    } catch (error) {
+      throw validationError(`${claimPath} must be JSON: ${error.message}`)
+    }
+  }
+
+  if (rest.length === 0) {
+    claims[name] = value
+    return claims
+  }
+  let target = claims[name] = claims[name] || {}
+  rest.slice(0, -1).forEach(key => { target = target[key] = target[key] || {} })
+  target[rest.at(-1)] = value
+  return claims
+}
+
+// A default with every {placeholder} filled in, or undefined if one has no value
+function fillDefault(pattern, values) {
+  let missing = false
+  const filled = pattern.replace(/\{([\w.]+)\}/g, (match, key) => {
+    const value = key.split('.').reduce((object, part) => object?.[part], values)
+    if (value === undefined || value === null || value === '') {
+      missing = true
+    }
+    return value
+  })
+  return missing ? undefined : filled
+}
+
+/**
+ * credentialSubject of a credential from this template: id, then the template's claims in order,
+ * defaults filled in for the ones not given
+ * Returns { subject, errors } with errors as [{ field, message }] for missing required claims
+ * and claims the template does not define; claim values are checked by the type's schema
+ */
+export function buildSubject(template, claims, { id, issuer, issuanceDate, expirationDate }) {
+  const errors = Object.keys(claims)
+    .filter(name => claims[name] !== undefined && !template.claims[name])
+    .map(name => ({ field: name, message: `is not a claim of ${template.name}` }))
+
+  const values = { ...claims, issuer, issuanceDay: issuanceDate.split('T')[0], expirationDate }
+  const subject = { id }
+  for (const [name, definition] of Object.entries(template.claims)) {
+    const value = claims[name] ?? (definition.default ? fillDefault(definition.default, values) : undefined)
+    if (value === undefined || value === '') {
+      if (definition.required) {
+        errors.push({ field: name, message: 'is required' })
+      }
+      continue
+    }
+    subject[name] = value
+  }
+  return { subject, errors }
+}
@@ -0,0 +1,98 @@
+// src/dataIntegrity.js - JSON-LD Data Integrity proofs (Ed25519Signature2020) with agent-managed keys
+import vc from '@digitalcredentials/vc'
+import { Ed25519Signature2020 } from '@digitalcredentials/ed25519-signature-2020'
+import { Ed25519VerificationKey2020 } from '@digitalcredentials/ed25519-verification-key-2020'
+import { base64ToBytes, bytesToBase64, bytesToMultibase, hexToBytes } from '@veramo/utils'
+import { createDocumentLoader, ED25519_2020_CONTEXT } from './documentLoader.js'
+
+export const DATA_INTEGRITY_PROOF_TYPE = 'Ed25519Signature2020'
+
+/**
+ * Whether a credential carries an embedded Data Integrity proof (rather than being a JWT)
+ */
+export function isDataIntegrityCredential(credential) {
+  return typeof credential === 'object' && credential !== null && credential.proof?.type === DATA_INTEGRITY_PROOF_TYPE
+}
+
+// jsonld wraps document loader failures; the cause says which context or DID was the problem
+function ldErrorMessage(error) {
+  return error?.details?.cause?.message || error?.message
+}
+
+/**
+ * Signing suite for a DID managed by the agent; the private key never leaves the key manager
+ */
+async function signingSuite(agent, did) {
+  const identifier = await agent.didManagerGet({ did })
+  const key = identifier.keys.find(k => k.type === 'Ed25519')
+  if (!key) {
+    throw new Error(`${DATA_INTEGRITY_PROOF_TYPE} needs an Ed25519 key; ${did} has none`)
+  }
+
+  const { didDocument } = await agent.resolveDid({ didUrl: did })
+  const reference = didDocument?.assertionMethod?.[0]
+  const methodId = typeof reference === 'string' ? reference : reference?.id
+  if (!methodId) {
+    throw new Error(`${did} has no assertion method`)
+  }
+
+  const signer = {
+    sign: async ({ data }) => base64ToBytes(await agent.keyManagerSign({
+      keyRef: key.kid,
+      data: bytesToBase64(data),
+      encoding: 'base64',
+      algorithm: 'EdDSA'
+    }))
+  }
+  const verificationKey = new Ed25519VerificationKey2020({
+    id: methodId.startsWith('#') ? `${did}${methodId}` : methodId,
+    controller: did,
+    publicKeyMultibase: bytesToMultibase(hexToBytes(key.publicKeyHex), 'base58btc', 'ed25519-pub')
+  })
+  verificationKey.signer = () => signer
+  return new Ed25519Signature2020({ key: verificationKey, signer })
+}
+
+/**
+ * Sign a credential with an embedded Ed25519Signature2020 proof (assertionMethod of issuerDid)
+ * The credential's @context must resolve through the pinned contexts; unknown terms are an error
+ */
+export async function signDataIntegrity(agent, issuerDid, credential) {
+  const contexts = [].concat(credential['@context'])
+  const suite = await signingSuite(agent, issuerDid)
+  try {
+    return await vc.issue({
+      credential: {
+        ...credential,
+        '@context': contexts.includes(ED25519_2020_CONTEXT) ? contexts : [...contexts, ED25519_2020_CONTEXT]
+      },
+      suite,
+      documentLoader: createDocumentLoader(agent)
+    })
+  } catch (error) {
+    throw new Error(`Could not sign as ${DATA_INTEGRITY_PROOF_TYPE}: ${ldErrorMessage(error)}`)
+  }
+}
+
+/**
+ * Check the embedded proof of a credential (signature, issuer's assertion method, well-formedness)
+ * Status and expiry are the caller's business, as for the other formats
+ * Throws with the first reported error if the proof does not verify
+ */
+export async function verifyDataIntegrity(agent, credential) {
+  const result = await vc.verifyCredential({
+    credential,
+    suite: new Ed25519Signature2020(),
+    documentLoader: createDocumentLoader(agent),
+    // The status list is checked separately through the agent's status plugin
+    checkStatus: async () => ({ verified: true }),
+    // Dates are checked as of issuance, so an expired credential is reported by the caller, not rejected
+    now: new Date(credential.issuanceDate)
+  })
+  if (!result.verified) {
+    const error = result.error?.errors?.[0] || result.error || result.results?.find(r => !r.verified)?.error
+    throw new Error(`Data Integrity proof rejected: ${ldErrorMessage(error) || 'verification failed'}`)
+  }
+  return credential
+}
+
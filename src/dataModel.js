@@ -0,0 +1,133 @@
+// src/dataModel.js - W3C VC Data Model 1.1 / 2.0: credential shape, vc+jwt securing and a normalized view
+import { createJWS, decodeJWT, verifyJWS } from 'did-jwt'
+import { didSigner } from './sdJwt.js'
+import { CREDENTIALS_V1_CONTEXT } from './documentLoader.js'
+
+export const DATA_MODELS = ['1.1', '2.0']
+
+export const CREDENTIALS_V2_CONTEXT = 'https://www.w3.org/ns/credentials/v2'
+
+// VCDM 2.0 credentials are secured with JOSE (VC-JOSE-COSE): the JWT payload is the credential itself
+export const VC_JWT_TYPE = 'vc+jwt'
+
+// 1.1 contexts and the 2.0 context replacing each (the 2.0 context has a @vocab for any other terms)
+const CONTEXT_UPGRADES = {
+  [CREDENTIALS_V1_CONTEXT]: CREDENTIALS_V2_CONTEXT,
+  'https://www.w3.org/2018/credentials/examples/v1': 'https://www.w3.org/ns/credentials/examples/v2'
+}
+
+export function credentialDataModel(credential) {
+  return [].concat(credential?.['@context'] || [])[0] === CREDENTIALS_V2_CONTEXT ? '2.0' : '1.1'
+}
+
+/**
+ * A VCDM 1.1 credential rewritten for dataModel: for '2.0' the base context becomes credentials/v2,
+ * issuanceDate becomes validFrom and expirationDate becomes validUntil
+ */
+export function toDataModel(credential, dataModel) {
+  if (!DATA_MODELS.includes(dataModel)) {
+    throw new Error(`Unknown data model: ${dataModel} (expected ${DATA_MODELS.join(', ')})`)
+  }
+  if (dataModel === '1.1') {
+    return credential
+  }
+
+  const { issuanceDate, expirationDate, ...rest } = credential
+  return {
+    ...rest,
+    '@context': [...new Set([].concat(credential['@context']).map(context => CONTEXT_UPGRADES[context] || context))],
+    ...(issuanceDate ? { validFrom: issuanceDate } : {}),
+    ...(expirationDate ? { validUntil: expirationDate } : {})
+  }
+}
+
+/**
+ * One shape for a credential of either data model, so verifiers read the same fields for both
+ *   dataModel             - '1.1' or '2.0'
+ *   issuer                - always an object with an id
+ *   validFrom/validUntil  - from validFrom/validUntil (2.0) or issuanceDate/expirationDate (1.1)
+ *   issuanceDate/expirationDate - the same values under the 1.1 names, for verifiers not yet migrated
+ */
+export function normalizeCredential(credential) {
+  const validFrom = credential.validFrom ?? credential.issuanceDate
+  const validUntil = credential.validUntil ?? credential.expirationDate
+  return {
+    ...credential,
+    dataModel: credentialDataModel(credential),
+    issuer: typeof credential.issuer === 'string' ? { id: credential.issuer } : credential.issuer,
+    ...(validFrom ? { validFrom, issuanceDate: validFrom } : {}),
+    ...(validUntil ? { validUntil, expirationDate: validUntil } : {})
+  }
+}
+
+// When a credential stops being valid, whichever data model it uses
+export function credentialValidUntil(credential) {
+  return credential?.validUntil ?? credential?.expirationDate
+}
+
+export function isVcJwt(value) {
+  if (typeof value !== 'string' || value.includes('~')) {
+    return false
+  }
+  try {
+    return decodeJWT(value).header.typ === VC_JWT_TYPE
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * Assertion methods of a DID, with absolute ids
+ */
+async function assertionMethods(agent, did) {
+  const { didDocument } = await agent.resolveDid({ didUrl: did })
+  const absolute = id => id.startsWith('#') ? `${did}${id}` : id
+  const ids = (didDocument?.assertionMethod || []).map(m => absolute(typeof m === 'string' ? m : m.id))
+  return [
+    ...(didDocument?.verificationMethod || []),
+    ...(didDocument?.assertionMethod || []).filter(m => typeof m === 'object')
+  ]
+    .map(method => ({ ...method, id: absolute(method.id) }))
+    .filter(method => ids.includes(method.id))
+}
+
+/**
+ * Secure a VCDM 2.0 credential as a vc+jwt, signed with the issuer's first assertion method
+ */
+export async function signVcJwt(agent, issuerDid, credential) {
+  if (credentialDataModel(credential) !== '2.0') {
+    throw new Error(`${VC_JWT_TYPE} secures VCDM 2.0 credentials (@context ${CREDENTIALS_V2_CONTEXT})`)
+  }
+  const [method] = await assertionMethods(agent, issuerDid)
+  if (!method) {
+    throw new Error(`${issuerDid} has no assertion method`)
+  }
+  const { signer, alg } = await didSigner(agent, issuerDid)
+  return createJWS(credential, signer, { alg, typ: VC_JWT_TYPE, cty: 'vc', kid: method.id })
+}
+
+/**
+ * Check a vc+jwt: its kid must be an assertion method of the credential's issuer
+ * Dates and status are the caller's business, as for the other formats
+ * Returns the credential (the JWT payload); throws if the signature does not verify
+ */
+export async function verifyVcJwt(agent, jwt) {
+  const { header, payload } = decodeJWT(jwt)
+  if (header.typ !== VC_JWT_TYPE) {
+    throw new Error(`Unexpected credential type: ${header.typ} (expected ${VC_JWT_TYPE})`)
+  }
+  if (credentialDataModel(payload) !== '2.0') {
+    throw new Error(`${VC_JWT_TYPE} payload is not a VCDM 2.0 credential`)
+  }
+
+  const issuer = typeof payload.issuer === 'string' ? payload.issuer : payload.issuer?.id
+  if (!issuer || !header.kid?.startsWith(`${issuer}#`)) {
+    throw new Error(`Signing key ${header.kid} does not belong to the issuer ${issuer}`)
+  }
+  const method = (await assertionMethods(agent, issuer)).find(m => m.id === header.kid)
+  if (!method) {
+    throw new Error(`${header.kid} is not an assertion method of ${issuer}`)
+  }
+  verifyJWS(jwt, method)
+  return payload
+}
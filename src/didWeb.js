@@ -0,0 +1,156 @@
+// src/didWeb.js - did:web: DID documents served from the issuer's domain
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { bytesToMultibase, hexToBytes } from '@veramo/utils'
+import { STORAGE_DIR } from './storageDir.js'
+
+// Documents written by `node issue.js did-document`, laid out as on the web server
+export const DID_WEB_DIR = path.join(STORAGE_DIR, 'web')
+
+/**
+ * did:web for a domain, e.g. university.edu or localhost:8787 (the port colon is percent-encoded)
+ */
+export function didWebFromDomain(domain) {
+  const [host, ...segments] = domain.replace(/^https?:\/\//, '').replace(/\/+$/, '').split('/')
+  if (!host) {
+    throw new Error(`Not a domain: ${domain}`)
+  }
+  return ['did:web', encodeURIComponent(host), ...segments.map(encodeURIComponent)].join(':')
+}
+
+/**
+ * Path of a did:web document on its server:
+ *   did:web:university.edu            -> /.well-known/did.json
+ *   did:web:university.edu:issuers:cs -> /issuers/cs/did.json
+ */
+function documentPath(did) {
+  const [scheme, method, host, ...segments] = did.split(':')
+  if (scheme !== 'did' || method !== 'web' || !host) {
+    throw new Error(`Not a did:web: ${did}`)
+  }
+  return segments.length > 0
+    ? `/${segments.map(decodeURIComponent).join('/')}/did.json`
+    : '/.well-known/did.json'
+}
+
+/**
+ * URL the document of a did:web is fetched from
+ * baseUrl replaces https://<domain>, so a local server can stand in for the real domain
+ */
+export function didWebUrl(did, { baseUrl } = {}) {
+  const origin = baseUrl
+    ? baseUrl.replace(/\/+$/, '')
+    : `https://${decodeURIComponent(did.split(':')[2])}`
+  return origin + documentPath(did)
+}
+
+/**
+ * Where `did-document` publishes the document of a did:web under .storage/web
+ */
+export function publishedDidWebPath(did) {
+  return path.join(DID_WEB_DIR, documentPath(did))
+}
+
+// OpenSSL and JWK curve names of the elliptic-curve key types
+const EC_CURVES = {
+  Secp256k1: { curve: 'secp256k1', crv: 'secp256k1' },
+  Secp256r1: { curve: 'prime256v1', crv: 'P-256' }
+}
+
+/**
+ * Public JWK for an agent key (Veramo key type and publicKeyHex, compressed or not for EC keys)
+ */
+export function publicKeyJwk(keyType, publicKeyHex) {
+  if (keyType === 'Ed25519') {
+    return { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKeyHex, 'hex').toString('base64url') }
+  }
+  const ec = EC_CURVES[keyType]
+  if (!ec) {
+    throw new Error(`Unsupported key type: ${keyType}`)
+  }
+  const point = crypto.ECDH.convertKey(Buffer.from(publicKeyHex, 'hex'), ec.curve, undefined, undefined, 'uncompressed')
+  return { kty: 'EC', crv: ec.crv, x: point.subarray(1, 33).toString('base64url'), y: point.subarray(33).toString('base64url') }
+}
+
+/**
+ * DID document for a did:web controlled by agent keys ({ type, publicKeyHex }, the signing key first)
+ * Ed25519 keys are Ed25519VerificationKey2020 named by their multibase fingerprint,
+ * Secp256k1 and Secp256r1 keys JsonWebKey2020 named by their JWK thumbprint
+ */
+export function buildDidWebDocument(did, keys) {
+  const methods = keys.map(({ type, publicKeyHex }) => {
+    if (type === 'Ed25519') {
+      const publicKeyMultibase = bytesToMultibase(hexToBytes(publicKeyHex), 'base58btc', 'ed25519-pub')
+      return { id: `${did}#${publicKeyMultibase}`, type: 'Ed25519VerificationKey2020', controller: did, publicKeyMultibase }
+    }
+    const { kty, crv, x, y } = publicKeyJwk(type, publicKeyHex)
+    const thumbprint = crypto.createHash('sha256').update(JSON.stringify({ crv, kty, x, y })).digest('base64url')
+    return { id: `${did}#${thumbprint}`, type: 'JsonWebKey2020', controller: did, publicKeyJwk: { kty, crv, x, y } }
+  })
+
+  return {
+    '@context': [
+      'https://www.w3.org/ns/did/v1',
+      ...(methods.some(m => m.type === 'Ed25519VerificationKey2020') ? ['https://w3id.org/security/suites/ed25519-2020/v1'] : []),
+      ...(methods.some(m => m.type === 'JsonWebKey2020') ? ['https://w3id.org/security/suites/jws-2020/v1'] : [])
+    ],
+    id: did,
+    verificationMethod: methods,
+    assertionMethod: methods.map(m => m.id),
+    authentication: methods.map(m => m.id)
+  }
+}
+
+/**
+ * Write a did:web document where the status server (and a copy to the real domain) serves it
+ */
+export function publishDidWebDocument(document) {
+  const filepath = publishedDidWebPath(document.id)
+  fs.mkdirSync(path.dirname(filepath), { recursive: true })
+  fs.writeFileSync(filepath, JSON.stringify(document, null, 2) + '\n')
+  return filepath
+}
+
+/**
+ * Fetch and check the document of a did:web
+ * Without a baseUrl override, a document published from this tree is read from disk
+ */
+export async function fetchDidWebDocument(did, { baseUrl } = {}) {
+  const published = !baseUrl && publishedDidWebPath(did)
+  let document
+  if (published && fs.existsSync(published)) {
+    document = JSON.parse(fs.readFileSync(published, 'utf-8'))
+  }
+
+  if (!document || document.id !== did) {
+    const url = didWebUrl(did, { baseUrl })
+    const response = await fetch(url, { headers: { Accept: 'application/did+json, application/json' } })
+    if (!response.ok) {
+      throw new Error(`Could not fetch DID document ${url}: HTTP ${response.status}`)
+    }
+    document = await response.json()
+  }
+
+  if (document.id !== did) {
+    throw new Error(`DID document id ${document.id} does not match ${did}`)
+  }
+  return document
+}
+
+/**
+ * did-resolver driver for did:web
+ *   baseUrl - fetch every document from this origin instead of the DID's domain
+ *             (DID_WEB_BASE_URL; tests point it at a local static server)
+ */
+export function getDidWebResolver({ baseUrl = process.env.DID_WEB_BASE_URL } = {}) {
+  async function web(did, parsed) {
+    try {
+      const didDocument = await fetchDidWebDocument(parsed.did, { baseUrl })
+      return { didDocument, didDocumentMetadata: {}, didResolutionMetadata: { contentType: 'application/did+ld+json' } }
+    } catch (error) {
+      return { didDocument: null, didDocumentMetadata: {}, didResolutionMetadata: { error: 'notFound', message: error.message } }
+    }
+  }
+  return { web }
+}
@@ -0,0 +1,145 @@
+// src/documentLoader.js - Offline JSON-LD document loader: pinned contexts and DIDs from the agent
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const CONTEXTS_DIR = path.join(__dirname, 'contexts')
+
+export const CREDENTIALS_V1_CONTEXT = 'https://www.w3.org/2018/credentials/v1'
+export const STATUS_LIST_CONTEXT = 'https://www.w3.org/ns/credentials/status/v1'
+export const ED25519_2020_CONTEXT = 'https://w3id.org/security/suites/ed25519-2020/v1'
+export const ED25519_2018_CONTEXT = 'https://w3id.org/security/suites/ed25519-2018/v1'
+export const STUDENT_CARD_CONTEXT = 'https://university.edu/contexts/student-card/v1'
+export const UNIVERSITY_CREDENTIALS_CONTEXT = 'https://university.edu/contexts/credentials/v1'
+
+/**
+ * Every context a Data Integrity credential or the DID documents it points to may use,
+ * bundled under src/contexts and pinned by the SHA-256 of the bundled copy.
+ * Updating a context means replacing the file and its hash here, in the same commit.
+ */
+export const PINNED_CONTEXTS = {
+  [CREDENTIALS_V1_CONTEXT]: {
+    file: 'credentials-v1.json',
+    sha256: '94af753b5d963ebf65f2f0d96e8db688d41430df4d1b3ef4e60ca84889c04c39'
+  },
+  [STATUS_LIST_CONTEXT]: {
+    file: 'bitstring-status-list-v1.json',
+    sha256: 'fd08cbf28ddd829ab2f1978c48f43ab07a112c1c90245a0cfac7ba721c65170c'
+  },
+  [STUDENT_CARD_CONTEXT]: {
+    file: 'student-card-v1.json',
+    sha256: 'd92db950ecb8c85864b648b2afadacf128ef9c5647ef84e6c4d80a2e8803c5e4'
+  },
+  [UNIVERSITY_CREDENTIALS_CONTEXT]: {
+    file: 'university-credentials-v1.json',
+    sha256: '0df95c63f91ee07be25db49dad2b997822327aebe1dcf7bdef2fe23cb1a84315'
+  },
+  [ED25519_2020_CONTEXT]: {
+    file: 'ed25519-2020-v1.json',
+    sha256: '3d148337f96a4a3907944b380041f7575fcdef40e510c370de259a645aad1f76'
+  },
+  [ED25519_2018_CONTEXT]: {
+    file: 'ed25519-2018-v1.json',
+    sha256: '26c95408805c917f39b7a89430986bbc876e6cb7b2ed9950e213157d5736e8ff'
+  },
+  'https://w3id.org/security/suites/x25519-2019/v1': {
+    file: 'x25519-2019-v1.json',
+    sha256: '5a35c4815ac8abb8ef4622190dc497de10ca9f7f5c4da70b5b8e63ad7b7e4e78'
+  },
+  'https://w3id.org/security/suites/x25519-2020/v1': {
+    file: 'x25519-2020-v1.json',
+    sha256: '0134fe72016e71954d564cf010b53ab662fe7958c65c06d30932e1f30fef7e87'
+  },
+  'https://www.w3.org/ns/did/v1': {
+    file: 'did-v1.json',
+    sha256: 'd3fe909ec52559e10213bf0790d250b04d2b48b2e333564473af9920e7228589'
+  },
+  // Older URL of the same context, still used by some DID resolvers
+  'https://w3id.org/did/v1': {
+    file: 'did-v1.json',
+    sha256: 'd3fe909ec52559e10213bf0790d250b04d2b48b2e333564473af9920e7228589'
+  },
+  'https://w3id.org/security/v1': {
+    file: 'security-v1.json',
+    sha256: '94ea0238884ff872cde6f39b10afc36896344fe8a7ffd0bca514757b5f856666'
+  },
+  'https://w3id.org/security/v2': {
+    file: 'security-v2.json',
+    sha256: '1b0411f7b168e43f26a17b945bd1c0b9706f8fd9c46572ce0aaf2640d9dcaa4c'
+  }
+}
+
+let bundled = null
+
+/**
+ * The pinned contexts as a Map of URL -> context document
+ * Throws if a bundled file no longer matches its pinned hash
+ */
+function loadBundledContexts() {
+  if (bundled) {
+    return bundled
+  }
+
+  const contexts = new Map()
+  for (const [url, { file, sha256 }] of Object.entries(PINNED_CONTEXTS)) {
+    const content = fs.readFileSync(path.join(CONTEXTS_DIR, file))
+    const actual = crypto.createHash('sha256').update(content).digest('hex')
+    if (actual !== sha256) {
+      throw new Error(`Bundled context ${file} does not match its pinned hash (${url})`)
+    }
+    contexts.set(url, JSON.parse(content.toString('utf-8')))
+  }
+  bundled = contexts
+  return bundled
+}
+
+// Context a verification method needs on its own, once taken out of its DID document
+const METHOD_CONTEXTS = {
+  Ed25519VerificationKey2018: ED25519_2018_CONTEXT,
+  Ed25519VerificationKey2020: ED25519_2020_CONTEXT
+}
+
+// Default @context of a DID document resolved without one (did:key keys and key agreement)
+const DID_DOCUMENT_CONTEXTS = [
+  'https://www.w3.org/ns/did/v1',
+  ED25519_2018_CONTEXT,
+  'https://w3id.org/security/suites/x25519-2019/v1'
+]
+
+/**
+ * JSON-LD document loader for signing and verifying Data Integrity proofs
+ *   did:... URLs   - resolved through the agent; a #fragment yields that verification method
+ *   anything else  - served from the pinned contexts, or rejected: nothing is ever fetched
+ */
+export function createDocumentLoader(agent) {
+  const contexts = loadBundledContexts()
+
+  return async url => {
+    if (url.startsWith('did:')) {
+      const [did, fragment] = url.split('#')
+      const { didDocument } = await agent.resolveDid({ didUrl: did, options: { accept: 'application/did+ld+json' } })
+      if (!didDocument) {
+        throw new Error(`Could not resolve ${did}`)
+      }
+      if (!fragment) {
+        return { contextUrl: null, documentUrl: url, document: { '@context': DID_DOCUMENT_CONTEXTS, ...didDocument } }
+      }
+      const method = didDocument.verificationMethod?.find(m => m.id === url || m.id === `#${fragment}`)
+      if (!method) {
+        throw new Error(`${did} has no verification method #${fragment}`)
+      }
+      const document = { '@context': METHOD_CONTEXTS[method.type], ...method, id: url }
+      return { contextUrl: null, documentUrl: url, document }
+    }
+
+    const document = contexts.get(url)
+    if (!document) {
+      throw new Error(`JSON-LD context not bundled: ${url} (add it to src/contexts and PINNED_CONTEXTS)`)
+    }
+    return { contextUrl: null, documentUrl: url, document }
+  }
+}
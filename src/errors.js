@@ -0,0 +1,11 @@
+// src/errors.js - Errors in a caller's input, told apart from failures of the service
+
+/**
+ * An Error caused by what the caller asked for (invalid claims, proof, template or status transition)
+ * The HTTP service answers these with 400 and their message; any other error is a 500 whose message stays in the log
+ */
+export function validationError(message) {
+  const error = new Error(message)
+  error.validation = true
+  return error
+}
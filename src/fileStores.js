@@ -0,0 +1,212 @@
+// src/fileStores.js - File-backed key and DID stores for the Veramo agent
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { AbstractKeyStore, AbstractPrivateKeyStore } from '@veramo/key-manager'
+import { AbstractDIDStore } from '@veramo/did-manager'
+import { STORAGE_DIR } from './storageDir.js'
+
+export const KEYSTORE_DIR = path.join(STORAGE_DIR, 'keystore')
+
+// Marker encrypted with the derived key so a wrong passphrase is detected
+const PASSPHRASE_CHECK = 'vc-creation-keystore'
+
+// scrypt parameters for passphrase -> encryption key derivation
+const KDF_PARAMS = { N: 16384, r: 8, p: 1, keylen: 32 }
+
+function readJSON(filepath, fallback) {
+  if (fs.existsSync(filepath)) {
+    return JSON.parse(fs.readFileSync(filepath, 'utf-8'))
+  }
+  return fallback
+}
+
+// Write to a temp file first so a crash never leaves half a store on disk
+function writeJSON(filepath, data) {
+  fs.mkdirSync(path.dirname(filepath), { recursive: true })
+  const tmpPath = `${filepath}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 })
+  fs.renameSync(tmpPath, filepath)
+}
+
+/**
+ * Key metadata store (kid -> public key info), persisted as keys.json
+ */
+export class FileKeyStore extends AbstractKeyStore {
+  constructor(dir = KEYSTORE_DIR) {
+    super()
+    this.filepath = path.join(dir, 'keys.json')
+  }
+
+  async getKey({ kid }) {
+    const keys = readJSON(this.filepath, {})
+    if (!keys[kid]) throw Error('Key not found')
+    return keys[kid]
+  }
+
+  async deleteKey({ kid }) {
+    const keys = readJSON(this.filepath, {})
+    delete keys[kid]
+    writeJSON(this.filepath, keys)
+    return true
+  }
+
+  async importKey(args) {
+    const keys = readJSON(this.filepath, {})
+    const { privateKeyHex, ...safeKey } = args
+    keys[args.kid] = safeKey
+    writeJSON(this.filepath, keys)
+    return true
+  }
+
+  async listKeys() {
+    return Object.values(readJSON(this.filepath, {}))
+  }
+}
+
+/**
+ * Private key store, persisted as private-keys.json
+ * Key material is encrypted with AES-256-GCM under a passphrase-derived key (scrypt)
+ */
+export class FilePrivateKeyStore extends AbstractPrivateKeyStore {
+  constructor(passphrase, dir = KEYSTORE_DIR) {
+    super()
+    if (!passphrase) {
+      throw new Error('A passphrase is required to open the private key store (set VC_STORAGE_PASSPHRASE)')
+    }
+    this.filepath = path.join(dir, 'private-keys.json')
+
+    const data = readJSON(this.filepath, {
+      version: 1,
+      kdf: { name: 'scrypt', salt: crypto.randomBytes(16).toString('hex'), ...KDF_PARAMS },
+      keys: {}
+    })
+    const { N, r, p, keylen } = data.kdf
+    this.kdf = data.kdf
+    this.secretKey = crypto.scryptSync(passphrase, Buffer.from(data.kdf.salt, 'hex'), keylen, { N, r, p })
+
+    // Fail at startup rather than on the first signature
+    if (data.check) {
+      let check = null
+      try {
+        check = this.decrypt(data.check)
+      } catch (e) {
+        // Authentication tag mismatch
+      }
+      if (check !== PASSPHRASE_CHECK) {
+        throw new Error('Wrong passphrase for private key store: ' + this.filepath)
+      }
+    } else {
+      data.check = this.encrypt(PASSPHRASE_CHECK)
+      writeJSON(this.filepath, data)
+    }
+    this.check = data.check
+  }
+
+  // The store on disk; an empty one under the same key if the file is gone (e.g. deleted after opening)
+  readStore() {
+    return readJSON(this.filepath, { version: 1, kdf: this.kdf, check: this.check, keys: {} })
+  }
+
+  // iv (12 bytes) || auth tag (16 bytes) || ciphertext, hex encoded
+  encrypt(message) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.secretKey, iv)
+    const cipherText = Buffer.concat([cipher.update(message, 'utf-8'), cipher.final()])
+    return Buffer.concat([iv, cipher.getAuthTag(), cipherText]).toString('hex')
+  }
+
+  decrypt(encryptedHex) {
+    const bytes = Buffer.from(encryptedHex, 'hex')
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.secretKey, bytes.subarray(0, 12))
+    decipher.setAuthTag(bytes.subarray(12, 28))
+    return Buffer.concat([decipher.update(bytes.subarray(28)), decipher.final()]).toString('utf-8')
+  }
+
+  async getKey({ alias }) {
+    const entry = this.readStore().keys[alias]
+    if (!entry) throw Error(`not_found: PrivateKey not found for alias=${alias}`)
+    return { alias, type: entry.type, privateKeyHex: this.decrypt(entry.encryptedPrivateKey) }
+  }
+
+  async deleteKey({ alias }) {
+    const data = this.readStore()
+    delete data.keys[alias]
+    writeJSON(this.filepath, data)
+    return true
+  }
+
+  async importKey(args) {
+    const data = this.readStore()
+    const alias = args.alias || crypto.randomUUID()
+
+    const existingEntry = data.keys[alias]
+    if (existingEntry && this.decrypt(existingEntry.encryptedPrivateKey) !== args.privateKeyHex) {
+      throw new Error('key_already_exists: key exists with different data, please use a different alias')
+    }
+
+    data.keys[alias] = {
+      type: args.type,
+      encryptedPrivateKey: this.encrypt(args.privateKeyHex)
+    }
+    writeJSON(this.filepath, data)
+    return { ...args, alias }
+  }
+
+  async listKeys() {
+    const data = this.readStore()
+    return Object.entries(data.keys).map(([alias, entry]) => ({
+      alias,
+      type: entry.type,
+      privateKeyHex: this.decrypt(entry.encryptedPrivateKey)
+    }))
+  }
+}
+
+/**
+ * DID store, persisted as dids.json
+ */
+export class FileDIDStore extends AbstractDIDStore {
+  constructor(dir = KEYSTORE_DIR) {
+    super()
+    this.filepath = path.join(dir, 'dids.json')
+  }
+
+  async getDID({ did, alias, provider }) {
+    const identifiers = readJSON(this.filepath, {})
+    if (did && !alias) {
+      if (!identifiers[did]) throw Error(`not_found: IIdentifier not found with did=${did}`)
+      return identifiers[did]
+    } else if (!did && alias) {
+      const identifier = Object.values(identifiers).find(i => i.alias === alias)
+      if (identifier) return identifier
+    } else {
+      throw Error('invalid_argument: Get requires did or (alias and provider)')
+    }
+    throw Error(`not_found: IIdentifier not found with alias=${alias} provider=${provider}`)
+  }
+
+  async deleteDID({ did }) {
+    const identifiers = readJSON(this.filepath, {})
+    delete identifiers[did]
+    writeJSON(this.filepath, identifiers)
+    return true
+  }
+
+  async importDID(args) {
+    const identifiers = readJSON(this.filepath, {})
+    const identifier = {
+      ...args,
+      keys: args.keys.map(({ privateKeyHex, ...key }) => key)
+    }
+    identifiers[args.did] = identifier
+    writeJSON(this.filepath, identifiers)
+    return true
+  }
+
+  async listDIDs({ alias, provider } = {}) {
+    return Object.values(readJSON(this.filepath, {})).filter(i =>
+      (!alias || i.alias === alias) && (!provider || i.provider === provider)
+    )
+  }
+}
@@ -1,10 +1,21 @@
 // src/helpers.js - Helper functions for VC operations
+import crypto from 'crypto'
+import { decodeJWT } from 'did-jwt'
+import { decodeCredentialToObject } from '@veramo/utils'
+import { isSdJwt, presentSdJwt, verifySdJwt } from './sdJwt.js'
+import { isDataIntegrityCredential, verifyDataIntegrity } from './dataIntegrity.js'
+import { toDataModel, normalizeCredential, isVcJwt, verifyVcJwt } from './dataModel.js'
+import { credentialSchemaFor, checkCredentialSchema, formatSchemaErrors } from './schemaRegistry.js'
+import { loadTrustRegistry, checkIssuerTrust } from './trustRegistry.js'
+import { findIssuerKey, checkIssuerKey } from './issuerKeys.js'
+import { credentialHash, findIssuanceEntry } from './auditLog.js'
 
 /**
  * Creates a standardized credential structure
+ * dataModel '2.0' gives a VCDM 2.0 credential (credentials/v2 context, validFrom); sign it with signVcJwt
  */
-export function createCredentialPayload(issuer, subject, credentialData) {
-  return {
+export function createCredentialPayload(issuer, subject, credentialData, { dataModel = '1.1' } = {}) {
+  return toDataModel({
     '@context': [
       'https://www.w3.org/2018/credentials/v1',
       'https://www.w3.org/2018/credentials/examples/v1'
@@ -15,16 +26,17 @@ export function createCredentialPayload(issuer, subject, credentialData) {
     credentialSubject: {
       id: subject.did,
       ...credentialData
-    }
-  }
+    },
+    credentialSchema: credentialSchemaFor('UniversityDegreeCredential', dataModel)
+  }, dataModel)
 }
 
 /**
- * Creates a credential with expiration date
+ * Creates a credential with expiration date (validUntil for dataModel '2.0')
  */
-export function createCredentialWithExpiration(issuer, subject, credentialData, expirationDate) {
-  const payload = createCredentialPayload(issuer, subject, credentialData)
-  payload.expirationDate = expirationDate
+export function createCredentialWithExpiration(issuer, subject, credentialData, expirationDate, options = {}) {
+  const payload = createCredentialPayload(issuer, subject, credentialData, options)
+  payload[options.dataModel === '2.0' ? 'validUntil' : 'expirationDate'] = expirationDate
   return payload
 }
 
@@ -46,6 +58,18 @@ export function validateIssuer(verificationResult, trustedIssuers) {
   }
 }
 
+/**
+ * Checks an issuer against a trust registry (see loadTrustRegistry), by default the verifier's trust list
+ * A trust list that cannot be loaded or verified leaves every issuer untrusted
+ */
+export async function checkTrustRegistry(agent, trustRegistry, { issuer, types, issuedAt }) {
+  try {
+    return checkIssuerTrust(trustRegistry || await loadTrustRegistry(agent), { issuer, types, issuedAt })
+  } catch (error) {
+    return { trusted: false, entry: null, reason: `Issuer trust could not be checked: ${error.message}` }
+  }
+}
+
 /**
  * Validates if credential subject matches expected DID
  */
@@ -73,7 +97,8 @@ export function isCredentialExpired(verificationResult) {
     return { expired: null, reason: 'Credential verification failed' }
   }
   
-  const expirationDate = verificationResult.verifiableCredential.expirationDate
+  const vc = verificationResult.verifiableCredential
+  const expirationDate = vc.validUntil ?? vc.expirationDate
   
   if (!expirationDate) {
     return { expired: false, reason: 'No expiration date set' }
@@ -108,32 +133,123 @@ export function importCredentialFromJWT(jwtString) {
   }
 }
 
+/**
+ * DID method of a DID or DID URL, e.g. 'key' for did:key:z6Mk...#z6Mk... (null if it is not a DID)
+ */
+export function didMethodOf(didUrl) {
+  return typeof didUrl === 'string' ? didUrl.match(/^did:([a-z0-9]+):/)?.[1] || null : null
+}
+
+/**
+ * Verify a credential of either data model, in the shape of agent.verifyCredential
+ *   VCDM 1.1 JWT ({ proof: { jwt } } or the JWT itself), VCDM 2.0 vc+jwt,
+ *   or a JSON-LD credential with a Data Integrity proof
+ * Signature and status list entry are checked; a credential that is no longer active fails with errorCode 'revoked'
+ * Returns { verified, dataModel, verifiableCredential, verificationMethod, error } where verifiableCredential
+ * is normalizeCredential's view and verificationMethod the id of the issuer key that signed it
+ */
+export async function verifyAnyCredential(agent, credential) {
+  const jwt = typeof credential === 'string' ? credential : credential.proof?.jwt
+  
+  let verified
+  let verificationMethod
+  try {
+    if (isDataIntegrityCredential(credential)) {
+      verified = await verifyDataIntegrity(agent, credential)
+      verificationMethod = credential.proof.verificationMethod
+    } else if (isVcJwt(jwt)) {
+      verified = await verifyVcJwt(agent, jwt)
+      verificationMethod = decodeJWT(jwt).header.kid
+    } else {
+      // Veramo checks the status list itself for VCDM 1.1 JWTs
+      const verification = await agent.verifyCredential({ credential: typeof credential === 'string' ? importCredentialFromJWT(jwt) : credential })
+      if (!verification.verified) {
+        return verification
+      }
+      const vc = normalizeCredential(verification.verifiableCredential)
+      // did-jwt reports the key it verified with; did:peer documents name it relative to the DID
+      const signer = verification.signer?.id
+      return {
+        ...verification,
+        dataModel: vc.dataModel,
+        verifiableCredential: vc,
+        verificationMethod: signer?.startsWith('#') ? `${vc.issuer.id}${signer}` : signer
+      }
+    }
+  } catch (error) {
+    return { verified: false, error: { message: error.message, errorCode: 'invalid_proof' } }
+  }
+  
+  if (verified.credentialStatus) {
+    const status = await agent.checkCredentialStatus({ credential: verified })
+    if (status?.revoked || status?.verified === false) {
+      return { verified: false, error: { message: `revoked: The credential is ${status.status || 'revoked'}`, errorCode: 'revoked' } }
+    }
+  }
+  const vc = normalizeCredential(verified)
+  return { verified: true, dataModel: vc.dataModel, verifiableCredential: vc, verificationMethod }
+}
+
+// A credential from one of this university's keys must come from a key that was active when it was
+// issued (checkIssuerKey); credentials from other issuers are left to the trust checks. Returns the error, or null
+//   hashed - what credentialHash() takes: { format: 'jwt', jwt }, { format: 'sd-jwt', jwt } or { format: 'lds', credential }
+export function checkUniversityIssuerKey(issuer, hashed) {
+  if (!findIssuerKey(issuer)) {
+    return null
+  }
+  const keyCheck = checkIssuerKey(issuer, { hash: credentialHash(hashed), findIssuance: findIssuanceEntry })
+  return keyCheck.valid ? null : keyCheck.reason
+}
+
 /**
  * Comprehensive credential validation
+ * vc is anything verifyAnyCredential accepts; results.dataModel says which data model it uses
+ * The issuer must be in trustedIssuers when given, otherwise accredited by the trust registry
+ * (trustRegistry, default the verifier's trust list; false skips the issuer check)
+ * With validateSchema the decoded subject is re-validated against the schema its credentialSchema names
  */
 export async function validateCredential(agent, vc, options = {}) {
   const {
     trustedIssuers = [],
+    trustRegistry,
     expectedSubject = null,
-    checkExpiration = true
+    checkExpiration = true,
+    validateSchema = false
   } = options
   
   // Verify signature
-  const verification = await agent.verifyCredential({ credential: vc })
+  const verification = await verifyAnyCredential(agent, vc)
   
   const results = {
+    dataModel: verification.dataModel || null,
     signatureValid: verification.verified,
+    issuerKeyValid: null,
     issuerTrusted: null,
     subjectValid: null,
+    schemaValid: null,
     expired: null,
     errors: []
   }
   
   if (!verification.verified) {
-    results.errors.push('Signature verification failed')
+    // A set status list bit fails verification too, but it is not a bad signature
+    results.errors.push(verification.error?.errorCode === 'revoked'
+      ? `Credential status: ${verification.error.message.replace(/^revoked: /, '')}`
+      : 'Signature verification failed')
     return results
   }
   
+  // Check the issuer key against the university's key history
+  const jwt = typeof vc === 'string' ? vc : vc.proof?.jwt
+  const issuerKeyError = checkUniversityIssuerKey(
+    verification.verifiableCredential.issuer.id,
+    isDataIntegrityCredential(vc) ? { format: 'lds', credential: vc } : { format: 'jwt', jwt }
+  )
+  results.issuerKeyValid = !issuerKeyError
+  if (issuerKeyError) {
+    results.errors.push(issuerKeyError)
+  }
+  
   // Check issuer trust
   if (trustedIssuers.length > 0) {
     const issuerCheck = validateIssuer(verification, trustedIssuers)
@@ -141,6 +257,17 @@ export async function validateCredential(agent, vc, options = {}) {
     if (!issuerCheck.valid) {
       results.errors.push(issuerCheck.reason)
     }
+  } else if (trustRegistry !== false) {
+    const credential = verification.verifiableCredential
+    const trustCheck = await checkTrustRegistry(agent, trustRegistry, {
+      issuer: credential.issuer.id,
+      types: [].concat(credential.type || []),
+      issuedAt: credential.validFrom
+    })
+    results.issuerTrusted = trustCheck.trusted
+    if (!trustCheck.trusted) {
+      results.errors.push(trustCheck.reason)
+    }
   }
   
   // Check subject
@@ -152,6 +279,15 @@ export async function validateCredential(agent, vc, options = {}) {
     }
   }
   
+  // Check claims against the credential's schema
+  if (validateSchema) {
+    const schemaCheck = checkCredentialSchema(verification.verifiableCredential)
+    results.schemaValid = schemaCheck.valid
+    if (!schemaCheck.valid) {
+      results.errors.push(`Schema validation failed: ${formatSchemaErrors(schemaCheck.errors)}`)
+    }
+  }
+  
   // Check expiration
   if (checkExpiration) {
     const expirationCheck = isCredentialExpired(verification)
@@ -163,3 +299,295 @@ export async function validateCredential(agent, vc, options = {}) {
   
   return results
 }
+
+/**
+ * Creates a random challenge (nonce) for a verifier to send to the holder
+ * The verifier must remember it and accept each challenge only once
+ */
+export function createChallenge(bytes = 16) {
+  return crypto.randomBytes(bytes).toString('base64url')
+}
+
+/**
+ * Creates a standardized presentation structure wrapping one or more credentials
+ */
+export function createPresentationPayload(holder, credentials) {
+  return {
+    '@context': ['https://www.w3.org/2018/credentials/v1'],
+    type: ['VerifiablePresentation'],
+    holder: holder.did,
+    verifiableCredential: credentials.map(vc => typeof vc === 'string' ? vc : vc.proof?.jwt || vc)
+  }
+}
+
+/**
+ * Holder side: sign a presentation of credentials with the holder DID,
+ * bound to the verifier's challenge (JWT nonce) and domain (JWT aud)
+ * The presentation expires after expiresIn seconds so it cannot be kept and replayed later
+ */
+export async function createStudentPresentation(agent, holder, credentials, { challenge, domain, expiresIn = 300 } = {}) {
+  if (!challenge || !domain) {
+    throw new Error('A presentation needs the verifier\'s challenge and domain')
+  }
+  
+  const presentation = createPresentationPayload(holder, credentials)
+  presentation.issuanceDate = new Date().toISOString()
+  presentation.expirationDate = new Date(Date.now() + expiresIn * 1000).toISOString()
+  
+  return agent.createVerifiablePresentation({
+    presentation,
+    proofFormat: 'jwt',
+    challenge,
+    domain,
+    save: false
+  })
+}
+
+/**
+ * Proof of control of a holder DID for issuance: a presentation without credentials
+ * answering the issuer's holder challenge (see issue.js holder-challenge)
+ */
+export async function createHolderProof(agent, holder, { challenge, domain }) {
+  return createStudentPresentation(agent, holder, [], { challenge, domain })
+}
+
+/**
+ * Creates presentation object from JWT string for verification
+ */
+export function importPresentationFromJWT(jwtString) {
+  return {
+    proof: {
+      jwt: jwtString
+    }
+  }
+}
+
+/**
+ * Comprehensive presentation validation (verifier side)
+ *   - presentation signed by its holder DID
+ *   - nonce equals the challenge and aud contains the domain the verifier issued
+ *   - every credential passes validateCredential and has the holder as its subject
+ * SD-JWT VC presentations are handed to validateSdJwtPresentation
+ */
+export async function validatePresentation(agent, vp, options = {}) {
+  const {
+    challenge,
+    domain,
+    trustedIssuers = [],
+    trustRegistry,
+    checkExpiration = true,
+    validateSchema = false
+  } = options
+  
+  const jwt = typeof vp === 'string' ? vp : vp.proof?.jwt
+  if (isSdJwt(jwt)) {
+    return validateSdJwtPresentation(agent, jwt, options)
+  }
+  
+  const results = {
+    signatureValid: false,
+    challengeValid: null,
+    domainValid: null,
+    holder: null,
+    credentials: [],
+    errors: []
+  }
+  
+  if (!challenge || !domain) {
+    results.errors.push('The verifier\'s challenge and domain are required')
+    return results
+  }
+  
+  let payload
+  try {
+    payload = decodeJWT(jwt).payload
+  } catch (error) {
+    results.errors.push(`Not a JWT presentation: ${error.message}`)
+    return results
+  }
+  
+  // Binding to this verifier and this request
+  const audience = [].concat(payload.aud || [])
+  results.challengeValid = payload.nonce === challenge
+  results.domainValid = audience.includes(domain)
+  if (!results.challengeValid) {
+    results.errors.push('Challenge does not match (presentation replayed or made for another request)')
+  }
+  if (!results.domainValid) {
+    results.errors.push(`Presentation is for ${audience.join(', ') || 'no audience'}, not ${domain}`)
+  }
+  
+  // Holder signature (checked against the values in the token, the binding was checked above)
+  // did-jwt-vc reads embedded credentials as VCDM 1.1; a vc+jwt is checked on its own below instead
+  const credentialJwts = [].concat(payload.vp?.verifiableCredential || [])
+  const verification = await agent.verifyPresentation({
+    presentation: { proof: { jwt } },
+    challenge: payload.nonce,
+    domain: audience[0],
+    ...(credentialJwts.some(isVcJwt) ? { policies: { format: false } } : {})
+  })
+  results.signatureValid = verification.verified
+  if (!verification.verified) {
+    results.errors.push(`Presentation signature verification failed: ${verification.error?.message || 'unknown error'}`)
+    return results
+  }
+  
+  const holder = verification.verifiablePresentation.holder
+  results.holder = holder
+  
+  for (const [index, credentialJwt] of credentialJwts.entries()) {
+    const vc = typeof credentialJwt === 'string' ? importCredentialFromJWT(credentialJwt) : credentialJwt
+    const credentialResults = await validateCredential(agent, vc, {
+      trustedIssuers,
+      trustRegistry,
+      expectedSubject: holder,
+      checkExpiration,
+      validateSchema
+    })
+    
+    let subject = credentialJwt.credentialSubject?.id
+    if (typeof credentialJwt === 'string') {
+      subject = isVcJwt(credentialJwt)
+        ? decodeJWT(credentialJwt).payload.credentialSubject?.id
+        : decodeCredentialToObject(credentialJwt).credentialSubject?.id
+    }
+    results.credentials.push({ index, subject, ...credentialResults })
+    credentialResults.errors.forEach(error => {
+      results.errors.push(`Credential ${index}: ${error === 'Subject DID mismatch' ? `subject ${subject} is not the holder` : error}`)
+    })
+  }
+  
+  if (results.credentials.length === 0) {
+    results.errors.push('Presentation contains no credentials')
+  }
+  
+  return results
+}
+
+/**
+ * Holder side: present an SD-JWT VC revealing only the claims named in disclose
+ * With a challenge and domain, a KB-JWT signed by the holder key binds it to this request
+ */
+export async function createSdJwtPresentation(agent, sdJwt, { disclose = [], challenge, domain } = {}) {
+  return presentSdJwt(agent, sdJwt, { disclose, nonce: challenge, audience: domain })
+}
+
+/**
+ * SD-JWT VC presentation validation (verifier side)
+ *   - issuer signature and every disclosure check out
+ *   - a credential bound to a holder key carries a KB-JWT with the challenge as nonce and the domain as aud
+ *   - issuer trusted (trustedIssuers, else the trust registry as for validateCredential), not expired, status list entry active
+ * Only the disclosed claims are returned, as credentialSubject (id is the subject)
+ */
+export async function validateSdJwtPresentation(agent, presentation, options = {}) {
+  const {
+    challenge,
+    domain,
+    trustedIssuers = [],
+    trustRegistry,
+    checkExpiration = true,
+    requireKeyBinding = true
+  } = options
+  
+  const results = {
+    format: 'sd-jwt',
+    signatureValid: false,
+    keyBindingValid: null,
+    challengeValid: null,
+    domainValid: null,
+    issuer: null,
+    issuerKeyValid: null,
+    issuerTrusted: null,
+    holder: null,
+    vct: null,
+    credentialSubject: null,
+    disclosed: [],
+    undisclosed: 0,
+    expired: null,
+    status: null,
+    errors: []
+  }
+  
+  let verified
+  try {
+    verified = await verifySdJwt(agent, presentation)
+  } catch (error) {
+    results.errors.push(`SD-JWT verification failed: ${error.message}`)
+    return results
+  }
+  
+  const { iss, sub, vct, exp, iat, jti, credentialStatus, credentialSchema, ...claims } = verified.claims
+  results.signatureValid = true
+  results.issuer = iss
+  results.holder = verified.holder
+  results.vct = vct
+  results.credentialSubject = { id: sub, ...Object.fromEntries(verified.disclosed.map(name => [name, claims[name]])) }
+  results.disclosed = verified.disclosed
+  results.undisclosed = verified.undisclosed
+  
+  // Key binding: without it anyone holding a copy could present the credential
+  if (verified.keyBinding) {
+    const audience = [].concat(verified.keyBinding.aud || [])
+    results.keyBindingValid = true
+    results.challengeValid = verified.keyBinding.nonce === challenge
+    results.domainValid = audience.includes(domain)
+    if (!results.challengeValid) {
+      results.errors.push('Challenge does not match (presentation replayed or made for another request)')
+    }
+    if (!results.domainValid) {
+      results.errors.push(`Presentation is for ${audience.join(', ') || 'no audience'}, not ${domain}`)
+    }
+  } else if (verified.holder) {
+    results.keyBindingValid = false
+    results.errors.push(`Credential is bound to ${verified.holder} but the presentation has no KB-JWT`)
+  } else if (requireKeyBinding) {
+    results.keyBindingValid = false
+    results.errors.push('Credential is not bound to a holder key, so its presenter cannot be checked')
+  }
+  
+  const issuerKeyError = checkUniversityIssuerKey(iss, { format: 'sd-jwt', jwt: presentation })
+  results.issuerKeyValid = !issuerKeyError
+  if (issuerKeyError) {
+    results.errors.push(issuerKeyError)
+  }
+  
+  if (trustedIssuers.length > 0) {
+    results.issuerTrusted = trustedIssuers.includes(iss)
+    if (!results.issuerTrusted) {
+      results.errors.push('Issuer not in trusted list')
+    }
+  } else if (trustRegistry !== false) {
+    const trustCheck = await checkTrustRegistry(agent, trustRegistry, {
+      issuer: iss,
+      types: [vct],
+      issuedAt: iat && new Date(iat * 1000).toISOString()
+    })
+    results.issuerTrusted = trustCheck.trusted
+    if (!trustCheck.trusted) {
+      results.errors.push(trustCheck.reason)
+    }
+  }
+  
+  if (checkExpiration && exp) {
+    const expirationDate = new Date(exp * 1000)
+    results.expired = expirationDate < new Date()
+    if (results.expired) {
+      results.errors.push(`Expired on ${expirationDate.toISOString()}`)
+    }
+  }
+  
+  // The status list entry is a visible claim, so revocation is checked like for a JWT VC
+  if (credentialStatus && typeof agent.checkCredentialStatus === 'function') {
+    try {
+      const status = await agent.checkCredentialStatus({ credential: { id: jti, issuer: { id: iss }, credentialStatus } })
+      results.status = status.status || (status.revoked ? 'revoked' : 'active')
+      if (status.revoked || status.verified === false) {
+        results.errors.push(`Credential is ${results.status}`)
+      }
+    } catch (error) {
+      results.errors.push(`Credential status could not be checked: ${error.message}`)
+    }
+  }
+  
+  return results
+}
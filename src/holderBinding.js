@@ -0,0 +1,118 @@
+// src/holderBinding.js - Holder DID proof of control before issuance
+import fs from 'fs'
+import path from 'path'
+import { decodeJWT } from 'did-jwt'
+import { createChallenge } from './helpers.js'
+import { withFileLock } from './credentialRepository.js'
+import { STORAGE_DIR } from './storageDir.js'
+import { validationError } from './errors.js'
+
+const CHALLENGES_FILE = path.join(STORAGE_DIR, 'holder-challenges.json')
+const LOCK_FILE = `${CHALLENGES_FILE}.lock`
+
+// How long a student has to sign the challenge
+const CHALLENGE_TTL_MS = 10 * 60 * 1000
+
+// The university's identifier for a student, kept as a lookup key next to the holder DID
+export const STUDENT_URN_PREFIX = 'urn:university:student:'
+
+export function studentUrn(studentId) {
+  return `${STUDENT_URN_PREFIX}${studentId}`
+}
+
+export function isDID(value) {
+  return /^did:[a-z0-9]+:.+$/.test(String(value))
+}
+
+function loadChallenges() {
+  if (fs.existsSync(CHALLENGES_FILE)) {
+    return JSON.parse(fs.readFileSync(CHALLENGES_FILE, 'utf-8'))
+  }
+  return { challenges: {} }
+}
+
+function saveChallenges(state) {
+  fs.mkdirSync(path.dirname(CHALLENGES_FILE), { recursive: true })
+  const tmpPath = `${CHALLENGES_FILE}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2))
+  fs.renameSync(tmpPath, CHALLENGES_FILE)
+}
+
+/**
+ * Issue a single-use challenge for a student to sign with their holder DID
+ * The domain is the issuer DID, so the signed proof is useless to any other verifier
+ */
+export async function createHolderChallenge(issuer, studentId, holderDid) {
+  if (!isDID(holderDid)) {
+    throw validationError(`Holder must be a DID (did:key:..., did:jwk:...), got: ${holderDid}`)
+  }
+
+  return withFileLock(LOCK_FILE, () => {
+    const state = loadChallenges()
+    const now = Date.now()
+
+    // Drop expired challenges while we are here
+    for (const [challenge, entry] of Object.entries(state.challenges)) {
+      if (Date.parse(entry.expiresAt) < now) delete state.challenges[challenge]
+    }
+
+    const entry = {
+      challenge: createChallenge(),
+      domain: issuer.did,
+      studentId,
+      holderDid,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + CHALLENGE_TTL_MS).toISOString()
+    }
+    state.challenges[entry.challenge] = entry
+    saveChallenges(state)
+    return entry
+  })
+}
+
+/**
+ * Check a student's proof of control: a presentation (no credentials needed) signed by holderDid
+ * over a challenge issued for this student and DID. The challenge is used up either way.
+ */
+export async function verifyHolderProof(agent, { studentId, holderDid, proof }) {
+  let payload
+  try {
+    payload = decodeJWT(proof).payload
+  } catch (error) {
+    throw validationError(`Holder proof is not a JWT: ${error.message}`)
+  }
+
+  const entry = await withFileLock(LOCK_FILE, () => {
+    const state = loadChallenges()
+    const found = state.challenges[payload.nonce]
+    if (found) {
+      delete state.challenges[payload.nonce]
+      saveChallenges(state)
+    }
+    return found
+  })
+
+  if (!entry) {
+    throw validationError('Holder proof does not answer an open challenge (unknown or already used)')
+  }
+  if (Date.parse(entry.expiresAt) < Date.now()) {
+    throw validationError(`Holder challenge expired at ${entry.expiresAt}; request a new one`)
+  }
+  if (entry.studentId !== studentId || entry.holderDid !== holderDid) {
+    throw validationError(`Challenge was issued for student ${entry.studentId} and ${entry.holderDid}`)
+  }
+
+  const verification = await agent.verifyPresentation({
+    presentation: { proof: { jwt: proof } },
+    challenge: entry.challenge,
+    domain: entry.domain
+  })
+  if (!verification.verified) {
+    throw validationError(`Holder proof rejected: ${verification.error?.message || 'verification failed'}`)
+  }
+  if (verification.verifiablePresentation.holder !== holderDid) {
+    throw validationError(`Holder proof is signed by ${verification.verifiablePresentation.holder}, not ${holderDid}`)
+  }
+
+  return { holderDid, challenge: entry.challenge, verifiedAt: new Date().toISOString() }
+}
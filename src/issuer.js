@@ -1,225 +1,552 @@
 // src/issuer.js - University VC Issuance Service
-import { setupAgent } from './agent.js'
-import { saveIssuerKey, loadIssuerKey, saveVC, loadVC } from './storage.js'
+import crypto from 'crypto'
+import { decodeCredentialToObject } from '@veramo/utils'
+import { ISSUER_PROFILE, STUDENT_ID_PATTERN, credentialVct } from './issuerProfile.js'
+import { allocateStatusEntry, setCredentialStatus, LEGACY_STATUS_TYPE } from './statusList.js'
+import { saveVC, loadVC, updateVCStatus, updateVCRecord, withStatusChangeLock } from './storage.js'
+import { credentialProgram } from './credentialRepository.js'
+import { appendAuditEvent, defaultOperator, credentialHash, findIssuanceEntry } from './auditLog.js'
+import { verifyHolderProof, studentUrn, isDID } from './holderBinding.js'
+import { issueSdJwt, verifySdJwt, isSdJwt } from './sdJwt.js'
+import { signDataIntegrity, verifyDataIntegrity } from './dataIntegrity.js'
+import { CREDENTIALS_V1_CONTEXT, STATUS_LIST_CONTEXT } from './documentLoader.js'
+import { DATA_MODELS, toDataModel, normalizeCredential, credentialValidUntil, isVcJwt, signVcJwt, verifyVcJwt } from './dataModel.js'
+import { credentialSchemaFor, validateCredentialSubject, formatSchemaErrors } from './schemaRegistry.js'
+import { getTemplate, buildSubject, templateExpiration } from './credentialTemplates.js'
+import { anchoringEnabled, anchorIssuedCredential, anchorCredentialStatus } from './anchorRegistry.js'
+import { validationError } from './errors.js'
+import { checkIssuerKey } from './issuerKeys.js'
 
-// Fixed issuer configuration (University)
-const ISSUER_CONFIG = {
-  alias: 'UniversityIssuer',
-  name: 'Example University',
-  location: 'University Location',
-  website: 'https://university.edu'
+/**
+ * Credential lifecycle
+ *   active    -> suspended (reversible) | revoked
+ *   suspended -> active (reinstate) | revoked
+ *   revoked   -> terminal
+ *   expired   -> derived from expirationDate (validUntil in VCDM 2.0), never stored
+ */
+export const CREDENTIAL_STATES = ['active', 'suspended', 'revoked', 'expired']
+
+const TRANSITIONS = {
+  suspend: { from: ['active'], to: 'suspended' },
+  reinstate: { from: ['suspended'], to: 'active' },
+  revoke: { from: ['active', 'suspended'], to: 'revoked' }
+}
+
+// Proof formats a credential can be issued in
+//   jwt    - W3C VC as a JWT; every claim is visible to every verifier
+//   sd-jwt - SD-JWT VC; each credentialSubject claim is disclosed only if the holder chooses to
+//   lds    - JSON-LD credential with an embedded Data Integrity proof (Ed25519Signature2020)
+export const PROOF_FORMATS = ['jwt', 'sd-jwt', 'lds']
+
+// Reason codes accepted for each transition
+export const STATUS_REASONS = {
+  suspend: ['administrative-hold', 'fee-arrears', 'under-investigation', 'leave-of-absence', 'other'],
+  reinstate: ['hold-cleared', 'fees-paid', 'investigation-closed', 'returned-from-leave', 'other'],
+  revoke: ['withdrawn', 'expelled', 'superseded', 'issued-in-error', 'key-compromise', 'other']
 }
 
 /**
- * Initialize or load the fixed issuer identity
- * Uses deterministic key generation from stored seed
+ * credentialSubject and expirationDate of a credential from template (student number is a claim,
+ * not the subject identifier); studentData.expiryDate overrides the template's validity period
  */
-export async function getOrCreateIssuer(agent) {
-  const savedIssuer = loadIssuerKey()
-  
-  if (savedIssuer) {
-    console.log('Using existing issuer identity')
-    console.log(`DID: ${savedIssuer.did}`)
-    
-    // Import key from saved seed to recreate same DID
-    try {
-      const key = await agent.keyManagerImport({
-        kms: 'local',
-        type: 'Ed25519',
-        privateKeyHex: savedIssuer.privateKeyHex
-      })
-      
-      const issuer = await agent.didManagerImport({
-        did: savedIssuer.did,
-        alias: ISSUER_CONFIG.alias,
-        provider: 'did:key',
-        keys: [key.kid],
-        controllerKeyId: key.kid
-      })
-      
-      return issuer
-    } catch (error) {
-      // If import fails, fallback to getting existing
-      try {
-        const existingDIDs = await agent.didManagerFind({ alias: ISSUER_CONFIG.alias })
-        if (existingDIDs.length > 0 && existingDIDs[0].did === savedIssuer.did) {
-          return existingDIDs[0]
-        }
-      } catch (e) {
-        // Continue to recreation
-      }
-    }
-  }
-  
-  // Create new issuer with key export
-  console.log('Creating new issuer identity...')
-  const issuer = await agent.didManagerCreate({
-    alias: ISSUER_CONFIG.alias,
-  })
-  
-  // Export the private key for persistence
-  const keys = await agent.didManagerGet({ did: issuer.did })
-  const keyId = keys.keys[0].kid
-  const exportedKey = await agent.keyManagerGet({ kid: keyId })
-  
-  // Save issuer data with private key
-  saveIssuerKey({
-    did: issuer.did,
-    alias: ISSUER_CONFIG.alias,
-    name: ISSUER_CONFIG.name,
-    location: ISSUER_CONFIG.location,
-    website: ISSUER_CONFIG.website,
-    privateKeyHex: exportedKey.privateKeyHex,
-    publicKeyHex: exportedKey.publicKeyHex,
-    createdAt: new Date().toISOString()
+function templateSubject(template, studentData, issuanceDate) {
+  const { holderDid, expiryDate, ...claims } = studentData
+  const expirationDate = expiryDate || templateExpiration(template, issuanceDate)
+  const { subject, errors } = buildSubject(template, claims, {
+    id: holderDid || studentUrn(claims.studentId),
+    issuer: ISSUER_PROFILE,
+    issuanceDate,
+    expirationDate
   })
-  
-  console.log('✓ Created and saved new issuer identity')
-  console.log(`  DID: ${issuer.did}`)
-  console.log('  Keys saved for future use')
-  
-  return issuer
+  const schemaCheck = errors.length === 0 ? validateCredentialSubject(template.type, subject) : { errors }
+  // The schemas accept any safe identifier; this issuer only issues to its own student numbers
+  const studentIdErrors = claims.studentId && !STUDENT_ID_PATTERN.test(claims.studentId)
+    ? [{ field: 'studentId', message: 'must be a student number (digits only)' }]
+    : []
+  return { subject, expirationDate, errors: [...studentIdErrors, ...schemaCheck.errors] }
+}
+
+/**
+ * Check student data against a template and its schema without issuing anything
+ * Returns { valid, errors } with errors as [{ field, message }]
+ */
+export function validateStudentData(studentData, templateName) {
+  const { errors } = templateSubject(getTemplate(templateName), studentData, new Date().toISOString())
+  return { valid: errors.length === 0, errors }
 }
 
 /**
  * Issue a Verifiable Credential for a student
+ * With studentData.holderDid the credential subject is the student's DID, and options.holderProof
+ * (a presentation answering createHolderChallenge) must show the student controls it. Without one
+ * the subject is the university's student urn, which nobody can prove control of. A caller that has
+ * checked proof of control itself (an OID4VCI key proof) passes options.verifiedHolderProof instead.
+ * options.proofFormat is one of PROOF_FORMATS (default 'jwt')
+ * options.dataModel is '1.1' (default) or '2.0': a VCDM 2.0 credential (validFrom/validUntil) secured as a vc+jwt
+ * options.template names the credential template (default 'student-card'); studentData holds its claims
+ * The subject is validated against the template and the type's registered schema first; invalid claims
+ * are rejected with one error per field, and the credential's credentialSchema points at that schema
+ * Earlier credentials of the student from the same template are kept; with options.revokePrevious
+ * the one being replaced is revoked with reason 'superseded'
  */
-export async function issueStudentCredential(agent, issuer, studentData) {
-  const {
-    studentId,
-    name,
-    title,
-    description,
-    dateOfIssue,
-    expiryDate,
-    directedBy,
-    location
-  } = studentData
-  
-  // Create credential subject
-  const credentialSubject = {
-    id: `urn:university:student:${studentId}`,
-    name,
-    title,
-    description,
-    dateOfIssue,
-    expiryDate,
-    directedBy: directedBy || ISSUER_CONFIG.name,
-    location: location || ISSUER_CONFIG.location
-  }
-  
-  // Build W3C compliant credential
-  const credential = {
-    '@context': [
-      'https://www.w3.org/2018/credentials/v1',
-      'https://www.w3.org/2018/credentials/examples/v1'
-    ],
-    type: ['VerifiableCredential', 'UniversityCardCredential'],
-    id: `urn:credential:${studentId}-${Date.now()}`,
+export async function issueStudentCredential(agent, issuer, studentData, options = {}) {
+  const { studentId, name, holderDid } = studentData
+  const template = getTemplate(options.template)
+  
+  const proofFormat = options.proofFormat || 'jwt'
+  if (!PROOF_FORMATS.includes(proofFormat)) {
+    throw validationError(`Unknown proof format: ${proofFormat} (expected ${PROOF_FORMATS.join(', ')})`)
+  }
+  const dataModel = options.dataModel || '1.1'
+  if (!DATA_MODELS.includes(dataModel)) {
+    throw validationError(`Unknown data model: ${dataModel} (expected ${DATA_MODELS.join(', ')})`)
+  }
+  // SD-JWT VCs have their own data model, and no credentials/v2 context is bundled for Data Integrity proofs
+  if (dataModel === '2.0' && proofFormat !== 'jwt') {
+    throw validationError(`VCDM 2.0 credentials are issued in the jwt format (vc+jwt), not ${proofFormat}`)
+  }
+  // The only Data Integrity suite offered is Ed25519Signature2020; JWT formats sign with any issuer key
+  const issuerKeyType = issuer.keys?.find(k => k.kid === issuer.controllerKeyId)?.type
+  if (proofFormat === 'lds' && issuerKeyType && issuerKeyType !== 'Ed25519') {
+    throw validationError(`The lds format (Ed25519Signature2020) needs an Ed25519 issuer key; this issuer has a ${issuerKeyType} key`)
+  }
+  
+  // Claims are checked against the template and schema before anything is allocated or signed
+  const issuanceDate = new Date().toISOString()
+  const { subject: credentialSubject, expirationDate, errors } = templateSubject(template, studentData, issuanceDate)
+  if (errors.length > 0) {
+    throw validationError(`Invalid ${template.type} claims: ${formatSchemaErrors(errors)}`)
+  }
+  
+  // Proof of control comes next: nothing is allocated or signed for an unproven DID
+  let holderProof = null
+  if (holderDid && options.verifiedHolderProof?.holderDid === holderDid) {
+    holderProof = options.verifiedHolderProof
+  } else if (holderDid) {
+    if (!options.holderProof) {
+      throw validationError(`A proof of control for ${holderDid} is required (see: node issue.js holder-challenge)`)
+    }
+    holderProof = await verifyHolderProof(agent, { studentId, holderDid, proof: options.holderProof })
+  }
+  
+  // Build W3C compliant credential; a Data Integrity proof signs the RDF form, so the status entry needs its context too
+  const credential = toDataModel({
+    '@context': proofFormat === 'lds'
+      ? [CREDENTIALS_V1_CONTEXT, STATUS_LIST_CONTEXT, template.context]
+      : [CREDENTIALS_V1_CONTEXT, template.context],
+    type: ['VerifiableCredential', template.type],
+    id: `urn:uuid:${crypto.randomUUID()}`,
     issuer: {
       id: issuer.did,
-      name: ISSUER_CONFIG.name
+      name: ISSUER_PROFILE.name
     },
-    issuanceDate: new Date().toISOString(),
-    expirationDate: expiryDate,
+    issuanceDate,
+    ...(expirationDate ? { expirationDate } : {}),
     credentialSubject,
-    credentialStatus: {
-      id: `https://university.edu/credentials/status/${studentId}`,
-      type: 'StudentCredentialStatusList2025'
-    }
-  }
+    credentialSchema: credentialSchemaFor(template.type, dataModel),
+    // Index in the issuer's published Bitstring Status List
+    credentialStatus: await allocateStatusEntry(agent, issuer)
+  }, dataModel)
   
   // Sign credential with issuer's private key
-  const vc = await agent.createVerifiableCredential({
-    credential,
-    proofFormat: 'jwt',
-    save: false
-  })
+  let vc
+  let jwt
+  if (proofFormat === 'sd-jwt') {
+    vc = credential
+    jwt = await signSdJwt(agent, issuer, credential)
+  } else if (proofFormat === 'lds') {
+    // The proof is embedded in the credential; there is no JWT form
+    vc = await signDataIntegrity(agent, issuer.did, credential)
+    jwt = null
+  } else if (dataModel === '2.0') {
+    // The vc+jwt payload is the credential itself, so the record keeps it unchanged
+    vc = credential
+    jwt = await signVcJwt(agent, issuer.did, credential)
+  } else {
+    vc = await agent.createVerifiableCredential({
+      credential,
+      proofFormat: 'jwt',
+      save: false
+    })
+    jwt = vc.proof.jwt
+  }
   
-  // Save to file system
-  const filepath = saveVC(studentId, vc)
+  // Save to file system, linked to the credential it replaces
+  const previous = await loadVC(studentId, { template: template.name })
+  const filepath = await saveVC(studentId, vc, {
+    jwt,
+    format: proofFormat,
+    dataModel,
+    template: template.name,
+    studentUrn: studentUrn(studentId),
+    holderDid: holderDid || null,
+    holderProof,
+    ...(previous ? { supersedes: previous.id } : {})
+  })
   
-  console.log(`✓ Issued credential for student: ${name}`)
+  console.log(`✓ Issued ${template.display.name} for student: ${name}`)
   console.log(`  Student ID: ${studentId}`)
+  console.log(`  Holder: ${holderDid || 'not bound to a DID'}`)
+  console.log(`  Credential ID: ${vc.id}`)
+  console.log(`  Format: ${proofFormat} (VCDM ${dataModel})`)
   console.log(`  Credential saved to: ${filepath}`)
   
+  await appendAuditEvent(agent, 'credential.issued', {
+    actor: options.operator,
+    studentId,
+    credentialId: vc.id,
+    details: {
+      issuer: issuer.did,
+      template: template.name,
+      program: credentialProgram(vc),
+      holderDid,
+      format: proofFormat,
+      dataModel,
+      expirationDate: credentialValidUntil(vc),
+      statusListEntry: vc.credentialStatus.id,
+      // What checkIssuerKey matches a presented credential against once this key is retired
+      credentialHash: credentialHash({ format: proofFormat, jwt, credential: vc }),
+      supersedes: previous?.id
+    }
+  })
+  
+  // Anchor the credential's hash once a registry is deployed (node deploy-anchor.js); the
+  // credential is issued either way, so a chain that is down only costs the anchor
+  let anchor = null
+  if (anchoringEnabled()) {
+    try {
+      anchor = await anchorIssuedCredential({ format: proofFormat, jwt, credential: vc })
+      await updateVCRecord(vc.id, { anchor })
+      console.log(`  Anchored: ${anchor.hash} (chain ${anchor.chainId}, tx ${anchor.txHash})`)
+    } catch (error) {
+      console.log(`  ⚠ Not anchored on chain: ${error.message}`)
+    }
+  }
+  
+  let superseded = null
+  if (previous) {
+    await updateVCRecord(previous.id, { supersededBy: vc.id })
+    
+    if (options.revokePrevious && ['active', 'suspended'].includes(previous.status)) {
+      superseded = await changeCredentialStatus(agent, previous.id, 'revoke', {
+        reason: 'superseded',
+        operator: options.operator
+      })
+      console.log(`  Revoked superseded credential: ${previous.id}`)
+    }
+  }
+  
   return {
     vc,
-    jwt: vc.proof.jwt,
+    jwt,
+    format: proofFormat,
+    dataModel,
+    template: template.name,
     filepath,
-    studentId
+    studentId,
+    holderDid: holderDid || null,
+    credentialId: vc.id,
+    anchor,
+    supersedes: previous?.id || null,
+    superseded
   }
 }
 
+/**
+ * Sign a credential as an SD-JWT VC
+ * Every credentialSubject claim except id becomes its own disclosure; the status list entry
+ * and schema reference stay visible so verifiers can check revocation. A holder DID subject is bound through cnf.
+ */
+async function signSdJwt(agent, issuer, credential) {
+  const { id: subject, ...subjectClaims } = credential.credentialSubject
+  const seconds = date => Math.floor(new Date(date).getTime() / 1000)
+  
+  const { sdJwt } = await issueSdJwt(agent, issuer.did, {
+    claims: {
+      vct: credentialVct(credential.type.at(-1)),
+      jti: credential.id,
+      sub: subject,
+      iat: seconds(credential.issuanceDate),
+      ...(credential.expirationDate ? { exp: seconds(credential.expirationDate) } : {}),
+      issuer_name: credential.issuer.name,
+      credentialStatus: credential.credentialStatus,
+      credentialSchema: credential.credentialSchema
+    },
+    disclosable: subjectClaims,
+    holderDid: isDID(subject) ? subject : null
+  })
+  return sdJwt
+}
+
+/**
+ * W3C-shaped view of a verified SD-JWT VC, so both formats go through the same checks
+ */
+function sdJwtToCredential({ claims }) {
+  const { iss, sub, vct, jti, iat, exp, issuer_name: issuerName, credentialStatus, credentialSchema, ...subjectClaims } = claims
+  return {
+    type: ['VerifiableCredential', vct.split('/').at(-1)],
+    id: jti,
+    issuer: { id: iss, name: issuerName },
+    issuanceDate: new Date(iat * 1000).toISOString(),
+    ...(exp ? { expirationDate: new Date(exp * 1000).toISOString() } : {}),
+    credentialSubject: { id: sub, ...subjectClaims },
+    credentialStatus,
+    ...(credentialSchema ? { credentialSchema } : {})
+  }
+}
+
+// Signature and status of a JWT VC; state is set only when the status list says it is not active
+async function checkJwtCredential(agent, jwt) {
+  const credential = { proof: { jwt } }
+  let verification = await agent.verifyCredential({ credential })
+  let state = null
+  
+  if (!verification.verified && verification.error?.errorCode === 'revoked') {
+    // Rejected by the status hook: read the precise state, then check the signature alone for the details
+    const statusCheck = await agent.checkCredentialStatus({ credential: decodeCredentialToObject(jwt) })
+    state = statusCheck.status || 'revoked'
+    verification = await agent.verifyCredential({ credential, policies: { credentialStatus: false } })
+  }
+  
+  if (!verification.verified) {
+    return { state, error: verification.error?.message || 'Verification failed' }
+  }
+  return { vc: verification.verifiableCredential, state }
+}
+
+// The same for an SD-JWT VC, checked with all of its disclosures (the issuer's copy)
+async function checkSdJwtCredential(agent, sdJwt) {
+  let vc
+  try {
+    vc = sdJwtToCredential(await verifySdJwt(agent, sdJwt))
+  } catch (error) {
+    return { state: null, error: error.message }
+  }
+  
+  return { vc, state: await statusListState(agent, vc) }
+}
+
+// The same for a VCDM 2.0 credential secured as a vc+jwt
+async function checkVcJwtCredential(agent, jwt) {
+  let vc
+  try {
+    vc = await verifyVcJwt(agent, jwt)
+  } catch (error) {
+    return { state: null, error: error.message }
+  }
+  return { vc, state: await statusListState(agent, vc) }
+}
+
+// The same for a JSON-LD credential with an embedded Data Integrity proof
+async function checkLdCredential(agent, credential) {
+  try {
+    await verifyDataIntegrity(agent, credential)
+  } catch (error) {
+    return { state: null, error: error.message }
+  }
+  return { vc: credential, state: await statusListState(agent, credential) }
+}
+
+// State from the status list, or null while the credential is active there
+async function statusListState(agent, vc) {
+  if (!vc.credentialStatus) {
+    return null
+  }
+  const statusCheck = await agent.checkCredentialStatus({ credential: vc })
+  return statusCheck.revoked || statusCheck.verified === false ? statusCheck.status || 'revoked' : null
+}
+
 /**
  * Verify a student's credential
+ * key is a credential id (urn:uuid:...), or a student ID, student urn or holder DID (their latest credential)
+ * presented is a credential to verify instead of the stored one: a JWT, SD-JWT or vc+jwt string,
+ * or a JSON-LD credential object (key may then be null)
  */
-export async function verifyStudentCredential(agent, studentId, jwtToken = null) {
-  let jwt = jwtToken
+export async function verifyStudentCredential(agent, key, presented = null) {
+  let jwt = typeof presented === 'string' ? presented : null
+  let ldCredential = presented && typeof presented === 'object' ? presented : null
   
-  // If no JWT provided, load from storage
-  if (!jwt) {
-    const vcData = loadVC(studentId)
+  // If no credential presented, load from storage
+  if (!presented) {
+    const vcData = await loadVC(key)
     if (!vcData) {
       return {
         verified: false,
-        error: 'Credential not found for student ID: ' + studentId
+        error: 'Credential not found for: ' + key
       }
     }
     jwt = vcData.jwt
+    if (vcData.format === 'lds') {
+      ldCredential = vcData.credential
+    }
   }
   
-  // Verify signature (skip credential status check)
-  const credential = { proof: { jwt } }
-  const verification = await agent.verifyCredential({ 
-    credential,
-    policies: {
-      credentialStatus: false // Skip status verification
+  // Verify signature and status (the status hook reads the published status list)
+  let checked
+  if (ldCredential) {
+    checked = await checkLdCredential(agent, ldCredential)
+  } else if (isSdJwt(jwt)) {
+    checked = await checkSdJwtCredential(agent, jwt)
+  } else {
+    checked = isVcJwt(jwt) ? await checkVcJwtCredential(agent, jwt) : await checkJwtCredential(agent, jwt)
+  }
+  if (checked.error) {
+    return {
+      verified: false,
+      state: checked.state,
+      error: checked.error
     }
-  })
+  }
   
-  if (!verification.verified) {
+  // Same fields for VCDM 1.1 and 2.0 (validFrom/validUntil, issuer object)
+  const vc = normalizeCredential(checked.vc)
+  let { state } = checked
+  
+  const vcData = (vc.id && await loadVC(vc.id)) || (key ? await loadVC(key) : null)
+  
+  // Signer must be a university key that was active when the credential was issued; the stored
+  // record dates it only if it is the record of this very credential
+  const hash = credentialHash(ldCredential ? { format: 'lds', credential: ldCredential } : { format: isSdJwt(jwt) ? 'sd-jwt' : 'jwt', jwt })
+  const recordedAt = vcData && (vcData.format === 'lds' ? vcData.credential : vcData.jwt) && credentialHash(vcData) === hash ? vcData.issuedAt : null
+  const issuerCheck = checkIssuerKey(vc.issuer.id, { hash, recordedAt, findIssuance: findIssuanceEntry })
+  if (!issuerCheck.valid) {
     return {
       verified: false,
-      error: verification.error?.message || 'Verification failed'
+      error: issuerCheck.reason
     }
   }
   
-  const vc = verification.verifiableCredential
-  
   // Check expiration
   let expired = false
-  if (vc.expirationDate) {
-    expired = new Date(vc.expirationDate) < new Date()
+  if (vc.validUntil) {
+    expired = new Date(vc.validUntil) < new Date()
   }
   
-  // Check status (in real system, check revocation registry)
-  const vcData = loadVC(studentId)
-  const statusActive = vcData ? vcData.status === 'active' : true
+  // Status lists were checked above; older credentials only have the local record
+  if (!state) {
+    state = vc.credentialStatus?.type === LEGACY_STATUS_TYPE && vcData ? vcData.status : 'active'
+  }
+  if (state === 'active' && expired) {
+    state = 'expired'
+  }
   
   return {
     verified: true,
+    credentialId: vc.id,
+    format: ldCredential ? 'lds' : isSdJwt(jwt) ? 'sd-jwt' : 'jwt',
+    dataModel: vc.dataModel,
+    // Credentials from before holder binding have no studentId claim, only the urn subject
+    studentId: vc.credentialSubject.studentId || vcData?.studentId || null,
+    state,
     expired,
-    statusActive,
+    lastTransition: vcData?.statusHistory?.at(-1) || null,
+    type: vc.type,
     credentialSubject: vc.credentialSubject,
+    // Only a DID subject can prove possession (see validatePresentation)
+    holderDid: isDID(vc.credentialSubject.id) ? vc.credentialSubject.id : null,
     issuer: vc.issuer,
-    issuanceDate: vc.issuanceDate,
-    expirationDate: vc.expirationDate
+    issuerKey: issuerCheck.key,
+    validFrom: vc.validFrom,
+    validUntil: vc.validUntil,
+    // VCDM 1.1 names of the same dates, for callers written before 2.0 support
+    issuanceDate: vc.validFrom,
+    expirationDate: vc.validUntil
   }
 }
 
 /**
- * Revoke a student's credential
+ * Move a credential to a new lifecycle state
+ * key is a credential id, or a student ID, student urn or holder DID (their latest credential)
+ * action is 'suspend', 'reinstate' or 'revoke'; each transition records reason, operator and timestamp
  */
-export function revokeStudentCredential(studentId) {
-  const { updateVCStatus } = require('./storage.js')
-  const result = updateVCStatus(studentId, 'revoked')
+export async function changeCredentialStatus(agent, key, action, { reason, operator } = {}) {
+  const transition = TRANSITIONS[action]
+  if (!transition) {
+    throw validationError(`Unknown status action: ${action}`)
+  }
+  if (!STATUS_REASONS[action].includes(reason)) {
+    throw validationError(`A reason code is required to ${action}: ${STATUS_REASONS[action].join(', ')}`)
+  }
   
-  if (result) {
-    console.log(`Revoked credential for student: ${studentId}`)
-  } else {
-    console.log(`Credential not found for student: ${studentId}!!!`)
+  // The check and both writes happen under one lock: two changes racing on the same credential
+  // would otherwise both pass the check (e.g. a reinstate undoing a concurrent revoke)
+  const { vcData, entry, credentialStatus } = await withStatusChangeLock(async () => {
+    const vcData = await loadVC(key)
+    if (!vcData) {
+      throw validationError(`Credential not found for: ${key}`)
+    }
+    
+    const validUntil = credentialValidUntil(vcData.credential)
+    const expired = validUntil && new Date(validUntil) < new Date()
+    const from = expired && vcData.status === 'active' ? 'expired' : vcData.status
+    if (!transition.from.includes(from) && !(action === 'revoke' && from === 'expired')) {
+      throw validationError(`Cannot ${action} a credential that is ${from}`)
+    }
+    
+    // Flip the credential's entry in the status list and re-sign the published list
+    const credentialStatus = vcData.credential.credentialStatus
+    if (credentialStatus?.type !== LEGACY_STATUS_TYPE) {
+      await setCredentialStatus(agent, credentialStatus, transition.to)
+    }
+    
+    const entry = {
+      from: vcData.status,
+      to: transition.to,
+      reason,
+      operator: defaultOperator(operator),
+      at: new Date().toISOString()
+    }
+    await updateVCStatus(vcData.id, transition.to, entry)
+    return { vcData, entry, credentialStatus }
+  })
+  
+  // Mirror the change in the anchor registry for credentials anchored at issuance
+  let anchor = vcData.anchor || null
+  let anchorError = null
+  if (anchor) {
+    try {
+      anchor = await anchorCredentialStatus(vcData, transition.to)
+      await updateVCRecord(vcData.id, { anchor })
+    } catch (error) {
+      anchorError = error.message
+    }
   }
   
-  return result
+  const events = { suspend: 'credential.suspended', reinstate: 'credential.reinstated', revoke: 'credential.revoked' }
+  await appendAuditEvent(agent, events[action], {
+    actor: entry.operator,
+    studentId: vcData.studentId,
+    credentialId: vcData.id,
+    details: { from: entry.from, to: entry.to, reason }
+  })
+  
+  return {
+    ...entry,
+    studentId: vcData.studentId,
+    credentialId: vcData.id,
+    legacy: credentialStatus?.type === LEGACY_STATUS_TYPE,
+    anchor,
+    anchorError
+  }
+}
+
+/**
+ * Revoke a credential (terminal)
+ */
+export function revokeStudentCredential(agent, key, details) {
+  return changeCredentialStatus(agent, key, 'revoke', details)
+}
+
+/**
+ * Suspend a credential (reversible with reinstateStudentCredential)
+ */
+export function suspendStudentCredential(agent, key, details) {
+  return changeCredentialStatus(agent, key, 'suspend', details)
+}
+
+/**
+ * Reinstate a suspended credential
+ */
+export function reinstateStudentCredential(agent, key, details) {
+  return changeCredentialStatus(agent, key, 'reinstate', details)
 }
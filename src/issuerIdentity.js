@@ -0,0 +1,439 @@
+// src/issuerIdentity.js - University issuer identity (one bootstrap for every CLI)
+import fs from 'fs'
+import crypto from 'crypto'
+import { bytesToMultibase, hexToBytes } from '@veramo/utils'
+import { ISSUER_PROFILE } from './issuerProfile.js'
+import { ISSUER_RECORD_VERSION, saveIssuerKey, loadIssuerKey, backupIssuerKey, migrateIssuerRecord } from './issuerKeys.js'
+import { appendAuditEvent } from './auditLog.js'
+import { didWebFromDomain, buildDidWebDocument } from './didWeb.js'
+import { FileDIDStore } from './fileStores.js'
+
+export const ISSUER_MODES = ['generated', 'seeded', 'imported']
+
+// did:key derives the DID from the key; did:web names the university's domain
+export const ISSUER_DID_METHODS = ['key', 'web']
+
+// Issuer key types (Veramo key types) and how each is used:
+//   alg   - JWS algorithm of JWT, vc+jwt and SD-JWT credentials
+//   codec - multicodec of the did:key
+//   curve - OpenSSL curve name; crv - the JWK curve of a key file
+export const ISSUER_KEY_TYPES = {
+  Ed25519: { alg: 'EdDSA', codec: 'ed25519-pub', curve: 'ed25519', crv: 'Ed25519' },
+  Secp256k1: { alg: 'ES256K', codec: 'secp256k1-pub', curve: 'secp256k1', crv: 'secp256k1' },
+  Secp256r1: { alg: 'ES256', codec: 'p256-pub', curve: 'prime256v1', crv: 'P-256' }
+}
+
+// DER prefix of a PKCS#8 Ed25519 private key, followed by the 32-byte seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex')
+
+function keyTypeInfo(keyType) {
+  const info = ISSUER_KEY_TYPES[keyType]
+  if (!info) {
+    throw new Error(`Unsupported issuer key type: ${keyType} (expected one of ${Object.keys(ISSUER_KEY_TYPES).join(', ')})`)
+  }
+  return info
+}
+
+/**
+ * Read the university master seed
+ * In production, this would come from a secure HSM or key vault
+ *   UNIVERSITY_ISSUER_SEED       - 64 hex chars used as-is, anything else is hashed with SHA-256
+ *   UNIVERSITY_ISSUER_SEED_FILE  - path to a file holding the seed
+ */
+export function loadIssuerSeed({ seed = process.env.UNIVERSITY_ISSUER_SEED, seedFile = process.env.UNIVERSITY_ISSUER_SEED_FILE } = {}) {
+  if (!seed && seedFile) {
+    seed = fs.readFileSync(seedFile, 'utf-8').trim()
+  }
+
+  if (!seed) {
+    throw new Error('No issuer seed configured (set UNIVERSITY_ISSUER_SEED or UNIVERSITY_ISSUER_SEED_FILE)')
+  }
+
+  if (/^[0-9a-fA-F]{64}$/.test(seed)) {
+    return seed.toLowerCase()
+  }
+  return crypto.createHash('sha256').update(seed).digest('hex')
+}
+
+/**
+ * Private key for generation `keyIndex` of a seeded issuer
+ * Generation 0 is the seed itself, rotated keys hash the seed with their index
+ */
+export function seedKeyForIndex(seedHex, keyIndex = 0) {
+  if (keyIndex === 0) return seedHex
+  return crypto.createHash('sha256').update(`${seedHex}:${keyIndex}`).digest('hex')
+}
+
+/**
+ * Read a private key of keyType (default Ed25519) from a JWK (.json/.jwk) or PKCS#8 / SEC1 PEM file
+ * Returns the 32-byte private key as hex
+ */
+export function loadIssuerKeyFile(keyFile = process.env.UNIVERSITY_ISSUER_KEY_FILE, keyType = 'Ed25519') {
+  if (!keyFile) {
+    throw new Error('No issuer key file configured (set UNIVERSITY_ISSUER_KEY_FILE)')
+  }
+
+  const contents = fs.readFileSync(keyFile, 'utf-8').trim()
+  const privateKey = contents.startsWith('{')
+    ? crypto.createPrivateKey({ key: JSON.parse(contents), format: 'jwk' })
+    : crypto.createPrivateKey(contents)
+
+  const jwk = privateKey.export({ format: 'jwk' })
+  if (jwk.crv !== keyTypeInfo(keyType).crv) {
+    throw new Error(`Unsupported issuer key in ${keyFile}: expected a ${keyType} private key, got ${jwk.crv || jwk.kty}`)
+  }
+  return Buffer.from(jwk.d, 'base64url').toString('hex').padStart(64, '0')
+}
+
+/**
+ * A new random private key of keyType, as hex
+ */
+export function generateIssuerPrivateKey(keyType = 'Ed25519') {
+  const { curve } = keyTypeInfo(keyType)
+  const { privateKey } = keyType === 'Ed25519'
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('ec', { namedCurve: curve })
+  return Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url').toString('hex').padStart(64, '0')
+}
+
+/**
+ * Derive the public key and did:key from a 32-byte private key
+ * publicKeyHex is in the agent keystore's form: raw for Ed25519, uncompressed for Secp256k1,
+ * compressed for Secp256r1; the did:key always uses the compressed point
+ */
+export function deriveIssuerKey(privateKeyHex, keyType = 'Ed25519') {
+  const { codec, curve } = keyTypeInfo(keyType)
+  let publicKeyHex
+  let didKeyHex
+  if (keyType === 'Ed25519') {
+    const privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(privateKeyHex, 'hex')]),
+      format: 'der',
+      type: 'pkcs8'
+    })
+    const { x } = crypto.createPublicKey(privateKey).export({ format: 'jwk' })
+    publicKeyHex = didKeyHex = Buffer.from(x, 'base64url').toString('hex')
+  } else {
+    const ecdh = crypto.createECDH(curve)
+    ecdh.setPrivateKey(Buffer.from(privateKeyHex, 'hex'))
+    didKeyHex = ecdh.getPublicKey('hex', 'compressed')
+    publicKeyHex = keyType === 'Secp256k1' ? ecdh.getPublicKey('hex', 'uncompressed') : didKeyHex
+  }
+
+  return {
+    privateKeyHex,
+    publicKeyHex,
+    keyType,
+    did: 'did:key:' + bytesToMultibase(hexToBytes(didKeyHex), 'base58btc', codec)
+  }
+}
+
+/**
+ * Single entry point for the university issuer identity
+ *
+ * Modes:
+ *   generated - random key created by the agent, kept only in the (encrypted) agent keystore
+ *   seeded    - key derived from UNIVERSITY_ISSUER_SEED / UNIVERSITY_ISSUER_SEED_FILE
+ *   imported  - key read from a JWK or PEM file (UNIVERSITY_ISSUER_KEY_FILE)
+ *
+ * The mode is taken from options, then UNIVERSITY_ISSUER_MODE, then the existing record,
+ * and defaults to 'generated'. Once a record exists its mode cannot change silently.
+ *
+ * The DID method works the same way (options.didMethod, UNIVERSITY_ISSUER_DID_METHOD, default 'key').
+ * A did:web issuer is did:web:<domain> (options.domain, UNIVERSITY_ISSUER_DOMAIN, default the
+ * profile website's host); its DID document must be published there (didWebDocument()).
+ *
+ * rotateKey() replaces the active key (and therefore the did:key) and keeps the old one
+ * in `retiredKeys` with its retirement date.
+ */
+export class IssuerIdentityService {
+  constructor(agent, options = {}) {
+    this.agent = agent
+    this.options = options
+  }
+
+  // Load issuer-key.json, migrating older shapes in place
+  async loadRecord() {
+    const data = loadIssuerKey()
+    if (!data) return null
+
+    const { record, legacyPrivateKeyHex } = migrateIssuerRecord(data)
+    if (record === data) return record
+
+    if (!data.version && !legacyPrivateKeyHex && record.mode === 'generated' && !(await this.keyPersisted(record.did))) {
+      // getFixedIssuer() created its DID in an in-memory agent, so its key was never stored anywhere.
+      // The DID is kept as a retired key (its credentials still verify) and getIssuer creates a new one
+      this.lostKey = {
+        did: record.did,
+        alias: null,
+        keyType: record.keyType,
+        publicKeyHex: null,
+        keyIndex: 0,
+        createdAt: record.createdAt,
+        retiredAt: record.migratedAt
+      }
+      const backupPath = backupIssuerKey()
+      console.log(`⚠ Legacy issuer-key.json names ${record.did}, whose key was never persisted`)
+      console.log(`  It is kept as a retired issuer key and a new key replaces it; the old file was kept at ${backupPath}`)
+      return null
+    }
+
+    if (legacyPrivateKeyHex) {
+      const derived = deriveIssuerKey(legacyPrivateKeyHex)
+      if (derived.did !== record.did) {
+        throw new Error(`Legacy issuer-key.json: private key does not belong to ${record.did}`)
+      }
+      record.publicKeyHex = derived.publicKeyHex
+      await this.importKey(derived, record.alias)
+
+      const backupPath = backupIssuerKey()
+      console.log('⚠ Migrated legacy issuer-key.json; its private key now lives in the agent keystore')
+      console.log(`  The old file (plaintext key) was kept at ${backupPath} - delete it once you have a backup`)
+    }
+
+    saveIssuerKey(record)
+    // Audited by getIssuer once the migrated record is known to match the keystore
+    this.migrated = { from: data.version || 0, legacyKeyImported: Boolean(legacyPrivateKeyHex) }
+    return record
+  }
+
+  // Whether the key of `did` is held by the agent or by the file keystore
+  async keyPersisted(did) {
+    try {
+      await this.agent.didManagerGet({ did })
+      return true
+    } catch (e) {
+      return new FileDIDStore().getDID({ did }).then(() => true, () => false)
+    }
+  }
+
+  // Private key for the seeded/imported modes
+  resolvePrivateKey(mode, record, keyType) {
+    if (mode === 'seeded') {
+      return seedKeyForIndex(loadIssuerSeed(this.options), record?.keyIndex || 0)
+    }
+    if (mode === 'imported') {
+      return loadIssuerKeyFile(this.options.keyFile || record?.source?.path || process.env.UNIVERSITY_ISSUER_KEY_FILE, keyType)
+    }
+    return null
+  }
+
+  /**
+   * Add the issuer key to the agent keystore as the identifier `did`:
+   * the did:key derived from the key, or a did:web naming the domain
+   */
+  async importKey(derived, alias, did = derived.did) {
+    const [existing] = await this.agent.didManagerFind({ alias })
+    if (existing) return existing
+
+    return this.agent.didManagerImport({
+      did,
+      alias,
+      provider: did.startsWith('did:web:') ? 'did:web' : 'did:key',
+      controllerKeyId: derived.publicKeyHex,
+      keys: [{
+        kid: derived.publicKeyHex,
+        kms: 'local',
+        type: derived.keyType,
+        publicKeyHex: derived.publicKeyHex,
+        privateKeyHex: derived.privateKeyHex
+      }],
+      services: []
+    })
+  }
+
+  /**
+   * Return the issuer identifier, creating it on first run
+   * Fails loudly when the record, the agent keystore and the configured key disagree
+   */
+  async getIssuer() {
+    const record = await this.loadRecord()
+    const mode = this.options.mode || process.env.UNIVERSITY_ISSUER_MODE || record?.mode || 'generated'
+
+    if (!ISSUER_MODES.includes(mode)) {
+      throw new Error(`Unknown issuer mode: ${mode} (expected one of ${ISSUER_MODES.join(', ')})`)
+    }
+    if (record && record.mode !== mode) {
+      throw new Error(`Issuer was set up in '${record.mode}' mode; refusing to switch to '${mode}'`)
+    }
+
+    const didMethod = this.options.didMethod || process.env.UNIVERSITY_ISSUER_DID_METHOD || record?.didMethod || 'key'
+    if (!ISSUER_DID_METHODS.includes(didMethod)) {
+      throw new Error(`Unknown issuer DID method: ${didMethod} (expected one of ${ISSUER_DID_METHODS.join(', ')})`)
+    }
+    if (record && (record.didMethod || 'key') !== didMethod) {
+      throw new Error(`Issuer was set up with did:${record.didMethod || 'key'}; refusing to switch to did:${didMethod}`)
+    }
+    const keyType = this.options.keyType || process.env.UNIVERSITY_ISSUER_KEY_TYPE || record?.keyType || 'Ed25519'
+    keyTypeInfo(keyType)
+    if (record && (record.keyType || 'Ed25519') !== keyType) {
+      throw new Error(`Issuer was set up with a ${record.keyType} key; refusing to switch to ${keyType}`)
+    }
+    const webDid = didMethod === 'web'
+      ? record?.did || didWebFromDomain(this.options.domain || process.env.UNIVERSITY_ISSUER_DOMAIN || new URL(ISSUER_PROFILE.website).host)
+      : null
+
+    const alias = record?.alias || ISSUER_PROFILE.alias
+    const [storedIssuer] = await this.agent.didManagerFind({ alias })
+
+    // Key material the identity must match, when the mode defines it
+    const privateKeyHex = record?.source?.type === 'legacy-issuer-key-json' ? null : this.resolvePrivateKey(mode, record, keyType)
+    const derived = privateKeyHex ? deriveIssuerKey(privateKeyHex, keyType) : null
+    const derivedDid = derived && (webDid || derived.did)
+
+    if (record && derived && (record.did !== derivedDid || (record.publicKeyHex && record.publicKeyHex !== derived.publicKeyHex))) {
+      throw new Error(
+        `Stored issuer DID ${record.did} does not match the DID derived from the configured ${mode} key (${derived.did}). ` +
+        'Check the issuer key configuration or remove .storage/issuer-key.json to start over.'
+      )
+    }
+
+    if (storedIssuer) {
+      const controllerKey = storedIssuer.keys.find(k => k.kid === storedIssuer.controllerKeyId)
+      const expectedDid = record?.did || webDid || derived?.did
+      if (expectedDid && storedIssuer.did !== expectedDid) {
+        throw new Error(`Agent keystore holds issuer ${storedIssuer.did}, expected ${expectedDid}`)
+      }
+      if (derived && controllerKey?.publicKeyHex !== derived.publicKeyHex) {
+        throw new Error(`Agent keystore key for ${storedIssuer.did} does not match the configured ${mode} key`)
+      }
+    } else if (record && !derived) {
+      throw new Error(
+        `Issuer ${record.did} is recorded but its key is not in the agent keystore. ` +
+        'Use the persistent keystore (setupAgent({ storage: \'file\' })) or re-import the key.'
+      )
+    }
+
+    let issuer = storedIssuer
+    if (!issuer) {
+      const key = derived || deriveIssuerKey(generateIssuerPrivateKey(keyType), keyType)
+      issuer = await this.importKey(key, alias, webDid || key.did)
+    }
+
+    if (!record) {
+      const controllerKey = issuer.keys.find(k => k.kid === issuer.controllerKeyId)
+      saveIssuerKey({
+        version: ISSUER_RECORD_VERSION,
+        mode,
+        didMethod,
+        did: issuer.did,
+        alias,
+        keyType,
+        publicKeyHex: controllerKey.publicKeyHex,
+        profile: {
+          name: ISSUER_PROFILE.name,
+          location: ISSUER_PROFILE.location,
+          website: ISSUER_PROFILE.website
+        },
+        source: mode === 'imported' ? { type: 'key-file', path: this.options.keyFile || process.env.UNIVERSITY_ISSUER_KEY_FILE } : null,
+        keyIndex: 0,
+        retiredKeys: this.lostKey ? [this.lostKey] : [],
+        createdAt: new Date().toISOString()
+      })
+      await appendAuditEvent(this.agent, 'issuer.created', {
+        details: { did: issuer.did, mode, keyType }
+      })
+      if (this.lostKey) {
+        await appendAuditEvent(this.agent, 'issuer.migrated', {
+          details: { did: issuer.did, mode, from: 0, retiredDid: this.lostKey.did, keyLost: true }
+        })
+      }
+      console.log(`✓ University issuer initialized (${mode})`)
+      if (webDid) {
+        console.log('  Publish its DID document before issuing: node issue.js did-document')
+      }
+    } else {
+      if (this.migrated) {
+        await appendAuditEvent(this.agent, 'issuer.migrated', {
+          details: { did: issuer.did, mode, ...this.migrated }
+        })
+      }
+      console.log(`✓ Using university issuer (${mode})`)
+    }
+    console.log(`  DID: ${issuer.did}`)
+
+    return issuer
+  }
+
+  /**
+   * Retire the active issuer key and switch to a new one
+   *   generated - new random key
+   *   seeded    - next key generation derived from the same seed
+   *   imported  - key from options.keyFile (required)
+   */
+  async rotateKey() {
+    const current = await this.getIssuer()
+    const record = loadIssuerKey()
+    if (record.didMethod === 'web') {
+      // Retired keys are tracked by DID, and a did:web keeps its DID across keys
+      throw new Error(`Key rotation is not supported yet for a did:web issuer (${record.did})`)
+    }
+
+    // The new key has the same type as the one it replaces
+    const keyType = record.keyType || 'Ed25519'
+    let derived = null
+    let keyIndex = record.keyIndex || 0
+    let source = record.source
+
+    if (record.mode === 'seeded') {
+      keyIndex += 1
+      derived = deriveIssuerKey(seedKeyForIndex(loadIssuerSeed(this.options), keyIndex), keyType)
+    } else if (record.mode === 'imported') {
+      if (!this.options.keyFile) {
+        throw new Error('Rotating an imported issuer key needs the new key file (--key-file <path>)')
+      }
+      derived = deriveIssuerKey(loadIssuerKeyFile(this.options.keyFile, keyType), keyType)
+      source = { type: 'key-file', path: this.options.keyFile }
+    }
+
+    if (derived && derived.did === current.did) {
+      throw new Error(`The new issuer key is the active key (${current.did})`)
+    }
+
+    // Keep the retired identifier in the keystore under its own alias
+    const retiredAt = new Date().toISOString()
+    const retiredAlias = `${record.alias}-retired-${Date.parse(retiredAt)}`
+    await this.agent.didManagerSetAlias({ did: current.did, alias: retiredAlias })
+
+    const issuer = await this.importKey(derived || deriveIssuerKey(generateIssuerPrivateKey(keyType), keyType), record.alias)
+    const controllerKey = issuer.keys.find(k => k.kid === issuer.controllerKeyId)
+
+    const retiredKey = {
+      did: record.did,
+      alias: retiredAlias,
+      keyType: record.keyType,
+      publicKeyHex: record.publicKeyHex,
+      keyIndex: record.keyIndex || 0,
+      createdAt: record.createdAt,
+      retiredAt
+    }
+
+    saveIssuerKey({
+      ...record,
+      did: issuer.did,
+      publicKeyHex: controllerKey.publicKeyHex,
+      source,
+      keyIndex,
+      retiredKeys: [...(record.retiredKeys || []), retiredKey],
+      createdAt: retiredAt
+    })
+    await appendAuditEvent(this.agent, 'issuer.key-rotated', {
+      details: { did: issuer.did, retiredDid: retiredKey.did, mode: record.mode, keyIndex }
+    })
+
+    return { issuer, retired: retiredKey }
+  }
+
+  /**
+   * DID document of a did:web issuer, to serve at its /.well-known/did.json
+   */
+  async didWebDocument() {
+    const issuer = await this.getIssuer()
+    if (!issuer.did.startsWith('did:web:')) {
+      throw new Error(`The university issuer is ${issuer.did}; only a did:web issuer has a DID document to publish (UNIVERSITY_ISSUER_DID_METHOD=web)`)
+    }
+
+    const controllerKey = issuer.keys.find(k => k.kid === issuer.controllerKeyId)
+    return buildDidWebDocument(issuer.did, [controllerKey])
+  }
+}
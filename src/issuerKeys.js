@@ -0,0 +1,143 @@
+// src/issuerKeys.js - The issuer record (issuer-key.json): current and retired issuer keys
+import fs from 'fs'
+import path from 'path'
+import { ISSUER_PROFILE } from './issuerProfile.js'
+import { STORAGE_DIR } from './storageDir.js'
+
+const ISSUER_KEY_FILE = path.join(STORAGE_DIR, 'issuer-key.json')
+
+// Version of the issuer-key.json schema written by IssuerIdentityService
+export const ISSUER_RECORD_VERSION = 2
+
+// Save issuer identity
+export function saveIssuerKey(issuerData) {
+  fs.mkdirSync(STORAGE_DIR, { recursive: true })
+  fs.writeFileSync(ISSUER_KEY_FILE, JSON.stringify(issuerData, null, 2))
+}
+
+// Load issuer identity
+export function loadIssuerKey() {
+  if (fs.existsSync(ISSUER_KEY_FILE)) {
+    const data = fs.readFileSync(ISSUER_KEY_FILE, 'utf-8')
+    return JSON.parse(data)
+  }
+  return null
+}
+
+// Move issuer-key.json aside before it is rewritten in a new format
+export function backupIssuerKey() {
+  const backupPath = `${ISSUER_KEY_FILE}.bak`
+  fs.copyFileSync(ISSUER_KEY_FILE, backupPath)
+  return backupPath
+}
+
+/**
+ * Upgrade an issuer-key.json written by an older bootstrap to the current schema
+ * Returns { record, legacyPrivateKeyHex } - the private key is never written back to the record
+ */
+export function migrateIssuerRecord(data) {
+  if (data.version === ISSUER_RECORD_VERSION) {
+    return { record: data, legacyPrivateKeyHex: null }
+  }
+  if (data.version === 1) {
+    // v2 adds key rotation: the active key generation and the retired keys
+    return {
+      record: { ...data, version: ISSUER_RECORD_VERSION, keyIndex: 0, retiredKeys: [] },
+      legacyPrivateKeyHex: null
+    }
+  }
+  if (data.version) {
+    throw new Error(`Unsupported issuer-key.json version: ${data.version}`)
+  }
+
+  // Unversioned files: getOrCreateIssuer() stored the raw key, getFixedIssuer() stored only the DID
+  let mode = 'generated'
+  if (data.privateKeyHex) {
+    mode = 'imported'
+  } else if (data.note?.includes('derived from the university seed')) {
+    mode = 'seeded'
+  }
+
+  const record = {
+    version: ISSUER_RECORD_VERSION,
+    mode,
+    did: data.did,
+    alias: data.alias || ISSUER_PROFILE.alias,
+    keyType: 'Ed25519',
+    publicKeyHex: data.publicKeyHex || null,
+    profile: {
+      name: data.name || ISSUER_PROFILE.name,
+      location: data.location || ISSUER_PROFILE.location,
+      website: data.website || ISSUER_PROFILE.website
+    },
+    source: data.privateKeyHex ? { type: 'legacy-issuer-key-json' } : null,
+    keyIndex: 0,
+    retiredKeys: [],
+    createdAt: data.createdAt || new Date().toISOString(),
+    migratedAt: new Date().toISOString()
+  }
+
+  return { record, legacyPrivateKeyHex: data.privateKeyHex || null }
+}
+
+/**
+ * Look up an issuer DID in the key history
+ * Returns { did, status: 'active' | 'retired', retiredAt } or null for a DID the university never used
+ */
+export function findIssuerKey(did) {
+  const data = loadIssuerKey()
+  if (!data) return null
+
+  const { record } = migrateIssuerRecord(data)
+  if (record.did === did) {
+    return { did, status: 'active', createdAt: record.createdAt, retiredAt: null }
+  }
+
+  const retired = (record.retiredKeys || []).find(k => k.did === did)
+  if (retired) {
+    return { did, status: 'retired', createdAt: retired.createdAt, retiredAt: retired.retiredAt }
+  }
+  return null
+}
+
+/**
+ * DIDs of every university issuer key, active first, then retired ones (empty before the issuer exists)
+ */
+export function universityIssuerDids() {
+  const data = loadIssuerKey()
+  if (!data) return []
+
+  const { record } = migrateIssuerRecord(data)
+  return [record.did, ...(record.retiredKeys || []).map(k => k.did)]
+}
+
+/**
+ * Check that a credential was signed by a university key that was active when it was issued
+ * The issuance date in a credential is whatever its signer wrote, so a retired key is accepted only
+ * when the issuer's own records date the credential before the retirement: recordedAt (the issuedAt
+ * of the stored record of this very credential, for callers that have it), else the credential.issued
+ * entry logged with its hash. Someone holding a leaked retired key can sign new credentials, but cannot
+ * add them to those records; the check is only as strong as the protection of the storage directory.
+ *   hash         - credentialHash() of the presented credential
+ *   findIssuance - (did, hash) => the credential.issued audit entry or null (auditLog's findIssuanceEntry)
+ * Returns { valid, key, issuedAt, reason }; key is null for a DID that is not a university key
+ */
+export function checkIssuerKey(did, { hash, recordedAt, findIssuance } = {}) {
+  const key = findIssuerKey(did)
+
+  if (!key) {
+    return { valid: false, key: null, issuedAt: null, reason: `Issuer ${did} is not a university issuer key` }
+  }
+  if (key.status === 'active') {
+    return { valid: true, key, issuedAt: recordedAt || null, reason: 'Active issuer key' }
+  }
+
+  const issuedAt = recordedAt || (hash && findIssuance?.(did, hash)?.at)
+  if (!issuedAt) {
+    return { valid: false, key, issuedAt: null, reason: `Issuer key ${did} was retired on ${key.retiredAt}, and the issuer has no record of issuing this credential with it` }
+  }
+  if (!(issuedAt < key.retiredAt)) {
+    return { valid: false, key, issuedAt, reason: `Issued ${issuedAt}, after issuer key retirement on ${key.retiredAt}` }
+  }
+  return { valid: true, key, issuedAt, reason: `Issued ${issuedAt}, before key retirement on ${key.retiredAt}` }
+}
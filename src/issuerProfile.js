@@ -0,0 +1,17 @@
+// src/issuerProfile.js - Who the university issuer is, shared by issuance and verification
+
+// Fixed issuer configuration (University)
+export const ISSUER_PROFILE = {
+  alias: 'UniversityIssuer',
+  name: 'Example University',
+  location: 'University Campus',
+  website: 'https://university.edu'
+}
+
+// SD-JWT VC type (vct) of a credential type, under the university's website
+export function credentialVct(type) {
+  return `${ISSUER_PROFILE.website}/credentials/${type}`
+}
+
+// Student numbers as the university's registry assigns them; issuance refuses any other student ID
+export const STUDENT_ID_PATTERN = /^[0-9]{1,64}$/
@@ -0,0 +1,487 @@
+// src/oid4vci.js - OpenID for Verifiable Credential Issuance 1.0, pre-authorized code flow
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { createJWS, decodeJWT, verifyJWS } from 'did-jwt'
+import { ISSUER_PROFILE, credentialVct } from './issuerProfile.js'
+import { ISSUER_KEY_TYPES } from './issuerIdentity.js'
+import { issueStudentCredential, validateStudentData, PROOF_FORMATS } from './issuer.js'
+import { withFileLock } from './credentialRepository.js'
+import { authenticationMethod, didSigner } from './sdJwt.js'
+import { isDID } from './holderBinding.js'
+import { formatSchemaErrors } from './schemaRegistry.js'
+import { CREDENTIALS_V1_CONTEXT } from './documentLoader.js'
+import { listTemplates, getTemplate } from './credentialTemplates.js'
+import { STORAGE_DIR } from './storageDir.js'
+import { validationError } from './errors.js'
+
+const OFFERS_FILE = path.join(STORAGE_DIR, 'oid4vci-offers.json')
+const LOCK_FILE = `${OFFERS_FILE}.lock`
+
+export const PRE_AUTHORIZED_GRANT = 'urn:ietf:params:oauth:grant-type:pre-authorized_code'
+export const OFFER_URI_SCHEME = 'openid-credential-offer://'
+const PROOF_JWT_TYPE = 'openid4vci-proof+jwt'
+
+// How long a student has to redeem an offer, and how long a token and a nonce last
+const OFFER_TTL_MS = 24 * 60 * 60 * 1000
+const ACCESS_TOKEN_TTL_SECONDS = 300
+const NONCE_TTL_MS = 5 * 60 * 1000
+
+// Wrong transaction codes an offer takes before it is invalidated (a 6-digit code cannot be guessed in 3 tries)
+const MAX_TX_CODE_ATTEMPTS = 3
+
+// OID4VCI credential format identifier of each proof format
+const OID4VCI_FORMATS = {
+  jwt: 'jwt_vc_json',
+  'sd-jwt': 'dc+sd-jwt',
+  lds: 'ldp_vc'
+}
+
+// Algorithms a wallet may sign its key proof with (whatever key its DID has)
+const PROOF_SIGNING_ALGS = ['EdDSA', 'ES256', 'ES256K']
+
+/**
+ * credential_configuration_id of a template in a proof format, e.g. UniversityCardCredential_jwt_vc_json
+ */
+export function credentialConfigurationId(template, proofFormat) {
+  return `${template.type}_${OID4VCI_FORMATS[proofFormat]}`
+}
+
+// An Error answered as an OAuth error response: { error: code, error_description }
+function oauthError(code, description, status = 400) {
+  const error = new Error(description)
+  error.status = status
+  error.code = code
+  return error
+}
+
+function loadOffers() {
+  if (fs.existsSync(OFFERS_FILE)) {
+    return JSON.parse(fs.readFileSync(OFFERS_FILE, 'utf-8'))
+  }
+  return { offers: {}, nonces: {} }
+}
+
+function saveOffers(state) {
+  fs.mkdirSync(path.dirname(OFFERS_FILE), { recursive: true })
+  const tmpPath = `${OFFERS_FILE}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), { mode: 0o600 })
+  fs.renameSync(tmpPath, OFFERS_FILE)
+}
+
+// Offers and nonces past their expiry are dropped whenever the store is written
+function dropExpired(state, now) {
+  for (const [code, offer] of Object.entries(state.offers)) {
+    if (Date.parse(offer.expiresAt) < now) delete state.offers[code]
+  }
+  for (const [nonce, expiresAt] of Object.entries(state.nonces)) {
+    if (Date.parse(expiresAt) < now) delete state.nonces[nonce]
+  }
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url')
+}
+
+// Constant-time comparison of a transaction code
+function sameCode(expected, given) {
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest()
+  return crypto.timingSafeEqual(digest(expected), digest(given))
+}
+
+/**
+ * Credential Issuer Metadata (/.well-known/openid-credential-issuer): one configuration per
+ * template and proof format, with the template's display metadata and claim labels
+ * The issuer is its own authorization server, so token_endpoint is in its OAuth metadata
+ * keyType is the issuer key's type: it sets the signing alg, and only an Ed25519 issuer offers lds
+ */
+export function credentialIssuerMetadata(baseUrl, { keyType = 'Ed25519' } = {}) {
+  const configurations = {}
+  const proofFormats = keyType === 'Ed25519' ? PROOF_FORMATS : PROOF_FORMATS.filter(f => f !== 'lds')
+  for (const template of listTemplates()) {
+    for (const proofFormat of proofFormats) {
+      const format = OID4VCI_FORMATS[proofFormat]
+      configurations[credentialConfigurationId(template, proofFormat)] = {
+        format,
+        ...(proofFormat === 'sd-jwt' ? { vct: credentialVct(template.type) } : {
+          credential_definition: {
+            ...(proofFormat === 'lds' ? { '@context': [CREDENTIALS_V1_CONTEXT, template.context] } : {}),
+            type: ['VerifiableCredential', template.type]
+          }
+        }),
+        scope: template.name,
+        cryptographic_binding_methods_supported: ['did:key', 'did:jwk', 'did:peer'],
+        credential_signing_alg_values_supported: proofFormat === 'lds' ? ['Ed25519Signature2020'] : [ISSUER_KEY_TYPES[keyType].alg],
+        proof_types_supported: {
+          jwt: { proof_signing_alg_values_supported: PROOF_SIGNING_ALGS }
+        },
+        credential_metadata: {
+          display: [{
+            name: template.display.name,
+            description: template.display.description,
+            locale: 'en-US',
+            background_color: template.display.backgroundColor,
+            text_color: template.display.textColor
+          }],
+          claims: Object.entries(template.claims).map(([name, definition]) => ({
+            path: proofFormat === 'sd-jwt' ? [name] : ['credentialSubject', name],
+            mandatory: Boolean(definition.required),
+            display: [{ name: definition.label, locale: 'en-US' }]
+          }))
+        }
+      }
+    }
+  }
+
+  return {
+    credential_issuer: baseUrl,
+    credential_endpoint: `${baseUrl}/credential`,
+    nonce_endpoint: `${baseUrl}/nonce`,
+    display: [{ name: ISSUER_PROFILE.name, locale: 'en-US' }],
+    credential_configurations_supported: configurations
+  }
+}
+
+/**
+ * OAuth 2.0 Authorization Server Metadata (/.well-known/oauth-authorization-server)
+ */
+export function authorizationServerMetadata(baseUrl) {
+  return {
+    issuer: baseUrl,
+    token_endpoint: `${baseUrl}/token`,
+    grant_types_supported: [PRE_AUTHORIZED_GRANT],
+    'pre-authorized_grant_anonymous_access_supported': true
+  }
+}
+
+/**
+ * Offer a credential to a student: the registrar has checked who they are, so the offer carries a
+ * pre-authorized code. studentData holds the template's claims but no holder DID: the wallet proves
+ * its key when it redeems the offer. With options.txCode (default true) redeeming also needs a
+ * 6-digit transaction code, to be given to the student over another channel than the offer.
+ * Returns { offer, offerUri, preAuthorizedCode, txCode, credentialConfigurationId, expiresAt }
+ */
+export async function createCredentialOffer(baseUrl, studentData, options = {}) {
+  const template = getTemplate(options.template)
+  const proofFormat = options.proofFormat || 'jwt'
+  if (!PROOF_FORMATS.includes(proofFormat)) {
+    throw validationError(`Unknown format: ${proofFormat} (expected ${PROOF_FORMATS.join(', ')})`)
+  }
+  if (studentData.holderDid) {
+    throw validationError('An offer is not bound to a DID in advance: the wallet proves its key when it redeems the offer')
+  }
+  const check = validateStudentData(studentData, template.name)
+  if (!check.valid) {
+    throw validationError(`Invalid ${template.type} claims: ${formatSchemaErrors(check.errors)}`)
+  }
+
+  const now = Date.now()
+  const entry = {
+    preAuthorizedCode: randomToken(),
+    txCode: options.txCode === false ? null : String(crypto.randomInt(0, 1000000)).padStart(6, '0'),
+    credentialConfigurationId: credentialConfigurationId(template, proofFormat),
+    template: template.name,
+    proofFormat,
+    studentData,
+    operator: options.operator || null,
+    state: 'offered',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + OFFER_TTL_MS).toISOString()
+  }
+  await withFileLock(LOCK_FILE, () => {
+    const state = loadOffers()
+    dropExpired(state, now)
+    state.offers[entry.preAuthorizedCode] = entry
+    saveOffers(state)
+  })
+
+  const offer = {
+    credential_issuer: baseUrl,
+    credential_configuration_ids: [entry.credentialConfigurationId],
+    grants: {
+      [PRE_AUTHORIZED_GRANT]: {
+        'pre-authorized_code': entry.preAuthorizedCode,
+        ...(entry.txCode ? {
+          tx_code: { input_mode: 'numeric', length: 6, description: `Code given to you by ${ISSUER_PROFILE.name}` }
+        } : {})
+      }
+    }
+  }
+  return {
+    offer,
+    offerUri: `${OFFER_URI_SCHEME}?credential_offer=${encodeURIComponent(JSON.stringify(offer))}`,
+    preAuthorizedCode: entry.preAuthorizedCode,
+    txCode: entry.txCode,
+    credentialConfigurationId: entry.credentialConfigurationId,
+    expiresAt: entry.expiresAt
+  }
+}
+
+/**
+ * The credential offer in an openid-credential-offer:// URI (what the QR code encodes)
+ */
+export function parseCredentialOfferUri(offerUri) {
+  const query = offerUri.includes('?') ? offerUri.slice(offerUri.indexOf('?') + 1) : ''
+  const value = new URLSearchParams(query).get('credential_offer')
+  if (!value) {
+    throw new Error('Not a credential offer URI (expected openid-credential-offer://?credential_offer=...)')
+  }
+  return JSON.parse(value)
+}
+
+/**
+ * Token endpoint: exchange a pre-authorized code (and its transaction code) for an access token
+ * Each code is redeemed once; params are the form fields of the token request
+ * Wrong transaction codes are counted on the offer, which is invalidated after MAX_TX_CODE_ATTEMPTS
+ */
+export async function exchangePreAuthorizedCode(params) {
+  if (params.grant_type !== PRE_AUTHORIZED_GRANT) {
+    throw oauthError('unsupported_grant_type', `grant_type must be ${PRE_AUTHORIZED_GRANT}`)
+  }
+  const code = params['pre-authorized_code']
+  if (!code) {
+    throw oauthError('invalid_request', 'pre-authorized_code is required')
+  }
+
+  return withFileLock(LOCK_FILE, () => {
+    const state = loadOffers()
+    dropExpired(state, Date.now())
+    const offer = state.offers[code]
+    if (!offer || offer.state !== 'offered') {
+      throw oauthError('invalid_grant', 'Pre-authorized code is unknown, expired or already used')
+    }
+    if (offer.txCode && !params.tx_code) {
+      throw oauthError('invalid_grant', 'tx_code is required for this offer')
+    }
+    if (offer.txCode && !sameCode(offer.txCode, params.tx_code)) {
+      // Recorded under the same lock as the check, so parallel guesses are counted too
+      offer.failedTxCodeAttempts = (offer.failedTxCodeAttempts || 0) + 1
+      const invalidated = offer.failedTxCodeAttempts >= MAX_TX_CODE_ATTEMPTS
+      if (invalidated) {
+        offer.state = 'invalidated'
+      }
+      saveOffers(state)
+      throw oauthError('invalid_grant', invalidated
+        ? `Transaction code does not match; the offer is invalidated after ${MAX_TX_CODE_ATTEMPTS} wrong codes`
+        : 'Transaction code does not match')
+    }
+
+    offer.state = 'token-issued'
+    offer.accessToken = randomToken()
+    offer.accessTokenExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000).toISOString()
+    saveOffers(state)
+    return {
+      access_token: offer.accessToken,
+      token_type: 'Bearer',
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+      authorization_details: [{
+        type: 'openid_credential',
+        credential_configuration_id: offer.credentialConfigurationId
+      }]
+    }
+  })
+}
+
+/**
+ * Nonce endpoint: a fresh c_nonce for the wallet's key proof, usable once
+ */
+export async function createNonce() {
+  const nonce = randomToken()
+  await withFileLock(LOCK_FILE, () => {
+    const state = loadOffers()
+    dropExpired(state, Date.now())
+    state.nonces[nonce] = new Date(Date.now() + NONCE_TTL_MS).toISOString()
+    saveOffers(state)
+  })
+  return { c_nonce: nonce }
+}
+
+/**
+ * Check a wallet's key proof (openid4vci-proof+jwt): signed by the authentication key its kid names,
+ * for this issuer, over an open c_nonce (used up either way)
+ * Returns the holder DID
+ */
+async function verifyKeyProof(agent, proofJwt, baseUrl) {
+  let decoded
+  try {
+    decoded = decodeJWT(proofJwt)
+  } catch (error) {
+    throw oauthError('invalid_proof', `Key proof is not a JWT: ${error.message}`)
+  }
+  const { header, payload } = decoded
+  if (header.typ !== PROOF_JWT_TYPE) {
+    throw oauthError('invalid_proof', `Key proof typ must be ${PROOF_JWT_TYPE}`)
+  }
+  const holderDid = header.kid?.split('#')[0]
+  if (!isDID(holderDid)) {
+    throw oauthError('invalid_proof', 'Key proof kid must be a DID URL (e.g. did:key:...#...)')
+  }
+
+  const nonceExpiry = await withFileLock(LOCK_FILE, () => {
+    const state = loadOffers()
+    const expiresAt = state.nonces[payload.nonce]
+    if (expiresAt) {
+      delete state.nonces[payload.nonce]
+      saveOffers(state)
+    }
+    return expiresAt
+  })
+  if (!nonceExpiry || Date.parse(nonceExpiry) < Date.now()) {
+    throw oauthError('invalid_nonce', 'Key proof nonce is unknown, expired or already used; get a new c_nonce')
+  }
+
+  if (payload.aud !== baseUrl) {
+    throw oauthError('invalid_proof', `Key proof audience must be ${baseUrl}`)
+  }
+  let method
+  try {
+    method = await authenticationMethod(agent, holderDid)
+  } catch (error) {
+    throw oauthError('invalid_proof', error.message)
+  }
+  if (method.id !== header.kid) {
+    throw oauthError('invalid_proof', `${header.kid} is not an authentication key of ${holderDid}`)
+  }
+  try {
+    verifyJWS(proofJwt, method)
+  } catch (error) {
+    throw oauthError('invalid_proof', `Key proof signature rejected: ${error.message}`)
+  }
+  return holderDid
+}
+
+/**
+ * Credential endpoint: issue the offered credential to the DID that signed the key proof
+ * request is the credential request: { credential_configuration_id, proofs: { jwt: [<proof>] } }
+ * Returns the credential response { credentials: [{ credential }] }
+ */
+export async function issueOfferedCredential(agent, issuer, { accessToken, request, baseUrl }) {
+  const findOffer = state => Object.values(state.offers).find(o => o.accessToken && accessToken && o.accessToken === accessToken)
+  const offer = findOffer(loadOffers())
+  if (!offer || offer.state !== 'token-issued' || Date.parse(offer.accessTokenExpiresAt) < Date.now()) {
+    throw oauthError('invalid_token', 'Access token is unknown, expired or already used', 401)
+  }
+  if (request.credential_configuration_id !== offer.credentialConfigurationId) {
+    throw oauthError('unknown_credential_configuration', `This token is for ${offer.credentialConfigurationId}`)
+  }
+  const proofs = request.proofs?.jwt || []
+  if (proofs.length !== 1) {
+    throw oauthError('invalid_proof', 'Exactly one key proof is required: proofs.jwt = [<openid4vci-proof+jwt>]')
+  }
+
+  const holderDid = await verifyKeyProof(agent, proofs[0], baseUrl)
+
+  // The token is spent before issuing, so a second request cannot issue a second credential
+  await withFileLock(LOCK_FILE, () => {
+    const state = loadOffers()
+    const current = findOffer(state)
+    if (!current || current.state !== 'token-issued') {
+      throw oauthError('invalid_token', 'Access token was already used', 401)
+    }
+    current.state = 'issuing'
+    saveOffers(state)
+  })
+
+  const settle = fields => withFileLock(LOCK_FILE, () => {
+    const state = loadOffers()
+    if (state.offers[offer.preAuthorizedCode]) {
+      Object.assign(state.offers[offer.preAuthorizedCode], fields)
+      saveOffers(state)
+    }
+  })
+
+  let result
+  try {
+    result = await issueStudentCredential(agent, issuer, { ...offer.studentData, holderDid }, {
+      template: offer.template,
+      proofFormat: offer.proofFormat,
+      verifiedHolderProof: { holderDid, method: 'openid4vci', verifiedAt: new Date().toISOString() },
+      operator: offer.operator || 'oid4vci'
+    })
+  } catch (error) {
+    await settle({ state: 'failed', error: error.message })
+    // Only a problem with the offered claims or proof is the wallet's to see; anything else is a server_error
+    throw error.validation ? oauthError('credential_request_denied', error.message) : error
+  }
+  await settle({ state: 'issued', credentialId: result.credentialId, holderDid })
+  return {
+    credentials: [{ credential: result.format === 'lds' ? result.vc : result.jwt }]
+  }
+}
+
+/**
+ * Wallet side: key proof for the credential endpoint, signed with holderDid's authentication key
+ */
+export async function createKeyProof(agent, holderDid, { audience, nonce }) {
+  const method = await authenticationMethod(agent, holderDid)
+  const { signer, alg } = await didSigner(agent, holderDid)
+  return createJWS({ aud: audience, iat: Math.floor(Date.now() / 1000), nonce }, signer, { typ: PROOF_JWT_TYPE, alg, kid: method.id })
+}
+
+// POST to an OID4VCI endpoint; OAuth error responses become an Error with their description
+async function postJson(url, { body, form, accessToken }) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json',
+      ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {})
+    },
+    body: form ? new URLSearchParams(form).toString() : JSON.stringify(body || {})
+  })
+  const result = await response.json()
+  if (!response.ok) {
+    throw new Error(`${new URL(url).pathname}: ${result.error}${result.error_description ? ` - ${result.error_description}` : ''}`)
+  }
+  return result
+}
+
+async function getJson(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`)
+  }
+  return response.json()
+}
+
+/**
+ * Wallet side of the pre-authorized code flow: read the offer, fetch the issuer's metadata,
+ * exchange the code (and txCode) for a token, prove holderDid's key over a fresh nonce and
+ * receive the credential, bound to holderDid
+ * Returns { credential, credentialConfigurationId, configuration, issuerMetadata }
+ */
+export async function receiveCredentialOffer(agent, holderDid, offerUri, { txCode } = {}) {
+  const offer = parseCredentialOfferUri(offerUri)
+  const grant = offer.grants?.[PRE_AUTHORIZED_GRANT]
+  if (!grant) {
+    throw new Error('Offer has no pre-authorized code grant')
+  }
+  if (grant.tx_code && !txCode) {
+    throw new Error(`Offer needs a transaction code (${grant.tx_code.length || ''} digits): ${grant.tx_code.description || 'ask the issuer'}`)
+  }
+
+  const issuerUrl = offer.credential_issuer.replace(/\/$/, '')
+  const issuerMetadata = await getJson(`${issuerUrl}/.well-known/openid-credential-issuer`)
+  const [credentialConfigurationId] = offer.credential_configuration_ids
+  const configuration = issuerMetadata.credential_configurations_supported?.[credentialConfigurationId]
+  if (!configuration) {
+    throw new Error(`Issuer does not describe ${credentialConfigurationId}`)
+  }
+  const authorizationServer = issuerMetadata.authorization_servers?.[0] || issuerUrl
+  const { token_endpoint: tokenEndpoint } = await getJson(`${authorizationServer}/.well-known/oauth-authorization-server`)
+
+  const token = await postJson(tokenEndpoint, {
+    form: {
+      grant_type: PRE_AUTHORIZED_GRANT,
+      'pre-authorized_code': grant['pre-authorized_code'],
+      ...(txCode ? { tx_code: txCode } : {})
+    }
+  })
+  const { c_nonce: nonce } = await postJson(issuerMetadata.nonce_endpoint, {})
+  const proof = await createKeyProof(agent, holderDid, { audience: issuerMetadata.credential_issuer, nonce })
+  const response = await postJson(issuerMetadata.credential_endpoint, {
+    accessToken: token.access_token,
+    body: { credential_configuration_id: credentialConfigurationId, proofs: { jwt: [proof] } }
+  })
+
+  return { credential: response.credentials[0].credential, credentialConfigurationId, configuration, issuerMetadata }
+}
@@ -0,0 +1,432 @@
+// src/oid4vp.js - OpenID for Verifiable Presentations: verifier requests with direct_post responses
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { decodeJWT } from 'did-jwt'
+import { ISSUER_PROFILE } from './issuerProfile.js'
+import { withFileLock } from './credentialRepository.js'
+import { getTemplate } from './credentialTemplates.js'
+import { isSdJwt, parseSdJwt } from './sdJwt.js'
+import { validatePresentation, createStudentPresentation, createSdJwtPresentation } from './helpers.js'
+import {
+  PE_FORMATS,
+  presentationDefinitionForTemplate,
+  queryPath,
+  evaluateInputDescriptor,
+  requestedClaims,
+  checkSubmissionShape
+} from './presentationExchange.js'
+import { STORAGE_DIR } from './storageDir.js'
+
+const REQUESTS_FILE = path.join(STORAGE_DIR, 'oid4vp-requests.json')
+const LOCK_FILE = `${REQUESTS_FILE}.lock`
+
+export const REQUEST_URI_SCHEME = 'openid4vp://'
+
+// How long a wallet has to answer a request; answered requests are kept as long for their result
+const REQUEST_TTL_MS = 10 * 60 * 1000
+
+// Request parameters carried as JSON in an openid4vp:// URI
+const JSON_PARAMETERS = ['presentation_definition', 'client_metadata']
+
+// An Error answered as an OAuth error response: { error: code, error_description }
+function oauthError(code, description, status = 400) {
+  const error = new Error(description)
+  error.status = status
+  error.code = code
+  return error
+}
+
+function loadRequests() {
+  if (fs.existsSync(REQUESTS_FILE)) {
+    return JSON.parse(fs.readFileSync(REQUESTS_FILE, 'utf-8'))
+  }
+  return { requests: {} }
+}
+
+function saveRequests(state) {
+  fs.mkdirSync(path.dirname(REQUESTS_FILE), { recursive: true })
+  const tmpPath = `${REQUESTS_FILE}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2), { mode: 0o600 })
+  fs.renameSync(tmpPath, REQUESTS_FILE)
+}
+
+function dropExpired(state, now) {
+  for (const [key, request] of Object.entries(state.requests)) {
+    if (Date.parse(request.expiresAt) < now) delete state.requests[key]
+  }
+}
+
+/**
+ * Create an authorization request for a credential from a template, answered by the wallet
+ * with a direct_post to baseUrl/presentations/response
+ * options: { template, trustedIssuers, fields, limitDisclosure, operator } (see presentationDefinitionForTemplate)
+ * Returns { request, requestUri, state, nonce, expiresAt }; requestUri is the QR code payload
+ */
+export async function createAuthorizationRequest(baseUrl, options = {}) {
+  const template = getTemplate(options.template)
+  const definition = presentationDefinitionForTemplate(template, {
+    trustedIssuers: options.trustedIssuers || [],
+    fields: options.fields || [],
+    limitDisclosure: options.limitDisclosure === true
+  })
+
+  const responseUri = `${baseUrl}/presentations/response`
+  const now = Date.now()
+  const entry = {
+    state: crypto.randomBytes(16).toString('base64url'),
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    clientId: responseUri,
+    definition,
+    trustedIssuers: options.trustedIssuers || [],
+    operator: options.operator || null,
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REQUEST_TTL_MS).toISOString()
+  }
+  await withFileLock(LOCK_FILE, () => {
+    const state = loadRequests()
+    dropExpired(state, now)
+    state.requests[entry.state] = entry
+    saveRequests(state)
+  })
+
+  // The verifier is identified by its response URI (client_id_scheme redirect_uri): no signed request object
+  const request = {
+    response_type: 'vp_token',
+    response_mode: 'direct_post',
+    client_id: responseUri,
+    client_id_scheme: 'redirect_uri',
+    response_uri: responseUri,
+    nonce: entry.nonce,
+    state: entry.state,
+    presentation_definition: definition,
+    client_metadata: { client_name: ISSUER_PROFILE.name, vp_formats: PE_FORMATS }
+  }
+  const query = new URLSearchParams(Object.entries(request).map(([name, value]) => [
+    name,
+    JSON_PARAMETERS.includes(name) ? JSON.stringify(value) : value
+  ]))
+  return {
+    request,
+    requestUri: `${REQUEST_URI_SCHEME}?${query}`,
+    state: entry.state,
+    nonce: entry.nonce,
+    expiresAt: entry.expiresAt
+  }
+}
+
+/**
+ * The authorization request in an openid4vp:// URI
+ */
+export function parseAuthorizationRequestUri(requestUri) {
+  const query = requestUri.includes('?') ? requestUri.slice(requestUri.indexOf('?') + 1) : ''
+  const request = Object.fromEntries(new URLSearchParams(query))
+  if (!request.response_type || !request.nonce) {
+    throw new Error('Not an authorization request URI (expected openid4vp://?response_type=vp_token&...)')
+  }
+  for (const name of JSON_PARAMETERS) {
+    if (request[name]) {
+      request[name] = JSON.parse(request[name])
+    }
+  }
+  return request
+}
+
+/**
+ * A request and, once answered, its result; null if unknown or expired
+ */
+export function getAuthorizationRequest(state) {
+  const request = loadRequests().requests[state]
+  if (!request || Date.parse(request.expiresAt) < Date.now()) {
+    return null
+  }
+  return request
+}
+
+// The vp_token parameter: one presentation, or a JSON array of them
+function parseVpToken(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw oauthError('invalid_request', 'vp_token is required')
+  }
+  if (value.trim().startsWith('[')) {
+    return JSON.parse(value)
+  }
+  if (value.trim().startsWith('{')) {
+    throw oauthError('invalid_request', 'ldp_vp presentations are not supported: send a jwt_vp_json or dc+sd-jwt presentation')
+  }
+  return value.trim()
+}
+
+// Issuer, type and subject of a submitted credential, whatever its format
+function credentialSummary(view) {
+  const vc = view.vc || view
+  return {
+    issuer: view.iss || vc.issuer?.id || vc.issuer || null,
+    type: vc.type || view.vct || null,
+    credentialSubject: view.vct
+      ? Object.fromEntries(Object.entries(view)
+        .filter(([name]) => !['iss', 'vct', 'iat', 'exp', 'jti', 'credentialStatus', 'credentialSchema'].includes(name))
+        .map(([name, value]) => [name === 'sub' ? 'id' : name, value]))
+      : { ...(view.sub ? { id: view.sub } : {}), ...vc.credentialSubject }
+  }
+}
+
+/**
+ * Evaluate a wallet's response against the request it answers: every presentation passes
+ * validatePresentation (holder signature, nonce, client_id as audience, and validateCredential's
+ * issuer, subject, expiry and status checks on each credential), and the presentation submission
+ * maps each input descriptor to a credential satisfying its constraints
+ * Returns { verified, state, definitionId, holder, presentations, descriptors, errors }
+ */
+async function evaluateResponse(agent, request, vpToken, submission) {
+  const tokens = [].concat(vpToken)
+  const result = {
+    verified: false,
+    state: request.state,
+    definitionId: request.definition.id,
+    holder: null,
+    presentations: [],
+    descriptors: [],
+    errors: checkSubmissionShape(request.definition, submission)
+  }
+
+  const validations = []
+  for (const [index, token] of tokens.entries()) {
+    const validation = await validatePresentation(agent, token, {
+      challenge: request.nonce,
+      domain: request.clientId,
+      trustedIssuers: request.trustedIssuers
+    })
+    validations.push(validation)
+    result.presentations.push({
+      index,
+      format: isSdJwt(token) ? 'dc+sd-jwt' : 'jwt_vp_json',
+      holder: validation.holder,
+      signatureValid: validation.signatureValid,
+      challengeValid: validation.challengeValid,
+      domainValid: validation.domainValid
+    })
+  }
+  const holders = [...new Set(validations.map(v => v.holder).filter(Boolean))]
+  result.holder = holders[0] || null
+  if (holders.length > 1) {
+    result.errors.push(`Presentations come from different holders: ${holders.join(', ')}`)
+  }
+
+  for (const entry of submission?.descriptor_map || []) {
+    const descriptor = request.definition.input_descriptors.find(d => d.id === entry.id)
+    if (!descriptor) continue
+
+    const item = { id: entry.id, format: entry.format, path: entry.path, credential: null, fields: [], checks: null, errors: [] }
+    result.descriptors.push(item)
+    const [token] = queryPath(vpToken, entry.path || '$')
+    const index = tokens.indexOf(token)
+    if (index < 0 || typeof token !== 'string') {
+      item.errors.push(`${entry.path} does not point to a presentation in vp_token`)
+      continue
+    }
+    const validation = validations[index]
+
+    let view
+    if (entry.format === 'dc+sd-jwt' && isSdJwt(token)) {
+      const { id, ...claims } = validation.credentialSubject || {}
+      view = { iss: validation.issuer, vct: validation.vct, ...(id ? { sub: id } : {}), ...claims }
+      item.checks = {
+        signatureValid: validation.signatureValid,
+        keyBindingValid: validation.keyBindingValid,
+        issuerTrusted: validation.issuerTrusted,
+        expired: validation.expired,
+        status: validation.status,
+        disclosed: validation.disclosed
+      }
+      item.errors.push(...validation.errors)
+      if (descriptor.constraints?.limit_disclosure === 'required') {
+        const extra = (validation.disclosed || []).filter(name => !requestedClaims(descriptor).includes(name))
+        if (extra.length > 0) {
+          item.errors.push(`Discloses claims that were not requested: ${extra.join(', ')}`)
+        }
+      }
+    } else if (entry.format === 'jwt_vp_json' && !isSdJwt(token)) {
+      const nested = entry.path_nested
+      if (!nested?.path) {
+        item.errors.push('A jwt_vp_json entry needs path_nested pointing to the credential')
+        continue
+      }
+      const payload = decodeJWT(token).payload
+      const [credential] = queryPath(payload, nested.path)
+      const position = [].concat(payload.vp?.verifiableCredential || []).indexOf(credential)
+      if (position < 0) {
+        item.errors.push(`${nested.path} does not point to a credential in the presentation`)
+        continue
+      }
+      if ((nested.format === 'ldp_vc') !== (typeof credential === 'object')) {
+        item.errors.push(`Credential at ${nested.path} is not ${nested.format}`)
+        continue
+      }
+      view = typeof credential === 'string' ? decodeJWT(credential).payload : credential
+      const checks = validation.credentials.find(c => c.index === position)
+      item.checks = checks ? {
+        signatureValid: checks.signatureValid,
+        issuerTrusted: checks.issuerTrusted,
+        subjectValid: checks.subjectValid,
+        expired: checks.expired,
+        dataModel: checks.dataModel
+      } : null
+      // Presentation errors, and those of this credential (validatePresentation prefixes them "Credential <n>:")
+      item.errors.push(...validation.errors.filter(error => !/^Credential \d+:/.test(error) || error.startsWith(`Credential ${position}:`)))
+      if (descriptor.constraints?.limit_disclosure === 'required') {
+        item.errors.push('limit_disclosure is required, and only an SD-JWT VC can limit disclosure')
+      }
+    } else {
+      item.errors.push(`Unsupported or mismatched format ${entry.format} (expected dc+sd-jwt or jwt_vp_json)`)
+      continue
+    }
+
+    item.credential = credentialSummary(view)
+    const evaluation = evaluateInputDescriptor(descriptor, view)
+    item.fields = evaluation.fields
+    item.errors.push(...evaluation.errors)
+  }
+
+  result.errors.push(...result.descriptors.flatMap(item => item.errors.map(error => `${item.id}: ${error}`)))
+  result.verified = result.errors.length === 0
+  return result
+}
+
+/**
+ * Response endpoint (direct_post): params are the form fields the wallet posted,
+ * { vp_token, presentation_submission, state }
+ * Each request is answered once; the result is kept with it (see getAuthorizationRequest)
+ * Returns the result of evaluateResponse
+ */
+export async function receiveAuthorizationResponse(agent, params) {
+  if (!params.state) {
+    throw oauthError('invalid_request', 'state is required')
+  }
+  const request = await withFileLock(LOCK_FILE, () => {
+    const state = loadRequests()
+    dropExpired(state, Date.now())
+    const current = state.requests[params.state]
+    if (!current || current.status !== 'pending') {
+      throw oauthError('invalid_request', 'Authorization request is unknown, expired or already answered')
+    }
+    current.status = 'verifying'
+    saveRequests(state)
+    return current
+  })
+
+  let result
+  try {
+    const submission = typeof params.presentation_submission === 'string'
+      ? JSON.parse(params.presentation_submission)
+      : params.presentation_submission
+    result = await evaluateResponse(agent, request, parseVpToken(params.vp_token), submission)
+  } catch (error) {
+    result = { verified: false, state: request.state, definitionId: request.definition.id, errors: [error.message] }
+  }
+
+  await withFileLock(LOCK_FILE, () => {
+    const state = loadRequests()
+    if (state.requests[request.state]) {
+      Object.assign(state.requests[request.state], {
+        status: result.verified ? 'verified' : 'rejected',
+        respondedAt: new Date().toISOString(),
+        result
+      })
+      saveRequests(state)
+    }
+  })
+  return result
+}
+
+// A wallet credential as Presentation Exchange sees it, with the DID it is bound to
+function walletCandidate(credential) {
+  if (typeof credential === 'object') {
+    return { format: 'ldp_vc', credential, view: credential, subject: credential.credentialSubject?.id }
+  }
+  if (isSdJwt(credential)) {
+    const { payload, disclosures } = parseSdJwt(credential)
+    const { _sd, _sd_alg, cnf, ...visible } = payload
+    const claims = Object.fromEntries(disclosures.map(d => [d.name, d.value]))
+    return { format: 'dc+sd-jwt', credential, view: { ...visible, ...claims }, subject: cnf?.kid?.split('#')[0], disclosable: Object.keys(claims) }
+  }
+  const { payload } = decodeJWT(credential)
+  return { format: 'jwt_vc_json', credential, view: payload, subject: payload.sub || payload.credentialSubject?.id }
+}
+
+/**
+ * Wallet side: answer an openid4vp:// request with credentials bound to holderDid
+ * credentials are what the wallet holds (JWT, SD-JWT or JSON-LD); the first one satisfying each
+ * input descriptor is presented, an SD-JWT VC disclosing only the requested claims
+ * Returns { submission, presented: [{ id, format }] }
+ */
+export async function respondToAuthorizationRequest(agent, holderDid, requestUri, credentials) {
+  const request = parseAuthorizationRequestUri(requestUri)
+  if (request.response_type !== 'vp_token' || request.response_mode !== 'direct_post') {
+    throw new Error(`Unsupported request: response_type ${request.response_type}, response_mode ${request.response_mode}`)
+  }
+  if (request.client_id_scheme === 'redirect_uri' && request.client_id !== request.response_uri) {
+    throw new Error('client_id does not match response_uri')
+  }
+  const definition = request.presentation_definition
+  if (!definition?.input_descriptors) {
+    throw new Error('Request has no presentation_definition')
+  }
+
+  const candidates = credentials.map(walletCandidate).filter(c => c.subject === holderDid)
+  const sdJwtTokens = []
+  const vpCredentials = []
+  const descriptorMap = []
+  for (const descriptor of definition.input_descriptors) {
+    const match = candidates.find(c => evaluateInputDescriptor(descriptor, c.view).matched)
+    if (!match) {
+      throw new Error(`No credential bound to ${holderDid} satisfies ${descriptor.name || descriptor.id}`)
+    }
+    if (match.format === 'dc+sd-jwt') {
+      const disclose = requestedClaims(descriptor).filter(name => match.disclosable.includes(name))
+      sdJwtTokens.push({ id: descriptor.id, disclose, credential: match.credential })
+    } else {
+      vpCredentials.push({ id: descriptor.id, format: match.format, credential: match.credential })
+    }
+  }
+
+  const tokens = []
+  for (const { id, disclose, credential } of sdJwtTokens) {
+    tokens.push(await createSdJwtPresentation(agent, credential, { disclose, challenge: request.nonce, domain: request.client_id }))
+    descriptorMap.push({ id, format: 'dc+sd-jwt', index: tokens.length - 1 })
+  }
+  if (vpCredentials.length > 0) {
+    const vp = await createStudentPresentation(agent, { did: holderDid }, vpCredentials.map(c => c.credential), {
+      challenge: request.nonce,
+      domain: request.client_id
+    })
+    tokens.push(vp.proof.jwt)
+    vpCredentials.forEach(({ id, format }, position) => descriptorMap.push({
+      id,
+      format: 'jwt_vp_json',
+      index: tokens.length - 1,
+      path_nested: { id, format, path: `$.vp.verifiableCredential[${position}]` }
+    }))
+  }
+
+  const submission = {
+    id: crypto.randomUUID(),
+    definition_id: definition.id,
+    descriptor_map: descriptorMap.map(({ index, ...entry }) => ({ ...entry, path: tokens.length === 1 ? '$' : `$[${index}]` }))
+  }
+  const response = await fetch(request.response_uri, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      vp_token: tokens.length === 1 ? tokens[0] : JSON.stringify(tokens),
+      presentation_submission: JSON.stringify(submission),
+      state: request.state
+    }).toString()
+  })
+  const body = await response.json()
+  if (!response.ok) {
+    throw new Error(`Verifier rejected the presentation: ${body.error_description || body.error}`)
+  }
+  return { submission, presented: descriptorMap.map(({ id, format }) => ({ id, format })) }
+}
@@ -0,0 +1,161 @@
+// src/presentationExchange.js - DIF Presentation Exchange 2.0: presentation definitions and their evaluation
+import Ajv2020 from 'ajv/dist/2020.js'
+import addFormats from 'ajv-formats'
+import { credentialVct } from './issuerProfile.js'
+import { validationError } from './errors.js'
+
+// Credential formats a definition accepts (OID4VP format identifiers) and the algorithms for each
+export const PE_FORMATS = {
+  jwt_vp_json: { alg: ['EdDSA', 'ES256', 'ES256K'] },
+  jwt_vc_json: { alg: ['EdDSA', 'ES256', 'ES256K'] },
+  ldp_vc: { proof_type: ['Ed25519Signature2020'] },
+  'dc+sd-jwt': { 'sd-jwt_alg_values': ['EdDSA', 'ES256', 'ES256K'], 'kb-jwt_alg_values': ['EdDSA', 'ES256', 'ES256K'] }
+}
+
+// Field filters are JSON Schemas
+const ajv = new Ajv2020({ allErrors: true, strict: false })
+addFormats(ajv)
+
+/**
+ * Presentation definition asking for one credential from a template, e.g. "a UniversityCardCredential
+ * from a trusted issuer", matching any of the formats the university issues:
+ *   trustedIssuers  - issuer DIDs accepted (no issuer constraint if empty)
+ *   fields          - claims the holder must disclose (e.g. ['name', 'title'])
+ *   limitDisclosure - only SD-JWT VCs revealing nothing but those claims are accepted
+ */
+export function presentationDefinitionForTemplate(template, { trustedIssuers = [], fields = [], limitDisclosure = false, purpose } = {}) {
+  const unknown = fields.filter(name => !template.claims[name])
+  if (unknown.length > 0) {
+    throw validationError(`Not a claim of ${template.name}: ${unknown.join(', ')}`)
+  }
+
+  const constraints = {
+    ...(limitDisclosure ? { limit_disclosure: 'required' } : {}),
+    fields: [
+      {
+        // vc.type of a JWT VC, type of a vc+jwt or JSON-LD credential, vct of an SD-JWT VC
+        path: ['$.vc.type', '$.type', '$.vct'],
+        name: 'Credential type',
+        filter: {
+          anyOf: [
+            { type: 'array', contains: { const: template.type } },
+            { const: template.type },
+            { const: credentialVct(template.type) }
+          ]
+        }
+      },
+      ...(trustedIssuers.length > 0 ? [{
+        path: ['$.iss', '$.issuer.id', '$.issuer'],
+        name: 'Issuer',
+        filter: { type: 'string', enum: trustedIssuers }
+      }] : []),
+      ...fields.map(name => ({
+        path: [`$.credentialSubject.${name}`, `$.vc.credentialSubject.${name}`, `$.${name}`],
+        name: template.claims[name].label
+      }))
+    ]
+  }
+
+  return {
+    id: `${template.name}-request`,
+    name: template.display.name,
+    purpose: purpose || `Present your ${template.display.name}`,
+    format: PE_FORMATS,
+    input_descriptors: [{
+      id: template.type,
+      name: template.display.name,
+      purpose: trustedIssuers.length > 0 ? `A ${template.type} from a trusted issuer` : `A ${template.type}`,
+      constraints
+    }]
+  }
+}
+
+/**
+ * Values at a JSONPath in value; the subset used by definitions and submissions:
+ * $, .name, ['name'], [index] and [*]
+ */
+export function queryPath(value, jsonPath) {
+  if (typeof jsonPath !== 'string' || !jsonPath.startsWith('$')) {
+    throw new Error(`Unsupported JSONPath: ${jsonPath}`)
+  }
+  const segment = /^(?:\.([A-Za-z_$][\w$-]*)|\[\s*(?:'([^']*)'|"([^"]*)"|(\d+)|(\*))\s*\]|\.(\*))/
+  let rest = jsonPath.slice(1)
+  let nodes = [value]
+  while (rest.length > 0) {
+    const match = rest.match(segment)
+    if (!match) {
+      throw new Error(`Unsupported JSONPath: ${jsonPath} (expected $, .name, ['name'], [index] or [*])`)
+    }
+    const [whole, dotted, single, double, index, star, dotStar] = match
+    const key = dotted ?? single ?? double
+    nodes = nodes.flatMap(node => {
+      if (node === null || typeof node !== 'object') return []
+      if (star || dotStar) return Object.values(node)
+      if (index !== undefined) return Array.isArray(node) && Number(index) < node.length ? [node[Number(index)]] : []
+      return Object.prototype.hasOwnProperty.call(node, key) ? [node[key]] : []
+    })
+    rest = rest.slice(whole.length)
+  }
+  return nodes
+}
+
+/**
+ * Evaluate one input descriptor's constraints against a credential (decoded: JWT payload,
+ * JSON-LD credential, or the issuer-signed and disclosed claims of an SD-JWT VC)
+ * Each field takes the first of its paths that has a value, which must pass the filter
+ * Returns { matched, fields: [{ path, value, matched, optional }], errors }
+ */
+export function evaluateInputDescriptor(descriptor, credential) {
+  const errors = []
+  const fields = (descriptor.constraints?.fields || []).map(field => {
+    const found = field.path.map(p => ({ path: p, values: queryPath(credential, p) })).find(r => r.values.length > 0)
+    const label = field.name || field.path[0]
+    if (!found) {
+      if (!field.optional) {
+        errors.push(`${label}: missing`)
+      }
+      return { path: field.path[0], value: undefined, matched: Boolean(field.optional), optional: Boolean(field.optional) }
+    }
+
+    const value = found.values[0]
+    const matched = !field.filter || found.values.some(v => ajv.validate(field.filter, v))
+    if (!matched && !field.optional) {
+      errors.push(`${label}: ${JSON.stringify(value)} does not match the filter`)
+    }
+    return { path: found.path, value, matched, optional: Boolean(field.optional) }
+  })
+  return { matched: errors.length === 0, fields, errors }
+}
+
+/**
+ * Top-level claim names a descriptor asks for ($.name paths), i.e. what an SD-JWT VC must disclose
+ */
+export function requestedClaims(descriptor) {
+  return [...new Set((descriptor.constraints?.fields || [])
+    .flatMap(field => field.path)
+    .map(p => p.match(/^\$\.([A-Za-z_][\w-]*)$/)?.[1])
+    .filter(name => name && !['iss', 'vct', 'type', 'issuer'].includes(name)))]
+}
+
+/**
+ * Check the shape of a presentation submission against its definition: it must name the definition
+ * and map every input descriptor (submission_requirements are not supported, so all are required)
+ * Returns the errors
+ */
+export function checkSubmissionShape(definition, submission) {
+  const errors = []
+  if (!submission || !Array.isArray(submission.descriptor_map)) {
+    return ['presentation_submission with a descriptor_map is required']
+  }
+  if (submission.definition_id !== definition.id) {
+    errors.push(`presentation_submission is for definition ${submission.definition_id}, not ${definition.id}`)
+  }
+  const ids = definition.input_descriptors.map(d => d.id)
+  submission.descriptor_map
+    .filter(entry => !ids.includes(entry.id))
+    .forEach(entry => errors.push(`descriptor_map entry ${entry.id} is not an input descriptor of ${definition.id}`))
+  ids
+    .filter(id => !submission.descriptor_map.some(entry => entry.id === id))
+    .forEach(id => errors.push(`No credential submitted for ${id}`))
+  return errors
+}
@@ -0,0 +1,191 @@
+// src/roster.js - Student roster import (CSV / JSON) for batch issuance
+import fs from 'fs'
+import path from 'path'
+import { STUDENT_ID_PATTERN } from './issuerProfile.js'
+
+// Credential fields read from a roster row, with the column each is read from by default
+export const ROSTER_FIELDS = {
+  studentId: { column: 'studentId', required: true },
+  name: { column: 'name', required: true },
+  title: { column: 'title', required: true },
+  description: { column: 'description', required: false },
+  expiryDate: { column: 'expiryDate', required: false }
+}
+
+const DEFAULT_VALIDITY_MS = 365 * 24 * 60 * 60 * 1000 // 1 year
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings)
+ * Returns an array of records, each an array of field strings
+ */
+export function parseCsv(text) {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+
+  const input = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      record.push(field)
+      records.push(record)
+      record = []
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  if (quoted) {
+    throw new Error('Unterminated quoted field in CSV')
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push(record)
+  }
+
+  // Blank lines carry no row
+  return records.filter(r => r.some(value => value.trim() !== ''))
+}
+
+export function toCsv(rows, columns) {
+  const escape = value => {
+    const text = value === undefined || value === null ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+  }
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','))
+    .join('\n') + '\n'
+}
+
+/**
+ * Read a roster file (.csv or .json)
+ * Returns { format, columns, rows: [{ row, values }] } where row is the 1-based line (CSV) or index (JSON)
+ */
+export function loadRoster(filepath) {
+  const format = path.extname(filepath).toLowerCase().slice(1)
+  const text = fs.readFileSync(filepath, 'utf-8')
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(text)
+    if (!header) {
+      throw new Error(`Roster is empty: ${filepath}`)
+    }
+    const columns = header.map(column => column.trim())
+    return {
+      format,
+      columns,
+      rows: records.map((record, i) => ({
+        row: i + 2,
+        values: Object.fromEntries(columns.map((column, j) => [column, record[j]]))
+      }))
+    }
+  }
+
+  if (format === 'json') {
+    const data = JSON.parse(text)
+    const entries = Array.isArray(data) ? data : data.students
+    if (!Array.isArray(entries)) {
+      throw new Error('JSON roster must be an array of students or { "students": [...] }')
+    }
+    return {
+      format,
+      columns: [...new Set(entries.flatMap(entry => Object.keys(entry || {})))],
+      rows: entries.map((entry, i) => ({ row: i + 1, values: entry || {} }))
+    }
+  }
+
+  throw new Error(`Unsupported roster format: ${filepath} (expected .csv or .json)`)
+}
+
+/**
+ * Column mapping from "field=Column,field=Column" specs (repeatable), on top of the defaults
+ * Example: --map "studentId=Student No,name=Full Name,title=Programme"
+ */
+export function parseMapping(specs = []) {
+  const mapping = Object.fromEntries(Object.entries(ROSTER_FIELDS).map(([field, { column }]) => [field, column]))
+
+  for (const spec of specs) {
+    for (const pair of spec.split(',')) {
+      const [field, ...rest] = pair.split('=')
+      const column = rest.join('=').trim()
+      if (!ROSTER_FIELDS[field.trim()] || !column) {
+        throw new Error(`Invalid column mapping "${pair}" (expected <field>=<column>, fields: ${Object.keys(ROSTER_FIELDS).join(', ')})`)
+      }
+      mapping[field.trim()] = column
+    }
+  }
+  return mapping
+}
+
+/**
+ * Check that every mapped column of a required field exists in the roster
+ */
+export function checkColumns(columns, mapping) {
+  const byName = new Set(columns.map(column => column.toLowerCase()))
+  return Object.entries(ROSTER_FIELDS)
+    .filter(([field, { required }]) => required && !byName.has(mapping[field].toLowerCase()))
+    .map(([field]) => `Column "${mapping[field]}" (${field}) not found in roster`)
+}
+
+// Column lookup ignores case, so "Student ID" and "student id" both match
+function readColumn(values, column) {
+  const key = Object.keys(values).find(k => k.toLowerCase() === column.toLowerCase())
+  const value = key === undefined ? undefined : values[key]
+  return value === undefined || value === null ? '' : String(value).trim()
+}
+
+/**
+ * Map a roster row to student data and validate it
+ * Returns { student, errors } - student is ready for issueStudentCredential when errors is empty
+ */
+export function mapRosterRow(values, mapping, now = new Date()) {
+  const fields = Object.fromEntries(Object.keys(ROSTER_FIELDS).map(field => [field, readColumn(values, mapping[field])]))
+  const errors = []
+
+  for (const [field, { required }] of Object.entries(ROSTER_FIELDS)) {
+    if (required && !fields[field]) {
+      errors.push(`${field} is required (column "${mapping[field]}")`)
+    }
+  }
+  if (fields.studentId && !STUDENT_ID_PATTERN.test(fields.studentId)) {
+    errors.push(`studentId "${fields.studentId}" must be a student number (digits only)`)
+  }
+
+  let expiryDate = new Date(now.getTime() + DEFAULT_VALIDITY_MS).toISOString()
+  if (fields.expiryDate) {
+    const date = new Date(fields.expiryDate)
+    if (isNaN(date)) {
+      errors.push(`expiryDate "${fields.expiryDate}" is not a date`)
+    } else if (date <= now) {
+      errors.push(`expiryDate "${fields.expiryDate}" is in the past`)
+    } else {
+      expiryDate = date.toISOString()
+    }
+  }
+
+  const student = {
+    studentId: fields.studentId,
+    name: fields.name,
+    title: fields.title,
+    description: fields.description || `${fields.name} is a student of the ${fields.title} program`,
+    dateOfIssue: now.toISOString().split('T')[0],
+    expiryDate
+  }
+  return { student, errors }
+}
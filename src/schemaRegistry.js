@@ -0,0 +1,113 @@
+// src/schemaRegistry.js - JSON Schemas of credential subjects, keyed by credential type
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import Ajv2020 from 'ajv/dist/2020.js'
+import addFormats from 'ajv-formats'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+const SCHEMAS_DIR = path.join(__dirname, 'schemas')
+
+/**
+ * Schema of the credentialSubject for each credential type the university issues or accepts,
+ * bundled under src/schemas. A credential points at its schema through credentialSchema.id;
+ * schemas are never fetched, so an id missing here cannot be validated.
+ */
+export const CREDENTIAL_SCHEMAS = {
+  UniversityCardCredential: 'university-card-v1.json',
+  UniversityDegreeCredential: 'university-degree-v1.json',
+  CourseCompletionCredential: 'course-completion-v1.json',
+  TranscriptCredential: 'transcript-v1.json',
+  EnrollmentStatusCredential: 'enrollment-status-v1.json'
+}
+
+// credentialSchema.type for each data model (VC JSON Schema in 2.0, the credentials/v1 term in 1.1)
+const SCHEMA_TYPES = {
+  '1.1': 'JsonSchemaValidator2018',
+  '2.0': 'JsonSchema'
+}
+
+let registry = null
+
+/**
+ * The bundled schemas, compiled: { byType: Map(type -> schema), byId: Map($id -> validate) }
+ */
+function loadRegistry() {
+  if (registry) {
+    return registry
+  }
+
+  const ajv = new Ajv2020({ allErrors: true })
+  addFormats(ajv)
+  const byType = new Map()
+  const byId = new Map()
+  for (const [type, file] of Object.entries(CREDENTIAL_SCHEMAS)) {
+    const schema = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, file), 'utf-8'))
+    byType.set(type, schema)
+    byId.set(schema.$id, ajv.compile(schema))
+  }
+  registry = { byType, byId }
+  return registry
+}
+
+// One error per field, named by its path in the credential subject
+function fieldErrors(errors) {
+  return (errors || []).map(error => {
+    const at = error.instancePath.slice(1).replace(/\//g, '.')
+    if (error.keyword === 'required') {
+      return { field: [at, error.params.missingProperty].filter(Boolean).join('.'), message: 'is required' }
+    }
+    if (error.keyword === 'additionalProperties') {
+      return { field: [at, error.params.additionalProperty].filter(Boolean).join('.'), message: 'is not allowed' }
+    }
+    return { field: at || '(subject)', message: error.message }
+  })
+}
+
+/**
+ * credentialSchema reference for a credential of this type, or null if the type has no schema
+ */
+export function credentialSchemaFor(type, dataModel = '1.1') {
+  const schema = loadRegistry().byType.get(type)
+  return schema ? { id: schema.$id, type: SCHEMA_TYPES[dataModel] } : null
+}
+
+/**
+ * Validate a credential subject against the schema registered for type
+ * Returns { valid, schemaId, errors } with errors as [{ field, message }]
+ */
+export function validateCredentialSubject(type, subject) {
+  const schema = loadRegistry().byType.get(type)
+  if (!schema) {
+    return { valid: false, schemaId: null, errors: [{ field: '(type)', message: `no schema registered for ${type}` }] }
+  }
+  const validate = loadRegistry().byId.get(schema.$id)
+  const valid = validate(subject)
+  return { valid, schemaId: schema.$id, errors: valid ? [] : fieldErrors(validate.errors) }
+}
+
+/**
+ * Re-validate a decoded credential's subject against the schema its credentialSchema points at
+ * Returns { valid, schemaId, errors } like validateCredentialSubject
+ */
+export function checkCredentialSchema(credential) {
+  const reference = [].concat(credential?.credentialSchema || [])[0]
+  if (!reference?.id) {
+    return { valid: false, schemaId: null, errors: [{ field: 'credentialSchema', message: 'is missing' }] }
+  }
+  const validate = loadRegistry().byId.get(reference.id)
+  if (!validate) {
+    return { valid: false, schemaId: reference.id, errors: [{ field: 'credentialSchema', message: `${reference.id} is not in the schema registry` }] }
+  }
+  const valid = validate(credential.credentialSubject)
+  return { valid, schemaId: reference.id, errors: valid ? [] : fieldErrors(validate.errors) }
+}
+
+/**
+ * Field errors as one line: "name is required; expiryDate must match format "date-time""
+ */
+export function formatSchemaErrors(errors) {
+  return errors.map(({ field, message }) => `${field} ${message}`).join('; ')
+}
@@ -0,0 +1,243 @@
+// src/sdJwt.js - SD-JWT VC: selectively disclosable claims with optional key binding (KB-JWT)
+import crypto from 'crypto'
+import { createJWT, createJWS, decodeJWT, verifyJWT, verifyJWS } from 'did-jwt'
+
+// Media type of the issuer-signed JWT (vc+sd-jwt is the name used by earlier drafts)
+export const SD_JWT_VC_TYPE = 'dc+sd-jwt'
+const ACCEPTED_TYPES = [SD_JWT_VC_TYPE, 'vc+sd-jwt']
+const KB_JWT_TYPE = 'kb+jwt'
+
+// Only hash algorithm this implementation produces or accepts
+const SD_ALG = 'sha-256'
+
+// A key binding JWT older than this is a replay, whatever its nonce
+const KB_MAX_AGE_SECONDS = 300
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url')
+}
+
+// JWS algorithm for a Veramo key type
+function algorithmFor(keyType) {
+  return { Ed25519: 'EdDSA', Secp256r1: 'ES256', Secp256k1: 'ES256K' }[keyType]
+}
+
+/**
+ * Signer for a DID managed by the agent, in the form did-jwt expects
+ */
+export async function didSigner(agent, did) {
+  const identifier = await agent.didManagerGet({ did })
+  const key = identifier.keys.find(k => algorithmFor(k.type))
+  if (!key) {
+    throw new Error(`No signing key for ${did}`)
+  }
+  const alg = algorithmFor(key.type)
+  const signer = data => agent.keyManagerSign({ keyRef: key.kid, data, algorithm: alg })
+  return { signer, alg }
+}
+
+// did-jwt resolves DIDs through the agent's resolver
+function didResolver(agent) {
+  return { resolve: didUrl => agent.resolveDid({ didUrl }) }
+}
+
+/**
+ * Verification method a holder signs key binding JWTs with (first authentication key)
+ */
+export async function authenticationMethod(agent, did) {
+  const { didDocument } = await agent.resolveDid({ didUrl: did })
+  const reference = didDocument?.authentication?.[0]
+  const id = typeof reference === 'string' ? reference : reference?.id
+  const method = didDocument?.verificationMethod?.find(m => m.id === id || `${did}${m.id}` === id) ||
+    (typeof reference === 'object' ? reference : null)
+  if (!method) {
+    throw new Error(`${did} has no authentication key`)
+  }
+  return { ...method, id: method.id.startsWith('#') ? `${did}${method.id}` : method.id }
+}
+
+/**
+ * A disclosure for one claim: base64url of [salt, name, value], referenced from the JWT by its digest
+ */
+export function createDisclosure(name, value) {
+  const salt = crypto.randomBytes(16).toString('base64url')
+  const disclosure = Buffer.from(JSON.stringify([salt, name, value])).toString('base64url')
+  return { salt, name, value, disclosure, digest: digest(disclosure) }
+}
+
+function decodeDisclosure(disclosure) {
+  let decoded
+  try {
+    decoded = JSON.parse(Buffer.from(disclosure, 'base64url').toString('utf-8'))
+  } catch (error) {
+    throw new Error('Disclosure is not base64url JSON')
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'string') {
+    throw new Error('Disclosure must be [salt, claim name, value]')
+  }
+  const [salt, name, value] = decoded
+  return { salt, name, value, disclosure, digest: digest(disclosure) }
+}
+
+export function isSdJwt(value) {
+  return typeof value === 'string' && value.includes('~')
+}
+
+/**
+ * Split a compact SD-JWT: <issuer JWT>~<disclosure>~...~<KB-JWT or empty>
+ */
+export function parseSdJwt(sdJwt) {
+  const parts = sdJwt.trim().split('~')
+  if (parts.length < 2) {
+    throw new Error('Not an SD-JWT (expected <jwt>~<disclosures>~)')
+  }
+  const jwt = parts[0]
+  const kbJwt = parts.at(-1) || null
+  const disclosures = parts.slice(1, -1).map(decodeDisclosure)
+  const { header, payload } = decodeJWT(jwt)
+  return { jwt, header, payload, disclosures, kbJwt }
+}
+
+/**
+ * Issue an SD-JWT signed by issuerDid
+ *   claims      - always visible (vct, sub, exp, ...)
+ *   disclosable - each claim becomes its own disclosure; the JWT only carries salted digests
+ *   holderDid   - binds the SD-JWT to the holder's key (cnf), so presentations need a KB-JWT
+ * Returns { sdJwt, jwt, disclosures } where sdJwt carries every disclosure (the holder's copy)
+ */
+export async function issueSdJwt(agent, issuerDid, { claims, disclosable = {}, holderDid = null }) {
+  const disclosures = Object.entries(disclosable)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => createDisclosure(name, value))
+
+  const payload = {
+    ...claims,
+    _sd: disclosures.map(d => d.digest).sort(),
+    _sd_alg: SD_ALG
+  }
+  if (holderDid) {
+    payload.cnf = { kid: (await authenticationMethod(agent, holderDid)).id }
+  }
+
+  const { signer, alg } = await didSigner(agent, issuerDid)
+  const jwt = await createJWT(payload, { issuer: issuerDid, signer }, { typ: SD_JWT_VC_TYPE, alg })
+  const sdJwt = `${jwt}~${disclosures.map(d => `${d.disclosure}~`).join('')}`
+  return { sdJwt, jwt, disclosures }
+}
+
+/**
+ * Holder side: keep only the disclosures named in disclose, and with nonce and audience
+ * append a KB-JWT signed by holderDid (the key in the SD-JWT's cnf)
+ */
+export async function presentSdJwt(agent, sdJwt, { disclose = [], holderDid, nonce, audience } = {}) {
+  const { jwt, payload, disclosures } = parseSdJwt(sdJwt)
+
+  const available = disclosures.map(d => d.name)
+  const unknown = disclose.filter(name => !available.includes(name))
+  if (unknown.length > 0) {
+    throw new Error(`Not disclosable: ${unknown.join(', ')} (available: ${available.join(', ')})`)
+  }
+
+  const selected = disclosures.filter(d => disclose.includes(d.name))
+  const presented = `${jwt}~${selected.map(d => `${d.disclosure}~`).join('')}`
+
+  if (!nonce && !audience) {
+    return presented
+  }
+  if (!nonce || !audience) {
+    throw new Error('Key binding needs both the verifier\'s nonce and audience')
+  }
+  if (!payload.cnf?.kid) {
+    throw new Error('SD-JWT is not bound to a holder key; present it without key binding')
+  }
+  if (holderDid && !payload.cnf.kid.startsWith(`${holderDid}#`)) {
+    throw new Error(`SD-JWT is bound to ${payload.cnf.kid}, not ${holderDid}`)
+  }
+
+  const { signer, alg } = await didSigner(agent, payload.cnf.kid.split('#')[0])
+  const kbJwt = await createJWS({
+    iat: Math.floor(Date.now() / 1000),
+    aud: audience,
+    nonce,
+    sd_hash: digest(presented)
+  }, signer, { typ: KB_JWT_TYPE, alg })
+  return `${presented}${kbJwt}`
+}
+
+/**
+ * Check an SD-JWT (issuer signature, every disclosure and any KB-JWT)
+ * Expiry is not enforced here: the caller decides what an expired credential means
+ * Returns { issuer, header, payload, claims, disclosed, undisclosed, holder, keyBinding }
+ *   claims     - visible claims plus the disclosed ones, without _sd, _sd_alg and cnf
+ *   disclosed  - names of the disclosed claims
+ *   keyBinding - null, or { nonce, aud, iat } of a verified KB-JWT
+ * Throws on any invalid signature or disclosure
+ */
+export async function verifySdJwt(agent, sdJwt) {
+  const { jwt, header, payload, disclosures, kbJwt } = parseSdJwt(sdJwt)
+
+  if (!ACCEPTED_TYPES.includes(header.typ)) {
+    throw new Error(`Unexpected SD-JWT type: ${header.typ}`)
+  }
+  if (payload._sd_alg && payload._sd_alg !== SD_ALG) {
+    throw new Error(`Unsupported disclosure hash algorithm: ${payload._sd_alg}`)
+  }
+
+  // Issuer signature; aud and exp are the caller's business
+  await verifyJWT(jwt, { resolver: didResolver(agent), policies: { aud: false, exp: false } })
+
+  const digests = new Set(payload._sd || [])
+  const seen = new Set()
+  const claims = {}
+  for (const d of disclosures) {
+    if (!digests.has(d.digest)) {
+      throw new Error(`Disclosure for "${d.name}" is not part of the signed SD-JWT`)
+    }
+    if (seen.has(d.digest)) {
+      throw new Error(`Disclosure for "${d.name}" appears twice`)
+    }
+    if (d.name in payload || d.name.startsWith('_sd')) {
+      throw new Error(`Disclosure for "${d.name}" would overwrite a signed claim`)
+    }
+    seen.add(d.digest)
+    claims[d.name] = d.value
+  }
+
+  let keyBinding = null
+  if (kbJwt) {
+    if (!payload.cnf?.kid) {
+      throw new Error('KB-JWT present but the SD-JWT is not bound to a holder key')
+    }
+    const { header: kbHeader, payload: kb } = decodeJWT(kbJwt)
+    if (kbHeader.typ !== KB_JWT_TYPE) {
+      throw new Error(`Unexpected KB-JWT type: ${kbHeader.typ}`)
+    }
+    const holder = payload.cnf.kid.split('#')[0]
+    const method = await authenticationMethod(agent, holder)
+    if (method.id !== payload.cnf.kid) {
+      throw new Error(`Holder key ${payload.cnf.kid} is not an authentication key of ${holder}`)
+    }
+    verifyJWS(kbJwt, method)
+
+    if (kb.sd_hash !== digest(sdJwt.trim().slice(0, -kbJwt.length))) {
+      throw new Error('KB-JWT does not cover this SD-JWT and its disclosures (sd_hash mismatch)')
+    }
+    const age = Math.floor(Date.now() / 1000) - kb.iat
+    if (!(age >= -60 && age <= KB_MAX_AGE_SECONDS)) {
+      throw new Error(`KB-JWT issued at ${kb.iat} is not fresh`)
+    }
+    keyBinding = { nonce: kb.nonce, aud: kb.aud, iat: kb.iat }
+  }
+
+  const { _sd, _sd_alg, cnf, ...visible } = payload
+  return {
+    issuer: payload.iss,
+    header,
+    payload,
+    claims: { ...visible, ...claims },
+    disclosed: Object.keys(claims),
+    undisclosed: digests.size - seen.size,
+    holder: cnf?.kid ? cnf.kid.split('#')[0] : null,
+    keyBinding
+  }
+}
@@ -0,0 +1,290 @@
+// src/sqliteRepository.js - Embedded SQLite credential repository (sql.js, no native build)
+import fs from 'fs'
+import path from 'path'
+import initSqlJs from 'sql.js'
+import { CredentialRepository, normalizeFilter, withFileLock, credentialProgram } from './credentialRepository.js'
+import { credentialValidUntil } from './dataModel.js'
+import { STORAGE_DIR } from './storageDir.js'
+
+const DEFAULT_DB_FILE = path.join(STORAGE_DIR, 'credentials.db')
+
+const SCHEMA_VERSION = 2
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS credentials (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    student_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    program TEXT,
+    issued_at TEXT NOT NULL,
+    expiration_date TEXT,
+    holder_did TEXT,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS credentials_student ON credentials (student_id);
+  CREATE INDEX IF NOT EXISTS credentials_status ON credentials (status, expiration_date);
+  CREATE INDEX IF NOT EXISTS credentials_program ON credentials (program);
+  CREATE INDEX IF NOT EXISTS credentials_issued ON credentials (issued_at);
+  CREATE INDEX IF NOT EXISTS credentials_holder ON credentials (holder_did);
+`
+
+// Upgrades from each older schema version to the next
+const MIGRATIONS = {
+  // 1 -> 2: holder DID column, filled in from the stored records
+  1: db => {
+    db.run('ALTER TABLE credentials ADD COLUMN holder_did TEXT')
+    db.run(`UPDATE credentials SET holder_did = json_extract(record, '$.holderDid')`)
+    db.run('CREATE INDEX IF NOT EXISTS credentials_holder ON credentials (holder_did)')
+  }
+}
+
+let sqlPromise = null
+
+function loadSql() {
+  if (!sqlPromise) {
+    sqlPromise = initSqlJs()
+  }
+  return sqlPromise
+}
+
+// Columns the queries filter on, kept next to the full record JSON
+function toRow(record) {
+  const expirationDate = credentialValidUntil(record.credential)
+  return {
+    ':id': record.id,
+    ':student_id': record.studentId,
+    ':status': record.status,
+    ':program': credentialProgram(record.credential)?.toLowerCase() ?? null,
+    ':issued_at': record.issuedAt,
+    ':expiration_date': expirationDate ? new Date(expirationDate).toISOString() : null,
+    ':holder_did': record.holderDid ?? null,
+    ':record': JSON.stringify(record)
+  }
+}
+
+function schemaVersion(db) {
+  return db.exec('PRAGMA user_version')[0].values[0][0]
+}
+
+function selectRecords(db, sql, params = {}) {
+  const statement = db.prepare(sql)
+  statement.bind(params)
+  const records = []
+  while (statement.step()) {
+    records.push(JSON.parse(statement.getAsObject().record))
+  }
+  statement.free()
+  return records
+}
+
+/**
+ * Credential records in a single SQLite database file (.storage/credentials.db)
+ * sql.js keeps the database in memory, so every call opens the current file and
+ * every write runs in a transaction under a lock file and replaces the file atomically
+ */
+export class SqliteCredentialRepository extends CredentialRepository {
+  constructor({ filepath = DEFAULT_DB_FILE, importFrom = null } = {}) {
+    super()
+    this.filepath = filepath
+    this.lockPath = `${filepath}.lock`
+    this.importFrom = importFrom
+  }
+
+  async open() {
+    const SQL = await loadSql()
+    if (fs.existsSync(this.filepath)) {
+      const db = new SQL.Database(fs.readFileSync(this.filepath))
+      if (schemaVersion(db) >= SCHEMA_VERSION) {
+        return db
+      }
+      db.close()
+    }
+
+    // New or older database: create or upgrade the schema (and import any records from importFrom)
+    return withFileLock(this.lockPath, async () => {
+      if (fs.existsSync(this.filepath)) {
+        const db = new SQL.Database(fs.readFileSync(this.filepath))
+        if (schemaVersion(db) < SCHEMA_VERSION) {
+          this.migrate(db)
+        }
+        return db
+      }
+
+      const db = new SQL.Database()
+      db.run(SCHEMA)
+      db.run(`PRAGMA user_version = ${SCHEMA_VERSION}`)
+      if (this.importFrom) {
+        for (const record of await this.importFrom.query()) {
+          this.insert(db, record)
+        }
+      }
+      this.persist(db)
+      return db
+    })
+  }
+
+  migrate(db) {
+    db.run('BEGIN')
+    for (let version = schemaVersion(db); version < SCHEMA_VERSION; version++) {
+      MIGRATIONS[version](db)
+    }
+    db.run(`PRAGMA user_version = ${SCHEMA_VERSION}`)
+    db.run('COMMIT')
+    this.persist(db)
+  }
+
+  persist(db) {
+    fs.mkdirSync(path.dirname(this.filepath), { recursive: true })
+    const tmpPath = `${this.filepath}.tmp`
+    fs.writeFileSync(tmpPath, Buffer.from(db.export()), { mode: 0o600 })
+    fs.renameSync(tmpPath, this.filepath)
+  }
+
+  insert(db, record) {
+    db.run(`
+      INSERT INTO credentials (id, student_id, status, program, issued_at, expiration_date, holder_did, record)
+      VALUES (:id, :student_id, :status, :program, :issued_at, :expiration_date, :holder_did, :record)
+    `, toRow(record))
+  }
+
+  async read(fn) {
+    const db = await this.open()
+    try {
+      return fn(db)
+    } finally {
+      db.close()
+    }
+  }
+
+  // Run fn in a transaction and write the database back only if it commits
+  async transaction(fn) {
+    // Make sure the file exists (and any import has run) before taking the lock
+    await this.read(() => null)
+    return withFileLock(this.lockPath, async () => {
+      const SQL = await loadSql()
+      const db = new SQL.Database(fs.readFileSync(this.filepath))
+      try {
+        db.run('BEGIN')
+        const result = fn(db)
+        db.run('COMMIT')
+        this.persist(db)
+        return result
+      } catch (error) {
+        if (db.getAutocommit() === false) {
+          db.run('ROLLBACK')
+        }
+        throw error
+      } finally {
+        db.close()
+      }
+    })
+  }
+
+  async save(record) {
+    await this.transaction(db => this.insert(db, record))
+    return `${this.filepath}#${record.id}`
+  }
+
+  async get(credentialId) {
+    return this.read(db => selectRecords(db, 'SELECT record FROM credentials WHERE id = :id', { ':id': credentialId })[0] || null)
+  }
+
+  async listForStudent(studentId) {
+    return this.read(db => selectRecords(db, 'SELECT record FROM credentials WHERE student_id = :student_id ORDER BY seq', { ':student_id': studentId }))
+  }
+
+  async query(filter = {}) {
+    const f = normalizeFilter(filter)
+    const where = []
+    const params = {}
+
+    if (f.studentId) {
+      where.push('student_id = :student_id')
+      params[':student_id'] = f.studentId
+    }
+    if (f.holderDid) {
+      where.push('holder_did = :holder_did')
+      params[':holder_did'] = f.holderDid
+    }
+    if (f.status === 'expired') {
+      where.push(`status = 'active' AND expiration_date < :now`)
+    } else if (f.status === 'active') {
+      where.push(`status = 'active' AND (expiration_date IS NULL OR expiration_date >= :now)`)
+    } else if (f.status) {
+      where.push('status = :status')
+      params[':status'] = f.status
+    }
+    if (f.program) {
+      where.push('program = :program')
+      params[':program'] = f.program
+    }
+    if (f.type) {
+      where.push(`EXISTS (SELECT 1 FROM json_each(record, '$.credential.type') WHERE value = :type)`)
+      params[':type'] = f.type
+    }
+    if (f.issuedAfter) {
+      where.push('issued_at >= :issued_after')
+      params[':issued_after'] = f.issuedAfter
+    }
+    if (f.issuedBefore) {
+      where.push('issued_at < :issued_before')
+      params[':issued_before'] = f.issuedBefore
+    }
+    if (f.expiresBefore) {
+      where.push('expiration_date >= :now AND expiration_date < :expires_before')
+      params[':expires_before'] = f.expiresBefore
+    }
+    if (where.some(clause => clause.includes(':now'))) {
+      params[':now'] = f.now
+    }
+
+    let sql = 'SELECT record FROM credentials'
+    if (where.length > 0) {
+      sql += ` WHERE ${where.map(clause => `(${clause})`).join(' AND ')}`
+    }
+    sql += ' ORDER BY issued_at, seq'
+    if (f.limit !== undefined) {
+      sql += ' LIMIT :limit OFFSET :offset'
+      params[':limit'] = f.limit
+      params[':offset'] = f.offset
+    } else if (f.offset) {
+      sql += ' LIMIT -1 OFFSET :offset'
+      params[':offset'] = f.offset
+    }
+
+    return this.read(db => selectRecords(db, sql, params))
+  }
+
+  async updateStatus(credentialId, status, transition = null) {
+    return this.transaction(db => {
+      const record = selectRecords(db, 'SELECT record FROM credentials WHERE id = :id', { ':id': credentialId })[0]
+      if (!record) return false
+
+      record.status = status
+      record.statusUpdatedAt = new Date().toISOString()
+      if (transition) {
+        record.statusHistory = [...(record.statusHistory || []), transition]
+      }
+      db.run('UPDATE credentials SET status = :status, record = :record WHERE id = :id', {
+        ':id': credentialId,
+        ':status': status,
+        ':record': JSON.stringify(record)
+      })
+      return true
+    })
+  }
+
+  async update(credentialId, fields) {
+    return this.transaction(db => {
+      const record = selectRecords(db, 'SELECT record FROM credentials WHERE id = :id', { ':id': credentialId })[0]
+      if (!record) return false
+
+      db.run(`
+        UPDATE credentials SET student_id = :student_id, status = :status, program = :program,
+          issued_at = :issued_at, expiration_date = :expiration_date, holder_did = :holder_did, record = :record
+        WHERE id = :id
+      `, toRow({ ...record, ...fields }))
+      return true
+    })
+  }
+}
@@ -0,0 +1,287 @@
+// src/statusList.js - W3C Bitstring Status List (revocation / suspension)
+import fs from 'fs'
+import path from 'path'
+import http from 'http'
+import zlib from 'zlib'
+import { fileURLToPath } from 'url'
+import { verifyCredential } from 'did-jwt-vc'
+import { DID_WEB_DIR } from './didWeb.js'
+import { withFileLock } from './credentialRepository.js'
+import { STORAGE_DIR } from './storageDir.js'
+
+const STATUS_DIR = path.join(STORAGE_DIR, 'status')
+const LISTS_FILE = path.join(STATUS_DIR, 'lists.json')
+// Held while lists.json is read, changed and written back (and the changed list re-published)
+const LOCK_FILE = path.join(STATUS_DIR, 'lists.lock')
+
+// Where the signed lists are published (served by `node issue.js status-server`)
+export const STATUS_LIST_BASE_URL = process.env.STATUS_LIST_BASE_URL || 'http://localhost:8787/status'
+
+// Minimum list length from the spec, so a single list does not leak how many credentials exist
+const LIST_LENGTH = 131072
+
+// One 2-bit status message per credential (statusPurpose 'message')
+const STATUS_SIZE = 2
+export const STATUS_MESSAGES = [
+  { status: '0x0', message: 'active' },
+  { status: '0x1', message: 'suspended' },
+  { status: '0x2', message: 'revoked' }
+]
+
+// Placeholder status type written by releases before status lists existed
+export const LEGACY_STATUS_TYPE = 'StudentCredentialStatusList2025'
+
+/**
+ * Encode a bitstring as the spec's encodedList: GZIP, then multibase base64url ('u' prefix)
+ */
+export function encodeBitstring(bitstring) {
+  return 'u' + zlib.gzipSync(bitstring).toString('base64url')
+}
+
+export function decodeBitstring(encodedList) {
+  if (!encodedList.startsWith('u')) {
+    throw new Error('encodedList must be multibase base64url (u prefix)')
+  }
+  return zlib.gunzipSync(Buffer.from(encodedList.slice(1), 'base64url'))
+}
+
+// Index 0 is the left-most (most significant) bit of the first byte
+export function getStatusValue(bitstring, index, size = 1) {
+  let value = 0
+  for (let i = 0; i < size; i++) {
+    const bit = index * size + i
+    value = (value << 1) | ((bitstring[bit >> 3] >> (7 - (bit & 7))) & 1)
+  }
+  return value
+}
+
+export function setStatusValue(bitstring, index, value, size = 1) {
+  for (let i = 0; i < size; i++) {
+    const bit = index * size + i
+    const on = (value >> (size - 1 - i)) & 1
+    if (on) {
+      bitstring[bit >> 3] |= 1 << (7 - (bit & 7))
+    } else {
+      bitstring[bit >> 3] &= ~(1 << (7 - (bit & 7)))
+    }
+  }
+}
+
+function loadLists() {
+  if (fs.existsSync(LISTS_FILE)) {
+    return JSON.parse(fs.readFileSync(LISTS_FILE, 'utf-8'))
+  }
+  return { lists: {} }
+}
+
+function saveLists(state) {
+  fs.mkdirSync(STATUS_DIR, { recursive: true })
+  const tmpPath = `${LISTS_FILE}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2))
+  fs.renameSync(tmpPath, LISTS_FILE)
+}
+
+function publishedPath(listId) {
+  return path.join(STATUS_DIR, `${listId}.jwt`)
+}
+
+/**
+ * Sign the list as a BitstringStatusListCredential and write it to .storage/status/<listId>.jwt
+ */
+async function publishStatusList(agent, list) {
+  const credential = {
+    '@context': [
+      'https://www.w3.org/2018/credentials/v1',
+      'https://www.w3.org/2018/credentials/examples/v1'
+    ],
+    id: list.id,
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    issuer: { id: list.issuer },
+    issuanceDate: new Date().toISOString(),
+    credentialSubject: {
+      id: `${list.id}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: 'message',
+      statusSize: STATUS_SIZE,
+      statusMessage: STATUS_MESSAGES,
+      encodedList: list.encodedList
+    }
+  }
+
+  const vc = await agent.createVerifiableCredential({
+    credential,
+    proofFormat: 'jwt',
+    save: false
+  })
+
+  fs.mkdirSync(STATUS_DIR, { recursive: true })
+  fs.writeFileSync(publishedPath(list.listId), vc.proof.jwt)
+  return vc
+}
+
+/**
+ * Reserve a status list index for a new credential and return its credentialStatus entry
+ * Each issuer DID gets its own lists, so a list is always signed by the key that signed its credentials
+ */
+export async function allocateStatusEntry(agent, issuer) {
+  const { list, index } = await withFileLock(LOCK_FILE, async () => {
+    const state = loadLists()
+
+    let list = Object.values(state.lists).find(l => l.issuer === issuer.did && l.nextIndex < LIST_LENGTH)
+    if (!list) {
+      const listId = `list-${Object.keys(state.lists).length + 1}`
+      list = {
+        listId,
+        id: `${STATUS_LIST_BASE_URL}/${listId}`,
+        issuer: issuer.did,
+        nextIndex: 0,
+        encodedList: encodeBitstring(Buffer.alloc(LIST_LENGTH * STATUS_SIZE / 8))
+      }
+      state.lists[listId] = list
+    }
+
+    // Sequential allocation; entries start at 0x0 (active) so the published list needs no update
+    const index = list.nextIndex
+    list.nextIndex += 1
+    saveLists(state)
+
+    if (!fs.existsSync(publishedPath(list.listId))) {
+      await publishStatusList(agent, list)
+    }
+    return { list, index }
+  })
+
+  return {
+    id: `${list.id}#${index}`,
+    type: 'BitstringStatusListEntry',
+    statusPurpose: 'message',
+    statusListIndex: String(index),
+    statusListCredential: list.id,
+    statusSize: STATUS_SIZE,
+    statusMessage: STATUS_MESSAGES
+  }
+}
+
+/**
+ * Set the status of a credential in its list and re-sign the published list
+ * status is one of 'active', 'suspended', 'revoked'
+ */
+export async function setCredentialStatus(agent, credentialStatus, status) {
+  const value = STATUS_MESSAGES.findIndex(m => m.message === status)
+  if (value < 0) {
+    throw new Error(`Unknown status: ${status}`)
+  }
+  if (credentialStatus?.type !== 'BitstringStatusListEntry') {
+    throw new Error('Credential has no Bitstring Status List entry (issued before status lists were enabled)')
+  }
+
+  return withFileLock(LOCK_FILE, async () => {
+    const state = loadLists()
+    const list = Object.values(state.lists).find(l => l.id === credentialStatus.statusListCredential)
+    if (!list) {
+      throw new Error(`Status list not found: ${credentialStatus.statusListCredential}`)
+    }
+
+    const bitstring = decodeBitstring(list.encodedList)
+    setStatusValue(bitstring, Number(credentialStatus.statusListIndex), value, STATUS_SIZE)
+    list.encodedList = encodeBitstring(bitstring)
+    list.updatedAt = new Date().toISOString()
+    saveLists(state)
+
+    await publishStatusList(agent, list)
+    return list
+  })
+}
+
+/**
+ * Load a status list credential JWT
+ *   file://...                - read from disk
+ *   http(s)://... we publish  - read our own published copy, no server needed
+ *   http(s)://... otherwise   - fetched
+ */
+export async function fetchStatusListCredential(url) {
+  if (url.startsWith('file://')) {
+    return fs.readFileSync(fileURLToPath(url), 'utf-8').trim()
+  }
+
+  const list = Object.values(loadLists().lists).find(l => l.id === url)
+  if (list && fs.existsSync(publishedPath(list.listId))) {
+    return fs.readFileSync(publishedPath(list.listId), 'utf-8').trim()
+  }
+
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Could not fetch status list ${url}: HTTP ${response.status}`)
+  }
+  return (await response.text()).trim()
+}
+
+/**
+ * Status method for @veramo/credential-status (used by agent.verifyCredential)
+ * Fetches the list, checks its signature and issuer, and reads the credential's entry
+ */
+export function createBitstringStatusListMethod({ resolver, fetchList = fetchStatusListCredential }) {
+  return async (credential) => {
+    const entry = credential.credentialStatus
+    const listJwt = await fetchList(entry.statusListCredential)
+    const { verifiableCredential: list } = await verifyCredential(listJwt, resolver)
+
+    const credentialIssuer = credential.issuer.id || credential.issuer
+    const listIssuer = list.issuer.id || list.issuer
+    if (listIssuer !== credentialIssuer) {
+      return { revoked: true, verified: false, message: `Status list issuer ${listIssuer} does not match credential issuer` }
+    }
+
+    const size = Number(list.credentialSubject.statusSize || 1)
+    const bitstring = decodeBitstring(list.credentialSubject.encodedList)
+    const value = getStatusValue(bitstring, Number(entry.statusListIndex), size)
+    const message = (list.credentialSubject.statusMessage || entry.statusMessage || STATUS_MESSAGES)
+      .find(m => parseInt(m.status, 16) === value)?.message || `0x${value.toString(16)}`
+
+    return {
+      revoked: message === 'revoked',
+      verified: value === 0,
+      status: message,
+      statusListCredential: entry.statusListCredential,
+      statusListIndex: entry.statusListIndex
+    }
+  }
+}
+
+/**
+ * Credentials issued before status lists carry a placeholder entry that no verifier can check
+ * Only the issuer's local record knows their status (see verifyStudentCredential)
+ */
+export async function legacyStatusMethod() {
+  return { revoked: false, message: `${LEGACY_STATUS_TYPE} is not publicly checkable` }
+}
+
+/**
+ * Serve published lists at GET /status/<listId> for third-party verifiers,
+ * and published did:web documents at their paths (/.well-known/did.json, /<path>/did.json)
+ */
+export function startStatusListServer(port = 8787) {
+  const server = http.createServer((req, res) => {
+    const didDocument = req.url.match(/^\/((?:\.well-known|[\w-]+(?:\/[\w-]+)*)\/did\.json)$/)
+    const didDocumentPath = didDocument && path.join(DID_WEB_DIR, didDocument[1])
+    if (req.method === 'GET' && didDocumentPath && fs.existsSync(didDocumentPath)) {
+      res.writeHead(200, { 'Content-Type': 'application/did+json' })
+      res.end(fs.readFileSync(didDocumentPath, 'utf-8'))
+      return
+    }
+
+    const match = req.url.match(/^\/status\/([\w-]+)$/)
+    const filepath = match && publishedPath(match[1])
+
+    if (req.method !== 'GET' || !filepath || !fs.existsSync(filepath)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ error: 'Status list not found' }))
+      return
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/jwt' })
+    res.end(fs.readFileSync(filepath, 'utf-8'))
+  })
+
+  return new Promise(resolve => server.listen(port, () => resolve(server)))
+}
@@ -1,13 +1,11 @@
-// src/storage.js - Persistent key and VC storage
+// src/storage.js - Persistent VC storage
 import fs from 'fs'
 import path from 'path'
-import { fileURLToPath } from 'url'
+import { CredentialRepository, normalizeFilter, matchesFilter, applyPaging, withFileLock } from './credentialRepository.js'
+import { SqliteCredentialRepository } from './sqliteRepository.js'
+import { STUDENT_URN_PREFIX, isDID } from './holderBinding.js'
+import { STORAGE_DIR } from './storageDir.js'
 
-const __filename = fileURLToPath(import.meta.url)
-const __dirname = path.dirname(__filename)
-
-const STORAGE_DIR = path.join(__dirname, '../.storage')
-const ISSUER_KEY_FILE = path.join(STORAGE_DIR, 'issuer-key.json')
 const VCS_DIR = path.join(STORAGE_DIR, 'credentials')
 
 // Ensure storage directories exist
@@ -20,71 +18,240 @@ export function initializeStorage() {
   }
 }
 
-// Save issuer identity
-export function saveIssuerKey(issuerData) {
-  initializeStorage()
-  fs.writeFileSync(ISSUER_KEY_FILE, JSON.stringify(issuerData, null, 2))
+// Credential records are keyed by credential id; this file maps student IDs to their credential ids
+const STUDENT_INDEX_FILE = path.join(STORAGE_DIR, 'credentials-index.json')
+const LOCK_FILE = path.join(STORAGE_DIR, 'credentials.lock')
+// Held by a status change from reading the record to its last write (the repository takes LOCK_FILE inside)
+const STATUS_CHANGE_LOCK_FILE = path.join(STORAGE_DIR, 'status-change.lock')
+
+// Issued credential ids are urn:uuid:...; older releases issued urn:credential:<studentId>-<timestamp>
+const CREDENTIAL_ID_PREFIXES = ['urn:uuid:', 'urn:credential:']
+
+// Credential ids made safe for file names
+function credentialFilepath(credentialId) {
+  return path.join(VCS_DIR, `${credentialId.replace(/[^a-zA-Z0-9._-]/g, '_')}.json`)
 }
 
-// Load issuer identity
-export function loadIssuerKey() {
-  if (fs.existsSync(ISSUER_KEY_FILE)) {
-    const data = fs.readFileSync(ISSUER_KEY_FILE, 'utf-8')
-    return JSON.parse(data)
+// Write to a temp file first so a crash never leaves half a record on disk
+function writeJSONAtomic(filepath, data) {
+  const tmpPath = `${filepath}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2))
+  fs.renameSync(tmpPath, filepath)
+}
+
+function readRecord(credentialId) {
+  const filepath = credentialFilepath(credentialId)
+  if (fs.existsSync(filepath)) {
+    return JSON.parse(fs.readFileSync(filepath, 'utf-8'))
   }
   return null
 }
 
-// Save verifiable credential
-export function saveVC(studentId, vc) {
-  initializeStorage()
-  const filename = `${studentId}.json`
-  const filepath = path.join(VCS_DIR, filename)
+/**
+ * The original layout: one JSON file per credential in .storage/credentials,
+ * plus credentials-index.json mapping student IDs to credential ids
+ * Queries read every record, so large deployments should use the SQLite backend
+ */
+export class JsonFileCredentialRepository extends CredentialRepository {
+  // Load the student index, moving records from the old <studentId>.json layout on first use
+  loadStudentIndex() {
+    initializeStorage()
+    if (fs.existsSync(STUDENT_INDEX_FILE)) {
+      return JSON.parse(fs.readFileSync(STUDENT_INDEX_FILE, 'utf-8'))
+    }
+  
+    const index = {}
+    for (const f of fs.readdirSync(VCS_DIR).filter(f => f.endsWith('.json'))) {
+      const filepath = path.join(VCS_DIR, f)
+      const vcData = JSON.parse(fs.readFileSync(filepath, 'utf-8'))
+      const id = vcData.id || vcData.credential.id
+      const record = { id, ...vcData }
+  
+      index[record.studentId] = [...(index[record.studentId] || []), id]
+      writeJSONAtomic(credentialFilepath(id), record)
+      if (credentialFilepath(id) !== filepath) {
+        fs.unlinkSync(filepath)
+      }
+    }
+    writeJSONAtomic(STUDENT_INDEX_FILE, index)
+    return index
+  }
+
+  async save(record) {
+    return withFileLock(LOCK_FILE, () => {
+      const index = this.loadStudentIndex()
+      writeJSONAtomic(credentialFilepath(record.id), record)
+      index[record.studentId] = [...(index[record.studentId] || []), record.id]
+      writeJSONAtomic(STUDENT_INDEX_FILE, index)
+      return credentialFilepath(record.id)
+    })
+  }
+
+  async get(credentialId) {
+    this.loadStudentIndex()
+    return readRecord(credentialId)
+  }
+
+  async listForStudent(studentId) {
+    const credentialIds = this.loadStudentIndex()[studentId] || []
+    return credentialIds.map(id => readRecord(id)).filter(Boolean)
+  }
+
+  async query(filter = {}) {
+    const normalized = normalizeFilter(filter)
+    const index = this.loadStudentIndex()
+    const credentialIds = normalized.studentId ? index[normalized.studentId] || [] : Object.values(index).flat()
+  
+    const records = credentialIds
+      .map(id => readRecord(id))
+      .filter(record => record && matchesFilter(record, normalized))
+      .sort((a, b) => a.issuedAt.localeCompare(b.issuedAt))
+    return applyPaging(records, normalized)
+  }
+
+  async updateStatus(credentialId, status, transition = null) {
+    return withFileLock(LOCK_FILE, () => {
+      const vcData = readRecord(credentialId)
+      if (!vcData) return false
+      vcData.status = status
+      vcData.statusUpdatedAt = new Date().toISOString()
+      if (transition) {
+        vcData.statusHistory = [...(vcData.statusHistory || []), transition]
+      }
+      writeJSONAtomic(credentialFilepath(credentialId), vcData)
+      return true
+    })
+  }
+
+  async update(credentialId, fields) {
+    return withFileLock(LOCK_FILE, () => {
+      const vcData = readRecord(credentialId)
+      if (!vcData) return false
+      writeJSONAtomic(credentialFilepath(credentialId), { ...vcData, ...fields })
+      return true
+    })
+  }
+}
+
+export const CREDENTIAL_BACKENDS = ['json', 'sqlite']
+
+let defaultRepository = null
+
+/**
+ * Repository used by the CLIs and the issuer service
+ * backend comes from options, then VC_CREDENTIAL_BACKEND, default 'json'
+ */
+export function getCredentialRepository(options = {}) {
+  if (defaultRepository && !options.backend) {
+    return defaultRepository
+  }
   
+  const backend = options.backend || process.env.VC_CREDENTIAL_BACKEND || 'json'
+  let repository
+  if (backend === 'json') {
+    repository = new JsonFileCredentialRepository()
+  } else if (backend === 'sqlite') {
+    repository = new SqliteCredentialRepository({
+      filepath: options.filepath,
+      // An empty database starts from the records of the JSON layout
+      importFrom: new JsonFileCredentialRepository()
+    })
+  } else {
+    throw new Error(`Unknown credential backend: ${backend} (expected ${CREDENTIAL_BACKENDS.join(' or ')})`)
+  }
+  
+  if (!options.backend) {
+    defaultRepository = repository
+  }
+  return repository
+}
+
+// Replace the default repository (e.g. with an in-memory one in a demo)
+export function setCredentialRepository(repository) {
+  defaultRepository = repository
+}
+
+// A key is a credential id (urn:uuid:..., or urn:credential:... from older releases), a student ID, a student urn or a holder DID
+export function isCredentialId(key) {
+  return CREDENTIAL_ID_PREFIXES.some(prefix => String(key).startsWith(prefix))
+}
+
+// Query filter for the credentials a student key (student ID, student urn or holder DID) refers to
+export function studentKeyFilter(key) {
+  if (isDID(key)) {
+    return { holderDid: key }
+  }
+  const studentId = String(key).startsWith(STUDENT_URN_PREFIX) ? String(key).slice(STUDENT_URN_PREFIX.length) : key
+  return { studentId }
+}
+
+// Save verifiable credential (never overwrites an earlier credential for the same student)
+// An SD-JWT VC has no proof: its compact form is passed as extra.jwt
+// A Data Integrity credential carries its proof inline and has no JWT (extra.jwt is null)
+export async function saveVC(studentId, vc, extra = {}) {
   const vcData = {
+    id: vc.id,
     studentId,
     credential: vc,
-    jwt: vc.proof.jwt,
+    jwt: vc.proof?.jwt,
     issuedAt: new Date().toISOString(),
-    status: 'active'
+    status: 'active',
+    ...extra
   }
   
-  fs.writeFileSync(filepath, JSON.stringify(vcData, null, 2))
-  return filepath
+  return getCredentialRepository().save(vcData)
 }
 
-// Load verifiable credential by student ID
-export function loadVC(studentId) {
-  const filename = `${studentId}.json`
-  const filepath = path.join(VCS_DIR, filename)
-  
-  if (fs.existsSync(filepath)) {
-    const data = fs.readFileSync(filepath, 'utf-8')
-    return JSON.parse(data)
+// Template a record was issued from (records from before templates are all student cards)
+export function recordTemplate(record) {
+  return record.template || 'student-card'
+}
+
+// Load a credential by credential id, or the latest credential of a student ID, student urn or holder DID
+// With options.template, the latest one issued from that template
+export async function loadVC(key, options = {}) {
+  const repository = getCredentialRepository()
+  if (isCredentialId(key)) {
+    return repository.get(key)
   }
-  return null
+  const filter = studentKeyFilter(key)
+  if (options.template) {
+    const records = filter.holderDid ? await repository.query(filter) : await repository.listForStudent(filter.studentId)
+    return records.filter(record => recordTemplate(record) === options.template).at(-1) || null
+  }
+  return filter.holderDid
+    ? (await repository.query(filter)).at(-1) || null
+    : repository.latestForStudent(filter.studentId)
+}
+
+// All credentials ever issued to a student, oldest first
+export async function loadStudentVCs(studentId) {
+  return getCredentialRepository().listForStudent(studentId)
 }
 
 // List all credentials
-export function listAllVCs() {
-  initializeStorage()
-  const files = fs.readdirSync(VCS_DIR).filter(f => f.endsWith('.json'))
-  return files.map(f => {
-    const data = fs.readFileSync(path.join(VCS_DIR, f), 'utf-8')
-    return JSON.parse(data)
-  })
-}
-
-// Update credential status
-export function updateVCStatus(studentId, status) {
-  const vcData = loadVC(studentId)
-  if (vcData) {
-    vcData.status = status
-    vcData.statusUpdatedAt = new Date().toISOString()
-    const filename = `${studentId}.json`
-    const filepath = path.join(VCS_DIR, filename)
-    fs.writeFileSync(filepath, JSON.stringify(vcData, null, 2))
-    return true
-  }
-  return false
+export async function listAllVCs() {
+  return getCredentialRepository().query()
+}
+
+// Credentials matching a filter (studentId, holderDid, status, program, type, issuedAfter, issuedBefore, expiringWithin, limit, offset)
+export async function queryVCs(filter = {}) {
+  return getCredentialRepository().query(filter)
+}
+
+// Update credential status (by credential id or student ID), appending the transition to its history
+export async function updateVCStatus(key, status, transition = null) {
+  const vcData = await loadVC(key)
+  return vcData ? getCredentialRepository().updateStatus(vcData.id, status, transition) : false
+}
+
+// Run fn while no other status change can run, so the transition it checks is still the one it writes
+export function withStatusChangeLock(fn) {
+  return withFileLock(STATUS_CHANGE_LOCK_FILE, fn)
+}
+
+// Record fields other than status (e.g. supersededBy)
+export async function updateVCRecord(key, fields) {
+  const vcData = await loadVC(key)
+  return vcData ? getCredentialRepository().update(vcData.id, fields) : false
 }
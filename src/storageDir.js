@@ -0,0 +1,11 @@
+// src/storageDir.js - Root of everything the service keeps on disk
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+// .storage next to the sources, unless VC_STORAGE_DIR points elsewhere (test.js runs in a temporary one)
+export const STORAGE_DIR = process.env.VC_STORAGE_DIR
+  ? path.resolve(process.env.VC_STORAGE_DIR)
+  : path.join(__dirname, '../.storage')
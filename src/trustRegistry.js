@@ -0,0 +1,182 @@
+// src/trustRegistry.js - Trusted issuer registry: trust lists signed by an accreditation authority
+import fs from 'fs'
+import path from 'path'
+import { createJWT, decodeJWT, verifyJWT } from 'did-jwt'
+import { didSigner } from './sdJwt.js'
+import { credentialVct } from './issuerProfile.js'
+import { STORAGE_DIR } from './storageDir.js'
+
+// Trust list verifiers read by default (VC_TRUST_LIST overrides)
+export const TRUST_LIST_FILE = path.join(STORAGE_DIR, 'trust/trust-list.json')
+
+export const TRUST_LIST_TYPE = 'IssuerTrustList'
+
+// Media type of the JWT an accreditation authority signs each entry with
+const TRUST_ENTRY_JWT_TYPE = 'trust-entry+jwt'
+
+// What an entry asserts, in the order it is signed and compared
+function entryClaims({ issuer, name, credentialTypes, validFrom, validUntil }) {
+  return { issuer, name, credentialTypes, validFrom, validUntil }
+}
+
+function checkEntryShape(entry) {
+  if (typeof entry.issuer !== 'string' || !entry.issuer.startsWith('did:')) {
+    throw new Error(`Trust list entry needs an issuer DID, got ${entry.issuer}`)
+  }
+  if (!Array.isArray(entry.credentialTypes) || entry.credentialTypes.length === 0) {
+    throw new Error(`Trust list entry for ${entry.issuer} needs at least one credential type`)
+  }
+  for (const field of ['validFrom', 'validUntil']) {
+    if (Number.isNaN(Date.parse(entry[field]))) {
+      throw new Error(`Trust list entry for ${entry.issuer} needs ${field} as an ISO date, got ${entry[field]}`)
+    }
+  }
+  if (Date.parse(entry.validUntil) <= Date.parse(entry.validFrom)) {
+    throw new Error(`Trust list entry for ${entry.issuer} ends (${entry.validUntil}) before it starts (${entry.validFrom})`)
+  }
+}
+
+/**
+ * An empty trust list published by the accreditation authority DID authority
+ */
+export function createTrustList(authority, { name = 'Accredited credential issuers' } = {}) {
+  return { type: TRUST_LIST_TYPE, version: 1, authority, name, entries: [] }
+}
+
+/**
+ * Accredit an issuer: the entry { issuer, name, credentialTypes, validFrom, validUntil } with the
+ * authority's signature, a JWT over those claims signed by an agent-managed authority DID
+ */
+export async function signTrustListEntry(agent, authority, entry) {
+  const claims = entryClaims({
+    ...entry,
+    validFrom: entry.validFrom && new Date(entry.validFrom).toISOString(),
+    validUntil: entry.validUntil && new Date(entry.validUntil).toISOString()
+  })
+  checkEntryShape(claims)
+
+  const { signer, alg } = await didSigner(agent, authority)
+  const signature = await createJWT(claims, { issuer: authority, signer }, { typ: TRUST_ENTRY_JWT_TYPE, alg })
+  return { ...claims, signature }
+}
+
+/**
+ * Add a signed entry to a trust list, replacing any entry for the same issuer
+ */
+export function setTrustListEntry(list, entry) {
+  const signedBy = decodeJWT(entry.signature).payload.iss
+  if (signedBy !== list.authority) {
+    throw new Error(`Entry for ${entry.issuer} is signed by ${signedBy}, not the list's authority ${list.authority}`)
+  }
+  list.entries = [...list.entries.filter(e => e.issuer !== entry.issuer), entry]
+  return list
+}
+
+/**
+ * Drop the entry of an issuer; returns whether there was one
+ */
+export function removeTrustListEntry(list, issuer) {
+  const count = list.entries.length
+  list.entries = list.entries.filter(e => e.issuer !== issuer)
+  return list.entries.length < count
+}
+
+export function readTrustList(file = process.env.VC_TRUST_LIST || TRUST_LIST_FILE) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`No trust list at ${file} (set VC_TRUST_LIST to the list published by your accreditation authority)`)
+  }
+  const list = JSON.parse(fs.readFileSync(file, 'utf-8'))
+  if (list.type !== TRUST_LIST_TYPE || !Array.isArray(list.entries)) {
+    throw new Error(`Not an ${TRUST_LIST_TYPE}: ${file}`)
+  }
+  return list
+}
+
+export function writeTrustList(list, file = process.env.VC_TRUST_LIST || TRUST_LIST_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(list, null, 2) + '\n')
+  return file
+}
+
+// Accreditation authorities a verifier accepts trust lists from (comma-separated DIDs)
+function configuredAuthorities() {
+  return (process.env.VC_TRUST_AUTHORITY || '').split(',').map(did => did.trim()).filter(Boolean)
+}
+
+/**
+ * Check a trust list against the accreditation authorities the verifier accepts
+ * Every entry's signature is verified; entries that fail are returned in rejected, never trusted
+ * Returns the registry { authority, name, entries, rejected }
+ */
+export async function verifyTrustList(agent, list, { authorities = configuredAuthorities() } = {}) {
+  if (authorities.length === 0) {
+    throw new Error('No accreditation authority configured (set VC_TRUST_AUTHORITY to its DID)')
+  }
+  if (!authorities.includes(list.authority)) {
+    throw new Error(`Trust list is published by ${list.authority}, which is not an accepted accreditation authority`)
+  }
+
+  const resolver = { resolve: didUrl => agent.resolveDid({ didUrl }) }
+  const entries = []
+  const rejected = []
+  for (const entry of list.entries) {
+    try {
+      const { header } = decodeJWT(entry.signature)
+      if (header.typ !== TRUST_ENTRY_JWT_TYPE) {
+        throw new Error(`unexpected signature type ${header.typ}`)
+      }
+      const { payload, issuer } = await verifyJWT(entry.signature, { resolver, proofPurpose: 'assertionMethod' })
+      if (issuer !== list.authority) {
+        throw new Error(`signed by ${issuer}, not ${list.authority}`)
+      }
+      if (JSON.stringify(entryClaims(payload)) !== JSON.stringify(entryClaims(entry))) {
+        throw new Error('entry differs from what the authority signed')
+      }
+      entries.push(entryClaims(entry))
+    } catch (error) {
+      rejected.push({ issuer: entry.issuer, reason: error.message })
+    }
+  }
+  return { authority: list.authority, name: list.name, entries, rejected }
+}
+
+/**
+ * Read and verify the verifier's trust list
+ *   file        - VC_TRUST_LIST, else .storage/trust/trust-list.json
+ *   authorities - DIDs of the accepted accreditation authorities (VC_TRUST_AUTHORITY)
+ */
+export async function loadTrustRegistry(agent, { file = process.env.VC_TRUST_LIST || TRUST_LIST_FILE, authorities } = {}) {
+  return { file, ...(await verifyTrustList(agent, readTrustList(file), { authorities })) }
+}
+
+/**
+ * Whether the registry accredits issuer for every one of types (credential types, or the vct of an
+ * SD-JWT VC) now, the time of verification: an accreditation that has ended or not yet begun trusts
+ * nothing, even credentials issued while it was current. The credential must also not be issued
+ * (issuedAt) before the accreditation began
+ * Returns { trusted, entry, reason }
+ */
+export function checkIssuerTrust(registry, { issuer, types = [], issuedAt = new Date().toISOString(), now = new Date() }) {
+  const entry = registry.entries.find(e => e.issuer === issuer)
+  if (!entry) {
+    const rejected = registry.rejected.find(e => e.issuer === issuer)
+    return { trusted: false, entry: null, reason: rejected ? `Issuer trust list entry rejected: ${rejected.reason}` : 'Issuer not on the trust list' }
+  }
+
+  const notAccredited = types
+    .filter(type => type !== 'VerifiableCredential')
+    .filter(type => !entry.credentialTypes.some(allowed => allowed === type || credentialVct(allowed) === type))
+  if (notAccredited.length > 0) {
+    return { trusted: false, entry, reason: `Issuer is not accredited for ${notAccredited.join(', ')}` }
+  }
+
+  const validFrom = Date.parse(entry.validFrom)
+  const validUntil = Date.parse(entry.validUntil)
+  if (!(now.getTime() >= validFrom && now.getTime() <= validUntil)) {
+    return { trusted: false, entry, reason: `Issuer is not accredited now (accredited ${entry.validFrom} to ${entry.validUntil})` }
+  }
+  if (!(Date.parse(issuedAt) >= validFrom)) {
+    return { trusted: false, entry, reason: `Credential was issued on ${issuedAt}, before the issuer was accredited (from ${entry.validFrom})` }
+  }
+  return { trusted: true, entry, reason: 'Issuer is accredited' }
+}
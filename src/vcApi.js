@@ -0,0 +1,506 @@
+// src/vcApi.js - HTTP issuer/verifier service, modeled on the W3C VC-API, with OID4VCI issuance and OID4VP verification
+import fs from 'fs'
+import http from 'http'
+import path from 'path'
+import crypto from 'crypto'
+import { fileURLToPath } from 'url'
+import { issueStudentCredential, verifyStudentCredential, changeCredentialStatus, validateStudentData, PROOF_FORMATS, CREDENTIAL_STATES } from './issuer.js'
+import { loadVC, queryVCs, listAllVCs, isCredentialId, studentKeyFilter, recordTemplate } from './storage.js'
+import { credentialState } from './credentialRepository.js'
+import { appendAuditEvent } from './auditLog.js'
+import { DATA_MODELS, credentialValidUntil } from './dataModel.js'
+import { getTemplate, templateForType } from './credentialTemplates.js'
+import { universityIssuerDids } from './issuerKeys.js'
+import { createCredentialOffer, credentialIssuerMetadata, authorizationServerMetadata, exchangePreAuthorizedCode, createNonce, issueOfferedCredential } from './oid4vci.js'
+import { createAuthorizationRequest, getAuthorizationRequest, receiveAuthorizationResponse } from './oid4vp.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = path.dirname(__filename)
+
+export const OPENAPI_FILE = path.join(__dirname, 'openapi.json')
+
+export const VC_API_PORT = 8080
+
+/**
+ * URL wallets and partners reach the service at: VC_API_BASE_URL (e.g. behind a proxy), or localhost
+ * It is the OID4VCI credential issuer identifier, so key proofs and offers name it
+ */
+export function vcApiBaseUrl(port = VC_API_PORT) {
+  return (process.env.VC_API_BASE_URL || `http://localhost:${port}`).replace(/\/$/, '')
+}
+
+// Largest request body accepted (a JSON-LD credential with a proof is a few KB)
+const MAX_BODY_BYTES = 1024 * 1024
+
+// Target state of POST /credentials/status and the transition reaching it
+const STATUS_ACTIONS = {
+  suspended: 'suspend',
+  revoked: 'revoke',
+  active: 'reinstate'
+}
+
+/**
+ * API keys from VC_API_KEYS: comma-separated name:key pairs (e.g. "portal:4f9c...,registrar:a81e...")
+ * The name is recorded as the operator of everything done with the key
+ */
+export function parseApiKeys(value = process.env.VC_API_KEYS || '') {
+  return value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const separator = pair.indexOf(':')
+    if (separator <= 0 || separator === pair.length - 1) {
+      throw new Error(`VC_API_KEYS entries are name:key pairs, got: ${pair}`)
+    }
+    return { name: pair.slice(0, separator), key: pair.slice(separator + 1) }
+  })
+}
+
+// An Error answered with this HTTP status; a validationError is a 400, anything else thrown by a route a 500
+function httpError(status, message, errors) {
+  const error = new Error(message)
+  error.status = status
+  error.errors = errors
+  return error
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body, null, 2))
+}
+
+// JSON body, or the form fields of an application/x-www-form-urlencoded one (OAuth token requests)
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, `Request body is larger than ${MAX_BODY_BYTES} bytes`))
+        req.destroy()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf-8')
+      if (String(req.headers['content-type']).startsWith('application/x-www-form-urlencoded')) {
+        resolve(Object.fromEntries(new URLSearchParams(text)))
+        return
+      }
+      try {
+        resolve(text.trim() === '' ? {} : JSON.parse(text))
+      } catch (error) {
+        reject(httpError(400, `Request body is not JSON: ${error.message}`))
+      }
+    })
+    req.on('error', reject)
+  })
+}
+
+// A path parameter, percent-decoded; a malformed escape is the client's error
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    throw httpError(400, `Malformed percent-encoding in path: ${value}`)
+  }
+}
+
+// Name of the API key in the X-API-Key header, or null; compared in constant time
+function authenticate(req, apiKeys) {
+  const presented = req.headers['x-api-key']
+  if (!presented) {
+    return null
+  }
+  const digest = value => crypto.createHash('sha256').update(value).digest()
+  const match = apiKeys.find(({ key }) => crypto.timingSafeEqual(digest(key), digest(presented)))
+  return match ? match.name : null
+}
+
+// A stored credential record as the API returns it; withCredential adds the credential itself
+function credentialView(record, withCredential = false) {
+  return {
+    id: record.id,
+    studentId: record.studentId,
+    template: recordTemplate(record),
+    type: record.credential.type,
+    format: record.format || 'jwt',
+    dataModel: record.dataModel || '1.1',
+    state: credentialState(record),
+    issuedAt: record.issuedAt,
+    validUntil: credentialValidUntil(record.credential) || null,
+    holderDid: record.holderDid || null,
+    ...(record.supersedes ? { supersedes: record.supersedes } : {}),
+    ...(record.supersededBy ? { supersededBy: record.supersededBy } : {}),
+    ...(withCredential ? {
+      statusHistory: record.statusHistory || [],
+      verifiableCredential: record.format === 'lds' ? record.credential : record.jwt
+    } : {})
+  }
+}
+
+/**
+ * POST /credentials/issue
+ * { credential: { type?, credentialSubject: { id?, studentId, name, ...claims }, expirationDate? },
+ *   options: { template?, format?, dataModel?, holderProof?, revokePrevious? } }
+ * The template is options.template, or the one issuing credential.type; a DID subject id needs a holderProof
+ */
+async function issueRoute({ agent, issuer, body, operator }) {
+  const { credential, options = {} } = body
+  if (!credential?.credentialSubject || typeof credential.credentialSubject !== 'object') {
+    throw httpError(400, 'credential.credentialSubject is required')
+  }
+  const proofFormat = options.format || 'jwt'
+  if (!PROOF_FORMATS.includes(proofFormat)) {
+    throw httpError(400, `Unknown format: ${proofFormat} (expected ${PROOF_FORMATS.join(', ')})`)
+  }
+  const dataModel = options.dataModel || '1.1'
+  if (!DATA_MODELS.includes(dataModel)) {
+    throw httpError(400, `Unknown data model: ${dataModel} (expected ${DATA_MODELS.join(', ')})`)
+  }
+
+  const types = [].concat(credential.type || []).filter(type => type !== 'VerifiableCredential')
+  const template = options.template ? getTemplate(options.template) : types.length > 0 ? templateForType(types) : getTemplate()
+  if (!template) {
+    throw httpError(400, `No template issues ${types.join(', ')}`)
+  }
+  if (types.length > 0 && !types.includes(template.type)) {
+    throw httpError(400, `Template ${template.name} issues ${template.type}, not ${types.join(', ')}`)
+  }
+
+  const { id: holderDid, ...claims } = credential.credentialSubject
+  const studentData = {
+    ...claims,
+    holderDid,
+    expiryDate: credential.expirationDate || credential.validUntil
+  }
+  const check = validateStudentData(studentData, template.name)
+  if (!check.valid) {
+    throw httpError(400, `Invalid ${template.type} claims`, check.errors)
+  }
+
+  const result = await issueStudentCredential(agent, issuer, studentData, {
+    template: template.name,
+    proofFormat,
+    dataModel,
+    holderProof: options.holderProof,
+    revokePrevious: options.revokePrevious === true,
+    operator
+  })
+  return {
+    status: 201,
+    body: {
+      credentialId: result.credentialId,
+      template: result.template,
+      format: result.format,
+      dataModel: result.dataModel,
+      verifiableCredential: result.format === 'lds' ? result.vc : result.jwt,
+      ...(result.supersedes ? { supersedes: result.supersedes, superseded: result.superseded } : {})
+    }
+  }
+}
+
+/**
+ * POST /credentials/verify
+ * { verifiableCredential: <JWT | SD-JWT | vc+jwt | JSON-LD credential> }
+ * 200 with verified: true, or 400 with the failed checks in errors
+ */
+async function verifyRoute({ agent, body, operator }) {
+  const presented = body.verifiableCredential
+  if (!presented || (typeof presented !== 'string' && typeof presented !== 'object')) {
+    throw httpError(400, 'verifiableCredential is required: a JWT, SD-JWT or JSON-LD credential')
+  }
+
+  const result = await verifyStudentCredential(agent, null, presented)
+  // Anyone may verify, but only a caller with an API key gets an entry in the signed audit log:
+  // anonymous calls would otherwise grow it (and use the signing key) without limit
+  if (operator) {
+    await appendAuditEvent(agent, 'credential.verified', {
+      actor: operator,
+      credentialId: result.credentialId,
+      details: { via: 'vc-api', verified: result.verified, state: result.state, error: result.error }
+    })
+  }
+
+  if (!result.verified) {
+    return {
+      status: 400,
+      body: { verified: false, checks: ['proof'], warnings: [], errors: [result.error], state: result.state || null }
+    }
+  }
+
+  const errors = []
+  if (result.state !== 'active') {
+    errors.push(`Credential is ${result.state}`)
+  }
+  const warnings = []
+  if (result.issuerKey.status === 'retired') {
+    warnings.push(`Issuer key retired at ${result.issuerKey.retiredAt} (credential issued before retirement)`)
+  }
+  return {
+    status: errors.length === 0 ? 200 : 400,
+    body: {
+      verified: errors.length === 0,
+      checks: ['proof', 'issuer', 'status', 'expiration'],
+      warnings,
+      errors,
+      credentialId: result.credentialId,
+      type: result.type,
+      state: result.state,
+      format: result.format,
+      dataModel: result.dataModel,
+      issuer: result.issuer,
+      holderDid: result.holderDid,
+      validFrom: result.validFrom,
+      validUntil: result.validUntil || null,
+      credentialSubject: result.credentialSubject
+    }
+  }
+}
+
+/**
+ * POST /credentials/status
+ * { credentialId, credentialStatus: [{ type: 'BitstringStatusListEntry', status: 'suspended' | 'revoked' | 'active' }], reason }
+ */
+async function statusRoute({ agent, body, operator }) {
+  const { credentialId, reason } = body
+  if (!isCredentialId(credentialId)) {
+    throw httpError(400, 'credentialId must be a credential id (urn:uuid:...)')
+  }
+  const target = [].concat(body.credentialStatus || [])[0]?.status
+  const action = STATUS_ACTIONS[target]
+  if (!action) {
+    throw httpError(400, `credentialStatus[0].status must be one of ${Object.keys(STATUS_ACTIONS).join(', ')}`)
+  }
+  if (!await loadVC(credentialId)) {
+    throw httpError(404, `Credential not found: ${credentialId}`)
+  }
+
+  const transition = await changeCredentialStatus(agent, credentialId, action, { reason, operator })
+  return { status: 200, body: transition }
+}
+
+// GET /credentials?studentId=&holderDid=&status=&program=&type=&expiringWithin=
+async function listRoute({ query }) {
+  const status = query.get('status') || undefined
+  if (status && !CREDENTIAL_STATES.includes(status)) {
+    throw httpError(400, `Unknown status: ${status} (expected ${CREDENTIAL_STATES.join(', ')})`)
+  }
+  const key = query.get('studentId') || query.get('holderDid')
+  const filter = {
+    status,
+    program: query.get('program') || undefined,
+    type: query.get('type') || undefined,
+    expiringWithin: query.get('expiringWithin') || undefined,
+    ...(key ? studentKeyFilter(key) : {})
+  }
+  const records = Object.values(filter).some(Boolean) ? await queryVCs(filter) : await listAllVCs()
+  return { status: 200, body: { credentials: records.map(record => credentialView(record)) } }
+}
+
+// GET /credentials/:id
+async function getRoute({ params }) {
+  const record = isCredentialId(params.id) ? await loadVC(params.id) : null
+  if (!record) {
+    throw httpError(404, `Credential not found: ${params.id}`)
+  }
+  return { status: 200, body: credentialView(record, true) }
+}
+
+/**
+ * POST /credentials/offer
+ * { credentialSubject: { studentId, name, ...claims }, options: { template?, format?, txCode? } }
+ * An OID4VCI pre-authorized code offer; txCode (default true) adds a 6-digit code, returned here
+ * for the registrar to give the student separately from the offer
+ */
+async function offerRoute({ body, operator, baseUrl }) {
+  const { credentialSubject, options = {} } = body
+  if (!credentialSubject || typeof credentialSubject !== 'object') {
+    throw httpError(400, 'credentialSubject is required')
+  }
+  const template = getTemplate(options.template)
+  const check = validateStudentData(credentialSubject, template.name)
+  if (!check.valid) {
+    throw httpError(400, `Invalid ${template.type} claims`, check.errors)
+  }
+  const created = await createCredentialOffer(baseUrl, credentialSubject, {
+    template: template.name,
+    proofFormat: options.format,
+    txCode: options.txCode !== false,
+    operator
+  })
+  return { status: 201, body: created }
+}
+
+async function issuerMetadataRoute({ issuer, baseUrl }) {
+  const keyType = issuer.keys.find(k => k.kid === issuer.controllerKeyId)?.type
+  return { status: 200, body: credentialIssuerMetadata(baseUrl, { keyType }) }
+}
+
+async function authorizationServerRoute({ baseUrl }) {
+  return { status: 200, body: authorizationServerMetadata(baseUrl) }
+}
+
+async function tokenRoute({ body }) {
+  return { status: 200, body: await exchangePreAuthorizedCode(body) }
+}
+
+async function nonceRoute() {
+  return { status: 200, body: await createNonce() }
+}
+
+async function credentialRoute({ agent, issuer, body, baseUrl, req }) {
+  const [scheme, accessToken] = String(req.headers.authorization || '').split(' ')
+  return {
+    status: 200,
+    body: await issueOfferedCredential(agent, issuer, {
+      accessToken: scheme === 'Bearer' ? accessToken : null,
+      request: body,
+      baseUrl
+    })
+  }
+}
+
+/**
+ * POST /presentations/requests
+ * { template?, fields?, trustedIssuers?, limitDisclosure? } - an OID4VP request for a credential from
+ * the template; trustedIssuers defaults to the university's issuer DIDs (active and retired)
+ */
+async function presentationRequestRoute({ body, operator, baseUrl }) {
+  const fields = [].concat(body.fields || [])
+  const trustedIssuers = [].concat(body.trustedIssuers || universityIssuerDids())
+  if (![...fields, ...trustedIssuers].every(value => typeof value === 'string')) {
+    throw httpError(400, 'fields and trustedIssuers must be strings')
+  }
+  const created = await createAuthorizationRequest(baseUrl, {
+    template: body.template,
+    fields,
+    trustedIssuers,
+    limitDisclosure: body.limitDisclosure === true,
+    operator
+  })
+  return { status: 201, body: created }
+}
+
+// GET /presentations/requests/:state - the request's status and, once answered, the evaluation
+async function presentationResultRoute({ params }) {
+  const request = getAuthorizationRequest(params.state)
+  if (!request) {
+    throw httpError(404, `Authorization request not found or expired: ${params.state}`)
+  }
+  const { nonce, ...view } = request
+  return { status: 200, body: view }
+}
+
+// POST /presentations/response - the wallet's direct_post; the verifier reads the result by state
+async function presentationResponseRoute({ agent, body }) {
+  const result = await receiveAuthorizationResponse(agent, body)
+  if (!result.verified) {
+    const error = httpError(400, result.errors.join('; '))
+    error.code = 'invalid_request'
+    throw error
+  }
+  return { status: 200, body: {} }
+}
+
+async function openApiRoute() {
+  return { status: 200, body: JSON.parse(fs.readFileSync(OPENAPI_FILE, 'utf-8')) }
+}
+
+// issuer: the route needs an API key; writes: it changes credentials, so it runs one at a time
+// oauth: an OID4VCI/OAuth endpoint, answering errors as { error, error_description } and never cached
+const ROUTES = [
+  { method: 'POST', pattern: /^\/credentials\/issue$/, handler: issueRoute, issuer: true, writes: true },
+  { method: 'POST', pattern: /^\/credentials\/verify$/, handler: verifyRoute },
+  { method: 'POST', pattern: /^\/credentials\/status$/, handler: statusRoute, issuer: true, writes: true },
+  { method: 'GET', pattern: /^\/credentials$/, handler: listRoute, issuer: true },
+  { method: 'GET', pattern: /^\/credentials\/([^/]+)$/, handler: getRoute, issuer: true, params: ['id'] },
+  { method: 'POST', pattern: /^\/credentials\/offer$/, handler: offerRoute, issuer: true },
+  { method: 'GET', pattern: /^\/\.well-known\/openid-credential-issuer$/, handler: issuerMetadataRoute },
+  { method: 'GET', pattern: /^\/\.well-known\/oauth-authorization-server$/, handler: authorizationServerRoute },
+  { method: 'POST', pattern: /^\/token$/, handler: tokenRoute, oauth: true },
+  { method: 'POST', pattern: /^\/nonce$/, handler: nonceRoute, oauth: true },
+  { method: 'POST', pattern: /^\/credential$/, handler: credentialRoute, oauth: true, writes: true },
+  { method: 'POST', pattern: /^\/presentations\/requests$/, handler: presentationRequestRoute, issuer: true },
+  { method: 'GET', pattern: /^\/presentations\/requests\/([^/]+)$/, handler: presentationResultRoute, issuer: true, params: ['state'] },
+  { method: 'POST', pattern: /^\/presentations\/response$/, handler: presentationResponseRoute, oauth: true },
+  { method: 'GET', pattern: /^\/openapi\.json$/, handler: openApiRoute }
+]
+
+/**
+ * HTTP server for the VC-API, OID4VCI and OID4VP routes (see src/openapi.json), using the issuer's agent
+ * Issuer routes need an X-API-Key from apiKeys; with none configured they answer 401
+ * Errors are JSON: { error, errors? } with errors as [{ field, message }] for invalid claims; internal
+ * failures are a 500 without their message
+ * baseUrl is the URL wallets reach the service at (see vcApiBaseUrl)
+ */
+export function createVcApiServer({ agent, issuer, apiKeys = parseApiKeys(), baseUrl = vcApiBaseUrl() }) {
+  let writeQueue = Promise.resolve()
+  const serialized = task => {
+    const run = writeQueue.then(task, task)
+    writeQueue = run.catch(() => {})
+    return run
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+    const matching = ROUTES.filter(route => route.pattern.test(url.pathname))
+    const route = matching.find(r => r.method === req.method)
+
+    try {
+      if (!route) {
+        throw matching.length > 0
+          ? httpError(405, `${req.method} is not allowed on ${url.pathname}`)
+          : httpError(404, `Not found: ${url.pathname}`)
+      }
+
+      const operator = authenticate(req, apiKeys)
+      if (route.issuer && !operator) {
+        throw httpError(401, apiKeys.length === 0
+          ? 'Issuer endpoints are disabled: no API keys configured (VC_API_KEYS)'
+          : 'A valid X-API-Key header is required')
+      }
+
+      const match = url.pathname.match(route.pattern)
+      const context = {
+        agent,
+        issuer,
+        baseUrl,
+        req,
+        operator,
+        query: url.searchParams,
+        params: Object.fromEntries((route.params || []).map((name, i) => [name, decodePathParam(match[i + 1])])),
+        body: req.method === 'POST' ? await readBody(req) : {}
+      }
+      if (route.oauth) {
+        res.setHeader('Cache-Control', 'no-store')
+      }
+      const { status, body } = route.writes
+        ? await serialized(() => route.handler(context))
+        : await route.handler(context)
+      sendJson(res, status, body)
+    } catch (error) {
+      const status = error.status || (error.validation ? 400 : 500)
+      if (status === 500) {
+        // Internal failures (storage, signing, chain) are logged, never echoed to the client
+        console.error(`${req.method} ${url.pathname} failed:`, error)
+        sendJson(res, 500, route?.oauth
+          ? { error: 'server_error', error_description: 'Internal server error' }
+          : { error: 'Internal server error' })
+        return
+      }
+      if (route?.oauth) {
+        sendJson(res, status, { error: error.code || 'invalid_request', error_description: error.message })
+        return
+      }
+      sendJson(res, status, { error: error.message, ...(error.errors ? { errors: error.errors } : {}) })
+    }
+  })
+}
+
+export function startVcApiServer(port = VC_API_PORT, options) {
+  const server = createVcApiServer(options)
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, () => resolve(server))
+  })
+}